@@ -0,0 +1,80 @@
+// A static file server with HTTP Range and CORS support, standing in for the
+// remote host of a database opened on demand. It counts the bytes it sends,
+// which GET /__stats reports as { requests, bytes }.
+//
+//   node scripts/range-server.js [directory] [port]
+//
+// Prints the URL it listens on once it's ready.
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const root = path.resolve(process.argv[2] || "public");
+const port = Number(process.argv[3]) || 0;
+
+const stats = { requests: 0, bytes: 0 };
+
+const server = http.createServer((req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Headers", "Range");
+  res.setHeader(
+    "Access-Control-Expose-Headers",
+    "Content-Range, Content-Length, Accept-Ranges",
+  );
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const { pathname } = new URL(req.url, "http://localhost");
+  if (pathname === "/__stats") {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(stats));
+    return;
+  }
+
+  const file = path.join(root, decodeURIComponent(pathname));
+  if (!file.startsWith(root + path.sep) || !fs.existsSync(file)) {
+    res.writeHead(404);
+    res.end("Not found");
+    return;
+  }
+
+  const size = fs.statSync(file).size;
+  const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || "");
+  let start = 0;
+  let end = size - 1;
+  if (range) {
+    if (range[1] === "") {
+      start = Math.max(0, size - Number(range[2]));
+    } else {
+      start = Number(range[1]);
+      if (range[2] !== "") end = Math.min(end, Number(range[2]));
+    }
+    if (start > end) {
+      res.writeHead(416, { "Content-Range": `bytes */${size}` });
+      res.end();
+      return;
+    }
+  }
+
+  res.writeHead(range ? 206 : 200, {
+    "Accept-Ranges": "bytes",
+    "Content-Length": end - start + 1,
+    "Content-Type": "application/octet-stream",
+    ...(range && { "Content-Range": `bytes ${start}-${end}/${size}` }),
+  });
+  if (req.method === "HEAD") {
+    res.end();
+    return;
+  }
+  stats.requests++;
+  stats.bytes += end - start + 1;
+  fs.createReadStream(file, { start, end }).pipe(res);
+});
+
+server.listen(port, "127.0.0.1", () => {
+  console.log(`http://127.0.0.1:${server.address().port}/`);
+});
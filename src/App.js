@@ -1,52 +1,122 @@
-import React, { useState, useEffect, useRef } from "react";
-import initSqlJs from "sql.js";
+import React, {
+  useState,
+  useEffect,
+  useRef,
+  useMemo,
+  useCallback,
+} from "react";
 import { TabulatorFull as Tabulator } from "tabulator-tables";
 import Select from "react-select";
+import { useSearchParams } from "react-router-dom";
+import SqlConsole from "./SqlConsole";
+import QueryProgress from "./QueryProgress";
+import SchemaBrowser from "./SchemaBrowser";
+import { loadSchema, sqlLower } from "./schema";
+import { generateConfig, tableConfig } from "./generateConfig";
+import { validateConfig, validateConfigQueries } from "./validateConfig";
+import ProfileBar from "./ProfileBar";
+import { loadProfiles, saveProfiles, schemaFingerprint } from "./profiles";
+import RecentDatabases from "./RecentDatabases";
+import { hasTag, attachTags, tagOptionQueries, tagTree } from "./taggable";
+import ChangesPanel from "./ChangesPanel";
+import { planCellEdit } from "./editing";
+import { downloadBlob } from "./download";
+import ExportMenu from "./ExportMenu";
+import { booleanGlyph } from "./exportView";
+import { cellFormatter, renderTags, valueType } from "./cellFormats";
+import { buildViewQuery, buildCountQuery } from "./sqlFilters";
+import FilterBuilder from "./FilterBuilder";
+import { emptyFilter, compileFilter, newFilterId } from "./columnFilters";
+import ChartsPanel from "./ChartsPanel";
+import { pointFilter } from "./charts";
+import GraphView from "./GraphView";
+import { graphSettings } from "./graph";
+import DetailDrawer from "./DetailDrawer";
+import TagMenu from "./TagMenu";
+import ColumnChooser from "./ColumnChooser";
+import DownloadProgress from "./DownloadProgress";
+import {
+  ACCEPTED_EXTENSIONS,
+  fetchDatabase,
+  fileNameOf,
+  readDatabase,
+  resolveDatabaseUrl,
+  toArrayBuffer,
+} from "./dbFile";
+import {
+  applyVisibility,
+  isColumnVisible,
+  orderColumns,
+  setColumnOption,
+  withoutLayout,
+} from "./columnLayout";
+import { detailSettings } from "./detail";
+import ParameterControls from "./ParameterControls";
+import {
+  bindParameters,
+  coerceValue,
+  defaultValues,
+  changedValues,
+} from "./parameters";
+import ViewTabs from "./ViewTabs";
+import {
+  hasViews,
+  viewNames,
+  pickView,
+  resolveView,
+  updateView,
+} from "./views";
+import { encodeViewState, decodeViewState } from "./urlState";
+import ExpressionInput from "./ExpressionInput";
+import {
+  parseExpression,
+  formatExpression,
+  matchExpression,
+  combineExpressions,
+  expressionToChips,
+  chipsToExpression,
+} from "./filterExpression";
+import { rememberDatabase, canUseFileHandles } from "./recentStore";
+import {
+  openDatabase,
+  openRemoteDatabase,
+  closeDatabase,
+  useDatabase,
+  query,
+  queryColumn,
+  isCancelled,
+  write,
+  exportDatabase,
+} from "./database";
 import "tabulator-tables/dist/css/tabulator.min.css";
 import "tabulator-tables/dist/css/tabulator_midnight.min.css";
 import "./App.css";
 
-const defaultConfig = {
-  mainQuery: `
-    SELECT f.file_name as file,
-           GROUP_CONCAT(DISTINCT t.tag) as tags,
-           GROUP_CONCAT(DISTINCT fb.file_name) as backlinks,
-           SUBSTR(json_extract(f.metadata, '$.date'), 1, 10) as Date,
-           json_extract(f.metadata, '$.chapters') as chapters,
-           json_extract(f.metadata, '$.Finished') as Done
-    FROM files f
-    LEFT JOIN file_tags ft ON f.id = ft.file_id
-    LEFT JOIN tags t ON ft.tag_id = t.id
-    LEFT JOIN backlinks b ON f.id = b.file_id
-    LEFT JOIN files fb ON fb.id = b.backlink_id
-    GROUP BY f.id
-    HAVING tags NOT LIKE '%dead%';
-  `,
-  queries: {
-    tags: `SELECT DISTINCT tag FROM tags;`,
-    backlinks: `SELECT DISTINCT fb.file_name FROM backlinks b JOIN files fb ON fb.id = b.backlink_id;`,
-  },
-  textSearchColumn: "file",
-  taggableColumns: ["tags", "backlinks"],
-  columns: [
-    { field: "file", header: "File", type: "text" },
-    { field: "tags", header: "Tags", type: "taggable" },
-    { field: "backlinks", header: "Backlinks", type: "taggable" },
-    { field: "Date", header: "Date", type: "date" },
-    { field: "chapters", header: "Chapters", type: "number" },
-    {
-      field: "Done",
-      header: "Done",
-      type: "boolean",
-      trueRender: "✅",
-      falseRender: "❌",
-    },
-  ],
-  defaultSortField: "Date",
-  defaultSortDir: "desc",
-};
+const sameSort = (a, b) =>
+  Boolean(a) &&
+  Boolean(b) &&
+  a.length === b.length &&
+  a.every((s, i) => s.field === b[i].field && s.dir === b[i].dir);
+
+// A grid replaced in this commit is already destroyed when the effects
+// still holding it run
+const isLive = (table) => Boolean(table) && !table.destroyed;
+
+const emptyTaggableFilters = (config) =>
+  Object.fromEntries(
+    (config.taggableColumns || []).map((col) => [
+      col,
+      { include: [], exclude: [] },
+    ]),
+  );
 
-const REACT_APP_URL = process.env.REACT_APP_URL;
+// Hierarchical tags are indented under their parent in the dropdowns
+const formatTagOption = ({ label, depth }, { context }) =>
+  context === "menu" && depth ? (
+    <span style={{ paddingLeft: depth * 14 }}>{label}</span>
+  ) : (
+    label
+  );
 
 const generateTagColors = () => {
   const baseColors = [
@@ -89,19 +159,80 @@ function App() {
   const [unsortedFiltered, setUnsortedFiltered] = useState([]);
   const [searchName, setSearchName] = useState("");
   const [taggableFilters, setTaggableFilters] = useState({});
+  const [columnFilter, setColumnFilter] = useState(emptyFilter);
+  // The part of the query expression that the tag chips can't represent
+  const [expression, setExpression] = useState(null);
   const [availableValues, setAvailableValues] = useState({});
   const getTagColor = useRef(generateTagColors());
-  const [config, setConfig] = useState(defaultConfig);
-  const [configJson, setConfigJson] = useState(
-    JSON.stringify(defaultConfig, null, 2),
+  const [profileState, setProfileState] = useState(loadProfiles);
+  const activeProfile =
+    profileState.profiles.find((p) => p.id === profileState.activeId) ||
+    profileState.profiles[0];
+  // The config as edited and saved; `config` is its active view
+  const [fullConfig, setFullConfig] = useState(() => activeProfile.config);
+  const [viewName, setViewName] = useState(() =>
+    pickView(activeProfile.config, null),
+  );
+  // A table opened from the schema panel, shown in a tab of its own until
+  // it is closed: { name, opened, config }. It is never saved.
+  const [tableView, setTableView] = useState(null);
+  const config = useMemo(
+    () => (tableView ? tableView.config : resolveView(fullConfig, viewName)),
+    [fullConfig, viewName, tableView],
+  );
+  // Values of the main query's declared parameters
+  const [paramValues, setParamValues] = useState(() => defaultValues(config));
+  const [configJson, setConfigJson] = useState(() =>
+    JSON.stringify(activeProfile.config, null, 2),
   );
-  const [dbBuffer, setDbBuffer] = useState(null);
+  const [dbFingerprint, setDbFingerprint] = useState(null);
+  const {
+    version: dbVersion,
+    opened: dbOpened,
+    isOpen: isDbOpen,
+    isRemote: isDbRemote,
+  } = useDatabase();
   const [configVersion, setConfigVersion] = useState(0);
+  const [configErrors, setConfigErrors] = useState([]);
   const [isConfigOpen, setIsConfigOpen] = useState(false);
+  const [isConsoleOpen, setIsConsoleOpen] = useState(false);
+  const [isSchemaOpen, setIsSchemaOpen] = useState(false);
+  const [isChartsOpen, setIsChartsOpen] = useState(false);
+  const [isGraphOpen, setIsGraphOpen] = useState(false);
+  const [viewRows, setViewRows] = useState([]);
+  const [detailKey, setDetailKey] = useState(null);
+  const [tagMenu, setTagMenu] = useState(null);
+  const [download, setDownload] = useState(null);
+  const [dbUrlInput, setDbUrlInput] = useState("");
+  const [isOnDemand, setIsOnDemand] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
   const [isDarkMode, setIsDarkMode] = useState(true);
+  const [recentVersion, setRecentVersion] = useState(0);
+  const [dbName, setDbName] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const [changes, setChanges] = useState([]);
+  const [savedCount, setSavedCount] = useState(0);
+  const [editError, setEditError] = useState(null);
+  const baseName = (dbName || "database").replace(/\.[^.]*$/, "");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+  const isSqlFiltering = Boolean(config.sqlFiltering);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [sort, setSort] = useState(null);
+  const [visibleColumns, setVisibleColumns] = useState(null);
 
   const tableRef = useRef(null);
-  const tabulatorInstance = useRef(null);
+  // The grid, once Tabulator has built it
+  const [table, setTable] = useState(null);
+  const downloadRef = useRef(null);
+  // The page loader of the grid's latest reload, see the effect doing it
+  const loadPageRef = useRef(null);
+  // The URL and the schema last acted on, so their effects don't act again
+  // when only the view changes
+  const restoredParamsRef = useRef(null);
+  const matchedFingerprintRef = useRef(null);
+  const staleViewRef = useRef(null);
+  // Filter state of the tabs that aren't shown, by view name
+  const tabStatesRef = useRef({});
 
   // Toggle dark mode class on body
   useEffect(() => {
@@ -112,60 +243,386 @@ function App() {
     }
   }, [isDarkMode]);
 
-  const applyConfig = () => {
-    try {
-      const newConfig = JSON.parse(configJson);
-      setConfig(newConfig);
+  useEffect(() => {
+    saveProfiles(profileState);
+  }, [profileState]);
+
+  // Shows a config in the table, starting with clean filters
+  const activateConfig = useCallback(
+    (newConfig) => {
+      const view = pickView(newConfig, viewName);
+      setFullConfig(newConfig);
+      setViewName(view);
+      setTableView(null);
+      tabStatesRef.current = {};
       setConfigVersion((v) => v + 1);
-      setTaggableFilters(
-        Object.fromEntries(
-          (newConfig.taggableColumns || []).map((col) => [
-            col,
-            { include: [], exclude: [] },
-          ]),
-        ),
-      );
+      setTaggableFilters(emptyTaggableFilters(resolveView(newConfig, view)));
+      setParamValues(defaultValues(resolveView(newConfig, view)));
+      setColumnFilter(emptyFilter());
+      setExpression(null);
       setConfigJson(JSON.stringify(newConfig, null, 2));
+      setConfigErrors([]);
+    },
+    [viewName],
+  );
+
+  // Each view's tab keeps its own filters, sort and columns while another
+  // is shown. A table's tab starts clean and forgets them when closed.
+  const leaveTab = useCallback(() => {
+    if (tableView) return;
+    tabStatesRef.current[viewName] = {
+      search: searchName,
+      taggableFilters,
+      columnFilter,
+      expression,
+      sort,
+      visibleColumns,
+      parameters: paramValues,
+    };
+  }, [
+    tableView,
+    viewName,
+    searchName,
+    taggableFilters,
+    columnFilter,
+    expression,
+    sort,
+    visibleColumns,
+    paramValues,
+  ]);
+
+  const enterTab = useCallback((saved, tabConfig) => {
+    setConfigVersion((v) => v + 1);
+    setSearchName(saved ? saved.search : "");
+    setDebouncedSearch(saved ? saved.search : "");
+    setTaggableFilters(
+      saved ? saved.taggableFilters : emptyTaggableFilters(tabConfig),
+    );
+    setColumnFilter(saved ? saved.columnFilter : emptyFilter());
+    setExpression(saved ? saved.expression : null);
+    setSort(saved ? saved.sort : null);
+    setVisibleColumns(saved ? saved.visibleColumns : null);
+    setParamValues(saved ? saved.parameters : defaultValues(tabConfig));
+  }, []);
+
+  const switchView = useCallback(
+    (name) => {
+      if (name === viewName && !tableView) return;
+      leaveTab();
+      setViewName(name);
+      setTableView(null);
+      enterTab(tabStatesRef.current[name], resolveView(fullConfig, name));
+    },
+    [viewName, tableView, leaveTab, enterTab, fullConfig],
+  );
+
+  // Browse a table from the schema panel in the grid, paged from SQL when
+  // the view it replaces is or the database is remote
+  const handleSelectTable = (table) => {
+    leaveTab();
+    const newConfig = {
+      ...tableConfig(table),
+      sqlFiltering: isSqlFiltering || isDbRemote,
+      ...(config.pageSize && { pageSize: config.pageSize }),
+    };
+    setTableView({ name: table.name, opened: dbOpened, config: newConfig });
+    enterTab(null, newConfig);
+  };
+
+  // The table may not be in the next database opened
+  useEffect(() => {
+    if (tableView && tableView.opened !== dbOpened) switchView(viewName);
+  }, [tableView, dbOpened, switchView, viewName]);
+
+  const selectProfile = useCallback(
+    (profile) => {
+      setProfileState((prev) => ({ ...prev, activeId: profile.id }));
+      activateConfig(profile.config);
+    },
+    [activateConfig],
+  );
+
+  // The schema can change with any write, so it's fingerprinted again
+  useEffect(() => {
+    if (!dbVersion) return;
+    let stale = false;
+
+    schemaFingerprint()
+      .then((fingerprint) => !stale && setDbFingerprint(fingerprint))
+      .catch((error) => {
+        if (!isCancelled(error)) console.error("Error reading schema:", error);
+      });
+
+    return () => {
+      stale = true;
+    };
+  }, [dbVersion]);
+
+  // Pick the profile linked to the schema of a newly opened database. Each
+  // schema is matched once, so a profile chosen by hand afterwards stays.
+  useEffect(() => {
+    if (!dbFingerprint || dbFingerprint === matchedFingerprintRef.current) {
+      return;
+    }
+    matchedFingerprintRef.current = dbFingerprint;
+    const match = profileState.profiles.find(
+      (p) => p.fingerprint === dbFingerprint,
+    );
+    // A profile in the URL wins, so shared links open as sent
+    if (
+      match &&
+      match.id !== profileState.activeId &&
+      !searchParams.has("profile")
+    ) {
+      selectProfile(match);
+    }
+  }, [dbFingerprint, profileState, searchParams, selectProfile]);
+
+  const defaultSort = useMemo(
+    () =>
+      config.defaultSortField
+        ? [
+            {
+              field: config.defaultSortField,
+              dir: config.defaultSortDir || "asc",
+            },
+          ]
+        : [],
+    [config.defaultSortField, config.defaultSortDir],
+  );
+  const viewState = useMemo(
+    () => ({
+      profile: activeProfile.id,
+      view: hasViews(fullConfig) ? viewName : null,
+      search: debouncedSearch,
+      taggableFilters,
+      columnFilter,
+      expression: formatExpression(expression, config),
+      sort,
+      columns: visibleColumns,
+      parameters: changedValues(config, paramValues),
+    }),
+    [
+      activeProfile.id,
+      fullConfig,
+      viewName,
+      debouncedSearch,
+      taggableFilters,
+      columnFilter,
+      expression,
+      config,
+      sort,
+      visibleColumns,
+      paramValues,
+    ],
+  );
+  const urlViewState = useCallback(() => {
+    const linked = decodeViewState(searchParams);
+    const profile = linked.profile || activeProfile.id;
+    const { config: profileConfig } =
+      profileState.profiles.find((p) => p.id === profile) || activeProfile;
+    const view = hasViews(profileConfig)
+      ? pickView(profileConfig, linked.view)
+      : null;
+    // Filter conditions are checked against the linked view's columns
+    const { columns } = resolveView(profileConfig, view);
+    return { ...decodeViewState(searchParams, columns), profile, view };
+  }, [searchParams, profileState.profiles, activeProfile]);
+
+  // Restores the view from the URL on load and on back/forward, not when
+  // the view changes and the URL hasn't caught up yet
+  useEffect(() => {
+    if (searchParams === restoredParamsRef.current) return;
+    restoredParamsRef.current = searchParams;
+    const current = encodeViewState(viewState, defaultSort).toString();
+    const target = urlViewState();
+    // A table's tab isn't in the URL, so moving through history leaves it
+    if (
+      !tableView &&
+      encodeViewState(target, defaultSort).toString() === current
+    ) {
+      return;
+    }
+    // The next render still shows the old view; don't write it back
+    staleViewRef.current = current;
+
+    let targetFullConfig = fullConfig;
+    if (target.profile !== activeProfile.id) {
+      const profile = profileState.profiles.find(
+        (p) => p.id === target.profile,
+      );
+      if (profile) {
+        selectProfile(profile);
+        targetFullConfig = profile.config;
+      }
+    }
+    const targetView = pickView(targetFullConfig, target.view);
+    if (targetView !== viewName || tableView) {
+      setViewName(targetView);
+      setTableView(null);
+      setConfigVersion((v) => v + 1);
+    }
+    const targetConfig = resolveView(targetFullConfig, targetView);
+    setSearchName(target.search);
+    setDebouncedSearch(target.search);
+    setTaggableFilters(
+      Object.fromEntries(
+        (targetConfig.taggableColumns || []).map((col) => [
+          col,
+          target.taggableFilters[col] || { include: [], exclude: [] },
+        ]),
+      ),
+    );
+    setColumnFilter(target.columnFilter || emptyFilter());
+    try {
+      setExpression(parseExpression(target.expression, targetConfig));
+    } catch (error) {
+      console.error("Ignoring malformed expression in URL:", error);
+      setExpression(null);
+    }
+    setSort(target.sort);
+    setVisibleColumns(target.columns);
+    setParamValues({
+      ...defaultValues(targetConfig),
+      ...Object.fromEntries(
+        (targetConfig.parameters || [])
+          .filter((p) => p.name in target.parameters)
+          .map((p) => [p.name, coerceValue(p, target.parameters[p.name])]),
+      ),
+    });
+  }, [
+    searchParams,
+    viewState,
+    defaultSort,
+    urlViewState,
+    fullConfig,
+    activeProfile.id,
+    profileState.profiles,
+    selectProfile,
+    viewName,
+    tableView,
+  ]);
+
+  // Records each view change as a history entry. While a table's tab is
+  // shown the URL keeps the view it was opened from.
+  useEffect(() => {
+    if (tableView) return;
+    const next = encodeViewState(viewState, defaultSort);
+    if (next.toString() === staleViewRef.current) return;
+    staleViewRef.current = null;
+    if (
+      next.toString() !==
+      encodeViewState(urlViewState(), defaultSort).toString()
+    ) {
+      setSearchParams(next);
+    }
+  }, [viewState, defaultSort, urlViewState, setSearchParams, tableView]);
+
+  const applyConfig = async () => {
+    let newConfig;
+    try {
+      newConfig = JSON.parse(configJson);
     } catch (e) {
-      alert("Invalid JSON: " + e.message);
+      setConfigErrors([{ path: "$", message: `Invalid JSON: ${e.message}` }]);
+      return;
+    }
+
+    let errors = validateConfig(newConfig);
+    if (errors.length === 0 && isDbOpen) {
+      try {
+        errors = await validateConfigQueries(newConfig);
+      } catch (e) {
+        // Only a cancelled dry run gets here
+        return;
+      }
+    }
+    setConfigErrors(errors);
+    if (errors.length > 0) return;
+
+    activateConfig(newConfig);
+    saveToProfile(newConfig);
+  };
+
+  const saveToProfile = useCallback(
+    (newConfig) =>
+      setProfileState((prev) => ({
+        ...prev,
+        profiles: prev.profiles.map((p) =>
+          p.id === prev.activeId ? { ...p, config: newConfig } : p,
+        ),
+      })),
+    [],
+  );
+
+  // Config changes made from the UI, such as saved charts, keep the filters
+  // and the loaded rows
+  const updateConfig = useCallback(
+    (changes) => {
+      // A table's tab keeps its changes to itself
+      if (tableView) {
+        setTableView({
+          ...tableView,
+          config: { ...tableView.config, ...changes },
+        });
+        return;
+      }
+      const newConfig = updateView(fullConfig, viewName, changes);
+      setFullConfig(newConfig);
+      setConfigJson(JSON.stringify(newConfig, null, 2));
+      saveToProfile(newConfig);
+    },
+    [fullConfig, viewName, tableView, saveToProfile],
+  );
+
+  // Proposes a config for the loaded database; applying it is up to the user
+  const handleGenerateConfig = async () => {
+    try {
+      const generated = await generateConfig(
+        await loadSchema({ rowCounts: !isDbRemote }),
+      );
+      setConfigJson(JSON.stringify(generated, null, 2));
+      setConfigErrors([]);
+    } catch (error) {
+      if (isCancelled(error)) return;
+      console.error("Error generating config:", error);
+      alert("Failed to generate a config: " + error.message);
     }
   };
 
+  // What rows are loaded and filtered from; layout changes leave it as is
+  const dataKey = JSON.stringify(withoutLayout(config));
+  const dataConfig = useMemo(() => JSON.parse(dataKey), [dataKey]);
+
+  // Loads mainQuery's rows and the tag options, discarding a load overtaken
+  // by the next one. Every new config bumps configVersion and reloads.
   useEffect(() => {
-    if (!dbBuffer) return;
+    if (!dbVersion) return;
+    let stale = false;
 
     const process = async () => {
       try {
-        const SQL = await initSqlJs({
-	locateFile: () => "sql-wasm.wasm",
-		//locateFile: () =>
-		//REACT_APP_URL ? `${REACT_APP_URL}/sql-wasm.wasm` : "/sql-wasm.wasm",
-        });
-        const db = new SQL.Database(new Uint8Array(dbBuffer));
-
-        const results = [];
-        const stmt = db.prepare(config.mainQuery);
-        while (stmt.step()) {
-          results.push(stmt.getAsObject());
-        }
-        stmt.free();
+        const main = bindParameters(dataConfig.mainQuery, paramValues);
+        // With SQL filtering the grid loads its own pages
+        const { rows } = dataConfig.sqlFiltering
+          ? { rows: [] }
+          : await query(main.sql, {
+              params: main.params,
+              label: "Loading table",
+            });
+        const tagged = await attachTags(dataConfig, rows);
 
         const available = {};
-        for (const [col, query] of Object.entries(config.queries || {})) {
-          const values = [];
-          const stmt = db.prepare(query);
-          while (stmt.step()) {
-            values.push(stmt.get()[0]);
-          }
-          stmt.free();
-          available[col] = values.sort();
+        for (const [col, sql] of Object.entries(tagOptionQueries(dataConfig))) {
+          available[col] = (
+            await queryColumn(sql, { label: `Loading ${col}` })
+          ).sort();
         }
 
-        db.close();
-
-        setData(results);
+        if (stale) return;
+        setData(tagged);
         setAvailableValues(available);
       } catch (error) {
+        if (isCancelled(error)) return;
         console.error("Error details:", error);
         alert(
           "Failed to load or query the database. Ensure the file is a valid SQLite DB and config queries match the schema.",
@@ -174,7 +631,72 @@ function App() {
     };
 
     process();
-  }, [dbBuffer, configVersion, config]);
+    return () => {
+      stale = true;
+    };
+  }, [dbVersion, dataConfig, paramValues, configVersion]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchName), 300);
+    return () => clearTimeout(timer);
+  }, [searchName]);
+
+  const sqlFilters = useMemo(
+    () => ({
+      search: debouncedSearch,
+      taggableFilters,
+      columnFilter,
+      expression,
+      parameters: paramValues,
+    }),
+    [debouncedSearch, taggableFilters, columnFilter, expression, paramValues],
+  );
+
+  // Serves Tabulator's remote pagination and sorting from SQLite
+  const loadPage = useCallback(
+    async ({ page, size, sort }) => {
+      const count = buildCountQuery(dataConfig, sqlFilters);
+      const [total] = await queryColumn(count.sql, {
+        params: count.params,
+        label: "Counting rows",
+      });
+      const view = buildViewQuery(dataConfig, sqlFilters, {
+        sort,
+        page,
+        size,
+      });
+      const { rows } = await query(view.sql, {
+        params: view.params,
+        label: "Loading page",
+      });
+      return {
+        data: await attachTags(dataConfig, rows),
+        last_page: Math.max(1, Math.ceil(total / size)),
+        last_row: total,
+      };
+    },
+    [dataConfig, sqlFilters],
+  );
+
+  // Charts and the graph over SQL-filtered data need every matching row,
+  // not one page
+  const needsViewRows =
+    isGraphOpen ||
+    (isChartsOpen && (config.charts || []).some((chart) => !chart.sql));
+  useEffect(() => {
+    if (!needsViewRows || !isSqlFiltering || !dbVersion) return;
+    let stale = false;
+    const view = buildViewQuery(dataConfig, sqlFilters);
+    query(view.sql, { params: view.params, label: "Loading filtered rows" })
+      .then(({ rows }) => attachTags(dataConfig, rows))
+      .then((rows) => !stale && setViewRows(rows))
+      .catch((error) => {
+        if (!isCancelled(error)) console.error("Error loading rows:", error);
+      });
+    return () => {
+      stale = true;
+    };
+  }, [needsViewRows, isSqlFiltering, dbVersion, dataConfig, sqlFilters]);
 
   // Filtering
   useEffect(() => {
@@ -182,168 +704,455 @@ function App() {
 
     if (searchName && config.textSearchColumn) {
       filtered = filtered.filter((item) =>
-        (item[config.textSearchColumn] || "")
-          .toLowerCase()
-          .includes(searchName.toLowerCase()),
+        sqlLower(item[config.textSearchColumn] || "").includes(
+          sqlLower(searchName),
+        ),
       );
     }
 
     for (const [col, { include, exclude }] of Object.entries(taggableFilters)) {
+      const column = config.columns.find((c) => c.field === col);
       if (include.length > 0) {
-        filtered = filtered.filter((item) => {
-          const itemValues = (item[col] || "")
-            .split(",")
-            .map((v) => v.trim().toLowerCase());
-          return include.every((v) => itemValues.includes(v.toLowerCase()));
-        });
+        filtered = filtered.filter((item) =>
+          include.every((v) => hasTag(item[col], v, column)),
+        );
       }
       if (exclude.length > 0) {
-        filtered = filtered.filter((item) => {
-          const itemValues = (item[col] || "")
-            .split(",")
-            .map((v) => v.trim().toLowerCase());
-          return !exclude.some((v) => itemValues.includes(v.toLowerCase()));
-        });
+        filtered = filtered.filter(
+          (item) => !exclude.some((v) => hasTag(item[col], v, column)),
+        );
       }
     }
 
+    if (expression) {
+      filtered = filtered.filter((item) =>
+        matchExpression(item, config.columns, expression),
+      );
+    }
+
+    if (columnFilter.items.length > 0) {
+      filtered = filtered.filter(compileFilter(config.columns, columnFilter));
+    }
+
     setUnsortedFiltered(filtered);
-  }, [data, searchName, taggableFilters, config]);
+  }, [data, searchName, taggableFilters, columnFilter, expression, config]);
+
+  // Tabulator integration
+  const columns = useMemo(
+    () =>
+      config.columns.map((col) => {
+        const colDef = {
+          title: col.header,
+          field: col.field,
+          headerSort: true,
+          resizable: true,
+          headerHozAlign: "left",
+          visible: isColumnVisible(col, visibleColumns),
+          frozen: Boolean(col.frozen),
+        };
+
+        if (col.type === "taggable") {
+          colDef.formatter = (cell) =>
+            renderTags(cell.getValue(), col, getTagColor.current);
+          colDef.hozAlign = "left";
+          colDef.width = 250;
+          colDef.cssClass = "taggable-column";
+          // Looked-up tags aren't a column of mainQuery to sort by
+          if (col.encoding === "query") colDef.headerSort = false;
+        } else if (col.type === "date") {
+          colDef.sorter = (a, b) => {
+            const getDateScore = (dateStr) => {
+              if (!dateStr || dateStr === "") return 0;
+              return 1;
+            };
+
+            const scoreA = getDateScore(a);
+            const scoreB = getDateScore(b);
+
+            if (scoreA !== scoreB) {
+              return scoreB - scoreA;
+            }
+
+            return new Date(b).getTime() - new Date(a).getTime();
+          };
+          colDef.hozAlign = "left";
+        } else if (valueType(col) === "number") {
+          colDef.sorter = "number";
+          colDef.hozAlign = "right";
+        } else if (col.type === "boolean") {
+          colDef.sorter = "boolean";
+          colDef.formatter = (cell) => {
+            return booleanGlyph(col, cell.getValue());
+          };
+          colDef.hozAlign = "center";
+          colDef.width = 80;
+        } else {
+          colDef.hozAlign = "left";
+        }
+
+        const formatter = cellFormatter(col, {
+          colorOf: (value) => getTagColor.current(value),
+        });
+        if (formatter) colDef.formatter = formatter;
+        if (col.type === "image") {
+          colDef.headerSort = false;
+        }
+
+        if (col.width) colDef.width = col.width;
+
+        if (isEditing && col.edit) {
+          colDef.editor =
+            col.type === "boolean"
+              ? "tickCross"
+              : valueType(col) === "number"
+                ? "number"
+                : "input";
+          colDef.cssClass = `${colDef.cssClass || ""} editable-column`.trim();
+        }
 
+        return colDef;
+      }),
+    [config.columns, visibleColumns, isEditing],
+  );
+
+  // A grid is built while there are rows to show, and again on switching
+  // between in-memory and SQL filtering; the effects below keep it current
+  const hasRows = isSqlFiltering ? isDbOpen : unsortedFiltered.length > 0;
+  const pageSize = config.pageSize || 100;
   useEffect(() => {
-    window.tagFilter = (col, value) => {
-      handleAddTaggableFilter(col, value, "include");
+    if (!hasRows) return;
+    const dataOptions = isSqlFiltering
+      ? {
+          pagination: true,
+          paginationMode: "remote",
+          paginationSize: pageSize,
+          sortMode: "remote",
+          ajaxRequestFunc: (url, ajaxConfig, params) =>
+            loadPageRef.current(params),
+        }
+      : {};
+    const instance = new Tabulator(tableRef.current, {
+      ...dataOptions,
+      layout: "fitColumns",
+      height: "calc(100vh - 150px)",
+      selectable: false,
+      // Single clicks stay free for tag filtering
+      editTriggerEvent: "dblclick",
+      movableColumns: true,
+    });
+    let current = true;
+    instance.on("tableBuilt", () => current && setTable(instance));
+    return () => {
+      current = false;
+      instance.destroy();
+      setTable(null);
     };
-  }, []);
-  const renderTaggableCell = (cell) => {
-    const value = cell.getValue() || "";
-    const tags = value
-      .split(",")
-      .map((tag) => tag.trim())
-      .filter((tag) => tag);
-
-    if (tags.length === 0) return "";
-
-    const htmlTags = tags
-      .map(
-        (tag) => `
-      <span class="table-tag"
-            style="background-color: ${getTagColor.current(tag)}; color: white;"
-            title="Click to filter by: ${tag}"
-            onclick="window.tagFilter('${cell.getColumn().getField()}', '${tag}')">
-        ${tag}
-      </span>
-    `,
-      )
-      .join("");
+  }, [hasRows, isSqlFiltering, pageSize]);
 
-    return `<div class="table-tag-container">${htmlTags}</div>`;
-  };
+  useEffect(() => {
+    if (isLive(table)) table.setColumns(columns);
+  }, [table, columns]);
 
-  // Tabulator integration
   useEffect(() => {
-    if (unsortedFiltered.length === 0) {
-      if (tabulatorInstance.current) {
-        tabulatorInstance.current.destroy();
-        tabulatorInstance.current = null;
-      }
-      return;
+    if (isLive(table)) table.setGroupBy(config.groupBy || false);
+  }, [table, config.groupBy]);
+
+  // Applies a sort restored from the URL, or the default of a new view
+  useEffect(() => {
+    if (!isLive(table)) return;
+    const wanted = sort || defaultSort;
+    const current = table
+      .getSorters()
+      .map(({ field, dir }) => ({ field, dir }));
+    if (!sameSort(current, wanted)) {
+      table.setSort(wanted.map(({ field, dir }) => ({ column: field, dir })));
     }
+  }, [table, sort, defaultSort, configVersion]);
 
-    const columns = config.columns.map((col) => {
-      const colDef = {
-        title: col.header,
-        field: col.field,
-        headerSort: true,
-        resizable: true,
-        headerHozAlign: "left",
-      };
+  useEffect(() => {
+    if (isLive(table) && !isSqlFiltering) table.setData(unsortedFiltered);
+  }, [table, isSqlFiltering, unsortedFiltered]);
 
-      if (col.type === "taggable") {
-        colDef.formatter = (cell) => renderTaggableCell(cell);
-        colDef.hozAlign = "left";
-        colDef.width = 250;
-        colDef.cssClass = "taggable-column";
-      } else if (col.type === "date") {
-        colDef.sorter = (a, b) => {
-          const getDateScore = (dateStr) => {
-            if (!dateStr || dateStr === "") return 0;
-            return 1;
-          };
+  // Reloads SQL-filtered rows from the first page. Tabulator keeps the
+  // request function it was built with; that one calls the loader of the
+  // latest reload, which its page and sort changes go on using.
+  useEffect(() => {
+    if (!isLive(table) || !isSqlFiltering) return;
+    loadPageRef.current = loadPage;
+    table.setData("sqlite");
+  }, [table, isSqlFiltering, loadPage, dbVersion, configVersion]);
 
-          const scoreA = getDateScore(a);
-          const scoreB = getDateScore(b);
+  useEffect(() => {
+    if (isLive(table)) {
+      table.element.classList.toggle("tabulator-midnight", isDarkMode);
+    }
+  }, [table, isDarkMode]);
 
-          if (scoreA !== scoreB) {
-            return scoreB - scoreA;
-          }
+  // Edits start over with each newly opened database
+  useEffect(() => {
+    setChanges([]);
+    setSavedCount(0);
+    setEditError(null);
+  }, [dbOpened]);
 
-          return new Date(b).getTime() - new Date(a).getTime();
-        };
-        colDef.hozAlign = "left";
-      } else if (col.type === "number") {
-        colDef.sorter = "number";
-        colDef.hozAlign = "right";
-      } else if (col.type === "boolean") {
-        colDef.sorter = "boolean";
-        colDef.formatter = (cell) => {
-          const val = cell.getValue();
-          return val ? col.trueRender || "✅" : col.falseRender || "❌";
-        };
-        colDef.hozAlign = "center";
-        colDef.width = 80;
-      } else {
-        colDef.hozAlign = "left";
+  const updateRows = useCallback(
+    (keyField, keyValue, field, value) => {
+      if (isSqlFiltering) {
+        // Reload the page so edits show up (or drop out of the filter)
+        if (table) table.setPage(table.getPage());
+        return;
       }
+      setData((prev) =>
+        prev.map((row) =>
+          row[keyField] === keyValue ? { ...row, [field]: value } : row,
+        ),
+      );
+    },
+    [isSqlFiltering, table],
+  );
 
-      return colDef;
-    });
+  const handleCellEdited = useCallback(
+    async (cell) => {
+      const column = config.columns.find((c) => c.field === cell.getField());
+      if (!column || !column.edit) return;
 
-    if (!tabulatorInstance.current) {
-      tabulatorInstance.current = new Tabulator(tableRef.current, {
-        data: unsortedFiltered,
-        columns,
-        layout: "fitColumns",
-        height: "calc(100vh - 150px)",
-        selectable: false,
-        initialSort: [
-          { column: config.defaultSortField, dir: config.defaultSortDir },
-        ],
-      });
-    } else {
-      tabulatorInstance.current.setData(unsortedFiltered);
-      tabulatorInstance.current.setColumns(columns);
+      try {
+        const change = await planCellEdit(
+          column,
+          cell.getRow().getData(),
+          cell.getValue(),
+          cell.getOldValue(),
+        );
+        if (!change) return;
+        await write(change.forward);
+        setChanges((prev) => [...prev, change]);
+        setEditError(null);
+        updateRows(
+          change.keyField,
+          change.keyValue,
+          change.field,
+          change.newValue,
+        );
+      } catch (error) {
+        cell.restoreOldValue();
+        setEditError(
+          isCancelled(error)
+            ? "Edit cancelled."
+            : `Edit failed: ${error.message}`,
+        );
+      }
+    },
+    [config.columns, updateRows],
+  );
+
+  const handleUndo = async () => {
+    const change = changes[changes.length - 1];
+    try {
+      await write(change.backward);
+    } catch (error) {
+      setEditError(`Undo failed: ${error.message}`);
+      return;
     }
+    setChanges((prev) => prev.slice(0, -1));
+    setSavedCount((n) => Math.min(n, changes.length - 1));
+    setEditError(null);
+    updateRows(change.keyField, change.keyValue, change.field, change.oldValue);
+  };
 
-    if (tabulatorInstance.current) {
-      const tableEl = tabulatorInstance.current.element;
-      tableEl.classList.toggle("tabulator-midnight", isDarkMode);
+  const handleDownloadModified = async () => {
+    try {
+      const bytes = await exportDatabase();
+      downloadBlob(
+        new Blob([bytes], { type: "application/x-sqlite3" }),
+        `${baseName}-modified.db`,
+      );
+      setSavedCount(changes.length);
+    } catch (error) {
+      if (!isCancelled(error)) setEditError(`Export failed: ${error.message}`);
     }
-  }, [unsortedFiltered, config, isDarkMode]);
+  };
+
+  // Rows after search, tag filters and the grid's own sorting, with the
+  // config entries of the columns currently shown
+  const getVisibleView = async () => {
+    if (!table) return { rows: [], columns: [] };
+    const columns = table
+      .getColumns()
+      .filter((column) => column.isVisible())
+      .map((column) =>
+        config.columns.find((c) => c.field === column.getField()),
+      )
+      .filter(Boolean);
+    if (!isSqlFiltering) return { rows: table.getData("active"), columns };
 
-  // Destroy Tabulator on unmount
+    // Every matching row, not just the page on screen
+    const sort = table.getSorters().map(({ field, dir }) => ({ field, dir }));
+    const view = buildViewQuery(config, sqlFilters, { sort });
+    const { rows } = await query(view.sql, {
+      params: view.params,
+      label: "Collecting rows",
+    });
+    return { rows: await attachTags(config, rows), columns };
+  };
+
+  // Release the database on unmount
   useEffect(() => {
     return () => {
-      if (tabulatorInstance.current) {
-        tabulatorInstance.current.destroy();
-      }
+      closeDatabase();
     };
   }, []);
 
+  // "include" and "exclude" move the tag to that list; "only" makes it the
+  // column's single filter
   const handleAddTaggableFilter = (col, value, type) => {
     if (!value) return;
     setTaggableFilters((prev) => {
-      const filters = { ...prev };
-      if (!filters[col]) filters[col] = { include: [], exclude: [] };
-      if (type === "include" && !filters[col].include.includes(value)) {
-        filters[col].include.push(value);
-      } else if (type === "exclude" && !filters[col].exclude.includes(value)) {
-        filters[col].exclude.push(value);
-      }
-      return filters;
+      const current = prev[col] || { include: [], exclude: [] };
+      const without = (list) => list.filter((v) => v !== value);
+      const next =
+        type === "only"
+          ? { include: [value], exclude: [] }
+          : type === "exclude"
+            ? {
+                include: without(current.include),
+                exclude: [...without(current.exclude), value],
+              }
+            : {
+                include: [...without(current.include), value],
+                exclude: without(current.exclude),
+              };
+      return { ...prev, [col]: next };
     });
   };
 
+  const handleChartSelect = (chart, point) => {
+    const filter = pointFilter(chart, point, config.columns);
+    if (!filter) return;
+    if (filter.tag) {
+      handleAddTaggableFilter(filter.tag.field, filter.tag.value, "include");
+      return;
+    }
+    setColumnFilter((prev) => ({
+      ...prev,
+      items: [...prev.items, { id: newFilterId(), ...filter.condition }],
+    }));
+  };
+
+  const addEqualsFilter = (field, value) => {
+    if (!config.columns.some((c) => c.field === field)) return;
+    setColumnFilter((prev) => ({
+      ...prev,
+      items: [
+        ...prev.items,
+        { id: newFilterId(), field, op: "equals", value: String(value) },
+      ],
+    }));
+  };
+
+  const handleGraphSelect = (name) =>
+    addEqualsFilter(graphSettings(config).nodeField, name);
+
+  // Layout changes from the column chooser or the grid's headers are saved
+  // into the config; they replace a `cols` list from the URL
+  const handleLayoutChange = useCallback(
+    (columns, groupBy) => {
+      setVisibleColumns(null);
+      updateConfig({ columns, groupBy });
+    },
+    [updateConfig],
+  );
+
+  const handleColumnMoved = useCallback(() => {
+    const fields = table.getColumns().map((column) => column.getField());
+    handleLayoutChange(
+      orderColumns(applyVisibility(config.columns, visibleColumns), fields),
+      config.groupBy,
+    );
+  }, [
+    table,
+    config.columns,
+    config.groupBy,
+    visibleColumns,
+    handleLayoutChange,
+  ]);
+
+  const handleColumnResized = useCallback(
+    (column) =>
+      handleLayoutChange(
+        setColumnOption(
+          applyVisibility(config.columns, visibleColumns),
+          column.getField(),
+          "width",
+          Math.round(column.getWidth()),
+        ),
+        config.groupBy,
+      ),
+    [config.columns, config.groupBy, visibleColumns, handleLayoutChange],
+  );
+
+  // Tags in the table filter on click, exclude on Shift+click and offer more
+  // on right-click. Their field and value come from data attributes.
+  const tagTarget = (e) => {
+    const badge = e.target.closest(".table-tag");
+    return badge && { field: badge.dataset.field, tag: badge.dataset.tag };
+  };
+
+  const handleTableClick = (e) => {
+    const target = tagTarget(e);
+    if (!target) return;
+    handleAddTaggableFilter(
+      target.field,
+      target.tag,
+      e.shiftKey ? "exclude" : "include",
+    );
+  };
+
+  const handleTableContextMenu = (e) => {
+    const target = tagTarget(e);
+    if (!target) return;
+    e.preventDefault();
+    setTagMenu({ x: e.clientX, y: e.clientY, ...target });
+  };
+
+  // Clicking a row opens its details, except on a tag, which filters, and
+  // on links and collapsible JSON
+  const handleRowClick = useCallback(
+    (e, row) => {
+      if (e.target.closest(".table-tag, a, .cell-json")) return;
+      const key = row.getData()[detailSettings(config).keyField];
+      if (key !== null && key !== undefined) setDetailKey(key);
+    },
+    [config],
+  );
+
+  useEffect(() => {
+    if (!isLive(table)) return;
+    const handlers = {
+      cellEdited: handleCellEdited,
+      rowClick: handleRowClick,
+      columnMoved: handleColumnMoved,
+      columnResized: handleColumnResized,
+      dataSorted: (sorters) => {
+        const next = sorters.map(({ field, dir }) => ({ field, dir }));
+        setSort((prev) => (sameSort(prev, next) ? prev : next));
+      },
+    };
+    for (const [event, handler] of Object.entries(handlers)) {
+      table.on(event, handler);
+    }
+    return () => {
+      for (const [event, handler] of Object.entries(handlers)) {
+        table.off(event, handler);
+      }
+    };
+  }, [
+    table,
+    handleCellEdited,
+    handleRowClick,
+    handleColumnMoved,
+    handleColumnResized,
+  ]);
+
   const handleRemoveTaggableFilter = (col, value, type) => {
     setTaggableFilters((prev) => {
       const filters = { ...prev };
@@ -356,17 +1165,186 @@ function App() {
     });
   };
 
-  const handleFileUpload = async (event) => {
+  // Expressions made only of required and excluded tags become chips, so
+  // the dropdowns and the query box always describe the same filter
+  const handleApplyExpression = (text) => {
+    let tree;
+    try {
+      tree = parseExpression(text, config);
+    } catch (error) {
+      return { message: error.message, position: error.position };
+    }
+    const taggableColumns = config.taggableColumns || [];
+    const chips = expressionToChips(tree, taggableColumns);
+    setTaggableFilters(chips || expressionToChips(null, taggableColumns));
+    setExpression(chips ? null : tree);
+    return null;
+  };
+
+  const expressionText = formatExpression(
+    combineExpressions(expression, chipsToExpression(taggableFilters)),
+    config,
+  );
+
+  // Opens a database from a file's bytes, unpacking .gz and .zip archives,
+  // and adds it to the recent list
+  const openBytes = useCallback(
+    async (bytes, name, { handle, remember = true } = {}) => {
+      let database;
+      try {
+        database = await readDatabase(bytes, name);
+        await openDatabase(toArrayBuffer(database.bytes));
+        setDbName(database.name);
+      } catch (error) {
+        console.error("Error reading file:", error);
+        alert(`Failed to open ${name}: ${error.message}`);
+        return;
+      }
+      if (!remember) return;
+
+      try {
+        await rememberDatabase({
+          name: database.name,
+          size: database.bytes.byteLength,
+          buffer: toArrayBuffer(database.bytes),
+          handle,
+        });
+        setRecentVersion((v) => v + 1);
+      } catch (error) {
+        console.error("Error remembering database:", error);
+      }
+    },
+    [],
+  );
+
+  const openFile = useCallback(
+    async (file, handle) =>
+      openBytes(new Uint8Array(await file.arrayBuffer()), file.name, {
+        handle,
+      }),
+    [openBytes],
+  );
+
+  // Opens a database on a web server in place, fetching only the pages
+  // queries read. It isn't added to the recent list or editable.
+  const openUrlOnDemand = useCallback(async (url) => {
+    try {
+      const href = resolveDatabaseUrl(url);
+      await openRemoteDatabase(href);
+      setDbName(fileNameOf(href));
+      setIsEditing(false);
+    } catch (error) {
+      console.error("Error opening remote database:", error);
+      alert(`Failed to open the database: ${error.message}`);
+    }
+  }, []);
+
+  // Downloads a database, showing progress until it's opened or cancelled
+  const openUrl = useCallback(
+    async (url, { onDemand = false } = {}) => {
+      if (downloadRef.current) downloadRef.current.abort();
+      if (onDemand) return openUrlOnDemand(url);
+      const controller = new AbortController();
+      downloadRef.current = controller;
+      let href;
+      let bytes;
+      try {
+        href = resolveDatabaseUrl(url);
+        setDownload({ name: fileNameOf(href), loaded: 0, total: null });
+        bytes = await fetchDatabase(href, {
+          signal: controller.signal,
+          onProgress: ({ loaded, total }) =>
+            setDownload({ name: fileNameOf(href), loaded, total }),
+        });
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          console.error("Error downloading database:", error);
+          alert(`Failed to download the database: ${error.message}`);
+        }
+        return;
+      } finally {
+        if (downloadRef.current === controller) {
+          downloadRef.current = null;
+          setDownload(null);
+        }
+      }
+      await openBytes(bytes, fileNameOf(href));
+    },
+    [openBytes, openUrlOnDemand],
+  );
+
+  const cancelDownload = useCallback(() => {
+    if (downloadRef.current) downloadRef.current.abort();
+  }, []);
+
+  // A database linked as ?db=<url> (before the #) opens on load, on demand
+  // with &lazy
+  useEffect(() => {
+    const search = new URLSearchParams(window.location.search);
+    const url = search.get("db");
+    if (url) openUrl(url, { onDemand: search.has("lazy") });
+    return cancelDownload;
+  }, [openUrl, cancelDownload]);
+
+  // Files dropped anywhere on the page are opened
+  useEffect(() => {
+    let depth = 0;
+    const hasFiles = (e) =>
+      Array.from(e.dataTransfer.types || []).includes("Files");
+    const handleEnter = (e) => {
+      if (!hasFiles(e)) return;
+      depth++;
+      setIsDragging(true);
+    };
+    const handleLeave = (e) => {
+      if (!hasFiles(e)) return;
+      depth = Math.max(0, depth - 1);
+      if (depth === 0) setIsDragging(false);
+    };
+    const handleOver = (e) => hasFiles(e) && e.preventDefault();
+    const handleDrop = (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      depth = 0;
+      setIsDragging(false);
+      const [file] = e.dataTransfer.files;
+      if (file) openFile(file);
+    };
+    window.addEventListener("dragenter", handleEnter);
+    window.addEventListener("dragleave", handleLeave);
+    window.addEventListener("dragover", handleOver);
+    window.addEventListener("drop", handleDrop);
+    return () => {
+      window.removeEventListener("dragenter", handleEnter);
+      window.removeEventListener("dragleave", handleLeave);
+      window.removeEventListener("dragover", handleOver);
+      window.removeEventListener("drop", handleDrop);
+    };
+  }, [openFile]);
+
+  const handleFileUpload = (event) => {
     const file = event.target.files[0];
     if (!file) return;
+    openFile(file);
+  };
 
+  // With the File System Access API we get a handle that can be stored and
+  // reopened later without keeping a copy of the file
+  const handlePickFile = async () => {
+    let handle;
     try {
-      const arrayBuffer = await file.arrayBuffer();
-      setDbBuffer(arrayBuffer);
+      [handle] = await window.showOpenFilePicker({
+        types: [
+          {
+            description: "SQLite database",
+            accept: { "application/x-sqlite3": ACCEPTED_EXTENSIONS },
+          },
+        ],
+      });
     } catch (error) {
-      console.error("Error reading file:", error);
-      alert("Failed to read the file.");
+      return; // Picker dismissed
     }
+    openFile(await handle.getFile(), handle);
   };
 
   const customSelectStyles = {
@@ -468,14 +1446,53 @@ function App() {
       <div className="header">
         <h1>Database Reader</h1>
         <div className="header-controls">
+          <ProfileBar
+            profiles={profileState.profiles}
+            activeId={activeProfile.id}
+            dbFingerprint={dbFingerprint}
+            onSelect={selectProfile}
+            onChange={(profiles) =>
+              setProfileState((prev) => ({ ...prev, profiles }))
+            }
+          />
           <button onClick={() => setIsConfigOpen(!isConfigOpen)}>
             {isConfigOpen ? "Hide Config" : "Show Config"}
           </button>
+          <button onClick={() => setIsSchemaOpen(!isSchemaOpen)}>
+            {isSchemaOpen ? "Hide Schema" : "Show Schema"}
+          </button>
+          <button onClick={() => setIsChartsOpen(!isChartsOpen)}>
+            {isChartsOpen ? "Hide Charts" : "Show Charts"}
+          </button>
+          <button onClick={() => setIsGraphOpen(!isGraphOpen)}>
+            {isGraphOpen ? "Hide Graph" : "Show Graph"}
+          </button>
+          <button onClick={() => setIsConsoleOpen(!isConsoleOpen)}>
+            {isConsoleOpen ? "Hide SQL Console" : "Show SQL Console"}
+          </button>
+          <button
+            onClick={() => setIsEditing(!isEditing)}
+            disabled={isDbRemote}
+            title={
+              isDbRemote
+                ? "Databases opened on demand are read-only"
+                : "Edit columns that declare an `edit` mapping in the config"
+            }
+          >
+            {isEditing ? "Stop Editing" : "Edit Data"}
+          </button>
           <button onClick={() => setIsDarkMode(!isDarkMode)}>
             {isDarkMode ? "Light Mode" : "Dark Mode"}
           </button>
         </div>
       </div>
+      <QueryProgress />
+      {download && (
+        <DownloadProgress download={download} onCancel={cancelDownload} />
+      )}
+      {isDragging && (
+        <div className="drop-overlay">Drop a SQLite database to open it</div>
+      )}
       {isConfigOpen && (
         <div className="config-section">
           <h2>Edit Config (JSON)</h2>
@@ -485,11 +1502,64 @@ function App() {
             rows={15}
             cols={80}
           />
-          <button onClick={applyConfig}>Apply Config</button>
+          {configErrors.length > 0 && (
+            <ul className="config-errors">
+              {configErrors.map(({ path, message }, i) => (
+                <li key={i}>
+                  <code>{path}</code> {message}
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="config-actions">
+            <button onClick={applyConfig}>Apply Config</button>
+            <button
+              onClick={handleGenerateConfig}
+              disabled={!isDbOpen}
+              title="Inspect the loaded database and propose a config for it"
+            >
+              Generate Config
+            </button>
+          </div>
         </div>
       )}
       <div className="file-upload">
-        <input type="file" onChange={handleFileUpload} accept=".db" />
+        {canUseFileHandles ? (
+          <button onClick={handlePickFile}>Choose File</button>
+        ) : (
+          <input
+            type="file"
+            onChange={handleFileUpload}
+            accept={ACCEPTED_EXTENSIONS.join(",")}
+          />
+        )}
+        <form
+          className="url-open"
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (dbUrlInput.trim()) {
+              openUrl(dbUrlInput.trim(), { onDemand: isOnDemand });
+            }
+          }}
+        >
+          <input
+            type="text"
+            value={dbUrlInput}
+            onChange={(e) => setDbUrlInput(e.target.value)}
+            placeholder="https://… database URL (.db, .gz or .zip)"
+          />
+          <label title="Fetch only the parts of the file that queries read, with HTTP Range requests. The database is read-only.">
+            <input
+              type="checkbox"
+              checked={isOnDemand}
+              onChange={(e) => setIsOnDemand(e.target.checked)}
+            />
+            On demand
+          </label>
+          <button type="submit" disabled={Boolean(download)}>
+            Open URL
+          </button>
+        </form>
         <a
           href={`${process.env.PUBLIC_URL}/test-full.db`}
           download="test-full.db"
@@ -498,8 +1568,30 @@ function App() {
         >
           Download Example DB
         </a>
+        <RecentDatabases
+          onOpen={(name, buffer) =>
+            openBytes(new Uint8Array(buffer), name, { remember: false })
+          }
+          refreshKey={recentVersion}
+        />
       </div>
+      <ViewTabs
+        names={viewNames(fullConfig)}
+        active={tableView ? null : viewName}
+        onSelect={switchView}
+        table={tableView && tableView.name}
+        onCloseTable={() => switchView(viewName)}
+      />
+      <ExpressionInput value={expressionText} onApply={handleApplyExpression} />
       <div className="filters">
+        {config.parameters && config.parameters.length > 0 && (
+          <ParameterControls
+            parameters={config.parameters}
+            values={paramValues}
+            dbVersion={dbVersion}
+            onChange={setParamValues}
+          />
+        )}
         {textCol && (
           <div className="filter-group">
             <label>Search by {textCol.header}:</label>
@@ -512,10 +1604,10 @@ function App() {
           </div>
         )}
         {taggableCols.map((col) => {
-          const options = (availableValues[col.field] || []).map((value) => ({
-            value,
-            label: value,
-          }));
+          const values = availableValues[col.field] || [];
+          const options = col.hierarchy
+            ? tagTree(values, col.hierarchy)
+            : values.map((value) => ({ value, label: value }));
           return (
             <div key={col.field} className="filter-group">
               <div>
@@ -534,6 +1626,7 @@ function App() {
                   isSearchable={true}
                   value={null}
                   styles={customSelectStyles}
+                  formatOptionLabel={formatTagOption}
                 />
                 <div className="tag-box">
                   {taggableFilters[col.field]?.include.map((value) => (
@@ -577,6 +1670,7 @@ function App() {
                   isSearchable={true}
                   value={null}
                   styles={customSelectStyles}
+                  formatOptionLabel={formatTagOption}
                 />
                 <div className="tag-box">
                   {taggableFilters[col.field]?.exclude.map((value) => (
@@ -608,7 +1702,76 @@ function App() {
           );
         })}
       </div>
-      <div ref={tableRef} className="table-container"></div>
+      <FilterBuilder
+        columns={config.columns}
+        filter={columnFilter}
+        onChange={setColumnFilter}
+      />
+      <div className="table-toolbar">
+        <ColumnChooser
+          columns={applyVisibility(config.columns, visibleColumns)}
+          groupBy={config.groupBy}
+          onChange={handleLayoutChange}
+        />
+        <ExportMenu getView={getVisibleView} baseName={baseName} />
+      </div>
+      {isChartsOpen && (
+        <ChartsPanel
+          charts={config.charts || []}
+          rows={isSqlFiltering ? viewRows : unsortedFiltered}
+          columns={config.columns}
+          colorOf={(key) => getTagColor.current(key)}
+          refreshKey={dbVersion}
+          onChange={(charts) => updateConfig({ charts })}
+          onSelect={handleChartSelect}
+        />
+      )}
+      {isGraphOpen && (
+        <GraphView
+          key={configVersion}
+          config={config}
+          rows={isSqlFiltering ? viewRows : unsortedFiltered}
+          colorOf={(tag) => getTagColor.current(tag)}
+          refreshKey={dbVersion}
+          onSelectNode={handleGraphSelect}
+        />
+      )}
+      {(isEditing || changes.length > 0) && (
+        <ChangesPanel
+          changes={changes}
+          savedCount={savedCount}
+          error={editError}
+          onUndo={handleUndo}
+          onDownload={handleDownloadModified}
+        />
+      )}
+      <div className="workspace">
+        {isSchemaOpen && <SchemaBrowser onSelectTable={handleSelectTable} />}
+        <div
+          ref={tableRef}
+          className="table-container"
+          onClick={handleTableClick}
+          onContextMenu={handleTableContextMenu}
+        ></div>
+        {tagMenu && (
+          <TagMenu
+            menu={tagMenu}
+            onFilter={handleAddTaggableFilter}
+            onClose={() => setTagMenu(null)}
+          />
+        )}
+        {isConsoleOpen && <SqlConsole isDarkMode={isDarkMode} />}
+        {detailKey !== null && (
+          <DetailDrawer
+            key={`${configVersion}:${detailKey}`}
+            config={config}
+            parameters={paramValues}
+            rowKey={detailKey}
+            onClose={() => setDetailKey(null)}
+            onShowInTable={addEqualsFilter}
+          />
+        )}
+      </div>
     </div>
   );
 }
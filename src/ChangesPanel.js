@@ -0,0 +1,48 @@
+import React from "react";
+
+const preview = (value) => {
+  if (value === null || value === undefined || value === "") return "∅";
+  const text = String(value);
+  return text.length > 40 ? `${text.slice(0, 40)}…` : text;
+};
+
+// Edits applied to the in-memory database that haven't been downloaded yet,
+// newest last, with undo and export
+function ChangesPanel({ changes, savedCount, error, onUndo, onDownload }) {
+  const unsaved = changes.length - savedCount;
+
+  return (
+    <div className="changes-panel">
+      <div className="changes-panel-header">
+        <h2>
+          Changes
+          {unsaved > 0 && (
+            <span className="schema-meta"> ({unsaved} unsaved)</span>
+          )}
+        </h2>
+        <button onClick={onUndo} disabled={changes.length === 0}>
+          Undo
+        </button>
+        <button onClick={onDownload}>Download modified database</button>
+      </div>
+      {error && <div className="sql-console-error">{error}</div>}
+      {changes.length === 0 ? (
+        <p className="schema-empty">
+          Double-click a cell in an editable column to change it.
+        </p>
+      ) : (
+        <ol className="changes-list">
+          {changes.map((change, i) => (
+            <li key={i} className={i < savedCount ? "saved" : ""}>
+              <strong>{change.header}</strong> of {change.keyField}{" "}
+              {String(change.keyValue)}: {preview(change.oldValue)} →{" "}
+              {preview(change.newValue)}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default ChangesPanel;
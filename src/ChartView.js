@@ -0,0 +1,239 @@
+import React from "react";
+
+// Plain SVG charts; every point is clickable and shows its value on hover
+
+const WIDTH = 600;
+const PALETTE = [
+  "#4e79a7",
+  "#f28e2b",
+  "#e15759",
+  "#76b7b2",
+  "#59a14f",
+  "#edc948",
+  "#b07aa1",
+  "#ff9da7",
+  "#9c755f",
+  "#bab0ac",
+];
+
+const formatValue = (value) =>
+  Number.isInteger(value) ? String(value) : value.toFixed(2);
+
+const shorten = (text, length) =>
+  text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+const Tooltip = ({ point }) => (
+  <title>
+    {point.key}: {formatValue(point.value)}
+  </title>
+);
+
+const BarChart = ({ points, colorOf, onSelect }) => {
+  const labelWidth = 150;
+  const rowHeight = 22;
+  const max = Math.max(...points.map((p) => p.value), 0) || 1;
+  const scale = (WIDTH - labelWidth - 60) / max;
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${points.length * rowHeight + 4}`}>
+      {points.map((point, i) => (
+        <g
+          key={point.key}
+          className="chart-point"
+          transform={`translate(0, ${i * rowHeight})`}
+          onClick={() => onSelect(point)}
+        >
+          <Tooltip point={point} />
+          <text x={labelWidth - 6} y={15} textAnchor="end">
+            {shorten(point.key, 22)}
+          </text>
+          <rect
+            x={labelWidth}
+            y={3}
+            width={Math.max(1, point.value * scale)}
+            height={rowHeight - 6}
+            fill={colorOf(point.key, i)}
+          />
+          <text x={labelWidth + point.value * scale + 4} y={15}>
+            {formatValue(point.value)}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+// Shared frame for charts with categories along the x axis
+const ColumnFrame = ({ points, children }) => {
+  const height = 220;
+  const step = Math.ceil(points.length / 8);
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${height + 40}`}>
+      <line x1={40} y1={height} x2={WIDTH} y2={height} className="chart-axis" />
+      {children(height)}
+      {points.map((point, i) =>
+        i % step === 0 ? (
+          <text
+            key={point.key}
+            x={40 + ((i + 0.5) * (WIDTH - 40)) / points.length}
+            y={height + 16}
+            textAnchor="middle"
+          >
+            {shorten(point.key, 12)}
+          </text>
+        ) : null,
+      )}
+    </svg>
+  );
+};
+
+const HistogramChart = ({ points, onSelect }) => {
+  const max = Math.max(...points.map((p) => p.value), 0) || 1;
+  const width = (WIDTH - 40) / points.length;
+  return (
+    <ColumnFrame points={points}>
+      {(height) =>
+        points.map((point, i) => {
+          const h = (point.value / max) * (height - 10);
+          return (
+            <rect
+              key={point.key}
+              className="chart-point"
+              x={40 + i * width + 1}
+              y={height - h}
+              width={Math.max(1, width - 2)}
+              height={h}
+              fill={PALETTE[0]}
+              onClick={() => onSelect(point)}
+            >
+              <Tooltip point={point} />
+            </rect>
+          );
+        })
+      }
+    </ColumnFrame>
+  );
+};
+
+const LineChart = ({ points, onSelect }) => {
+  const max = Math.max(...points.map((p) => p.value), 0) || 1;
+  return (
+    <ColumnFrame points={points}>
+      {(height) => {
+        const xy = points.map((point, i) => [
+          40 + ((i + 0.5) * (WIDTH - 40)) / points.length,
+          height - (point.value / max) * (height - 10),
+        ]);
+        return (
+          <>
+            <text x={36} y={14} textAnchor="end">
+              {formatValue(max)}
+            </text>
+            <polyline
+              points={xy.map((p) => p.join(",")).join(" ")}
+              fill="none"
+              stroke={PALETTE[0]}
+              strokeWidth={2}
+            />
+            {points.map((point, i) => (
+              <circle
+                key={point.key}
+                className="chart-point"
+                cx={xy[i][0]}
+                cy={xy[i][1]}
+                r={4}
+                fill={PALETTE[0]}
+                onClick={() => onSelect(point)}
+              >
+                <Tooltip point={point} />
+              </circle>
+            ))}
+          </>
+        );
+      }}
+    </ColumnFrame>
+  );
+};
+
+const PieChart = ({ points, colorOf, onSelect }) => {
+  const total = points.reduce((sum, p) => sum + p.value, 0) || 1;
+  const radius = 100;
+  const center = 110;
+  let angle = -Math.PI / 2;
+
+  const slices = points.map((point, i) => {
+    const sweep = (point.value / total) * 2 * Math.PI;
+    const start = angle;
+    angle += sweep;
+    const at = (a) => [
+      center + radius * Math.cos(a),
+      center + radius * Math.sin(a),
+    ];
+    const [x1, y1] = at(start);
+    const [x2, y2] = at(angle);
+    // A lone slice is a full circle, which an arc can't draw
+    const path =
+      points.length === 1
+        ? null
+        : `M ${center} ${center} L ${x1} ${y1} A ${radius} ${radius} 0 ${
+            sweep > Math.PI ? 1 : 0
+          } 1 ${x2} ${y2} Z`;
+    return { point, path, color: colorOf(point.key, i) };
+  });
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${Math.max(220, points.length * 18 + 10)}`}>
+      {slices.map(({ point, path, color }) => (
+        <g
+          key={point.key}
+          className="chart-point"
+          onClick={() => onSelect(point)}
+        >
+          <Tooltip point={point} />
+          {path ? (
+            <path d={path} fill={color} />
+          ) : (
+            <circle cx={center} cy={center} r={radius} fill={color} />
+          )}
+        </g>
+      ))}
+      {slices.map(({ point, color }, i) => (
+        <g
+          key={point.key}
+          className="chart-point"
+          transform={`translate(240, ${i * 18 + 10})`}
+          onClick={() => onSelect(point)}
+        >
+          <rect width={12} height={12} fill={color} />
+          <text x={18} y={11}>
+            {shorten(point.key, 30)} ({formatValue(point.value)},{" "}
+            {Math.round((point.value / total) * 100)}%)
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+const CHARTS = {
+  bar: BarChart,
+  line: LineChart,
+  pie: PieChart,
+  histogram: HistogramChart,
+};
+
+function ChartView({ type, points, colorOf, onSelect }) {
+  if (points.length === 0) {
+    return <p className="schema-empty">No data to chart.</p>;
+  }
+  const Chart = CHARTS[type] || BarChart;
+  return (
+    <Chart
+      points={points}
+      colorOf={(key, i) => colorOf(key) || PALETTE[i % PALETTE.length]}
+      onSelect={onSelect}
+    />
+  );
+}
+
+export default ChartView;
@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from "react";
+import ChartView from "./ChartView";
+import { chartPoints } from "./charts";
+import { query, isCancelled } from "./database";
+
+const EMPTY_CHART = {
+  title: "",
+  type: "bar",
+  groupBy: "",
+  aggregate: "count",
+  valueField: "",
+  sql: "",
+};
+
+// Drops empty optional fields so the saved config stays tidy
+const cleanChart = (chart) =>
+  Object.fromEntries(
+    Object.entries(chart).filter(([, value]) => value !== "" && value != null),
+  );
+
+const checkChart = (chart) => {
+  if (!chart.title) return "Give the chart a title.";
+  if (chart.type === "histogram") {
+    return chart.valueField ? null : "Histograms need a value field.";
+  }
+  if (!chart.groupBy) return "Pick a column to group by.";
+  if (chart.aggregate !== "count" && !chart.valueField) {
+    return `"${chart.aggregate}" needs a value field.`;
+  }
+  return null;
+};
+
+// Charts from the config's `charts` list, drawn from the filtered rows or
+// from their own `sql`. Clicking a point filters the table by it.
+function ChartsPanel({
+  charts,
+  rows,
+  columns,
+  colorOf,
+  refreshKey,
+  onChange,
+  onSelect,
+}) {
+  const [editing, setEditing] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [sqlResults, setSqlResults] = useState({});
+
+  useEffect(() => {
+    let stale = false;
+    const load = async () => {
+      const results = {};
+      for (const [i, chart] of charts.entries()) {
+        if (!chart.sql) continue;
+        try {
+          const result = await query(chart.sql, {
+            label: `Loading chart "${chart.title}"`,
+          });
+          results[i] = { rows: result.rows };
+        } catch (error) {
+          if (isCancelled(error)) return;
+          results[i] = { error: error.message };
+        }
+      }
+      if (!stale) setSqlResults(results);
+    };
+    load();
+    return () => {
+      stale = true;
+    };
+  }, [charts, refreshKey]);
+
+  const startEditing = (index) => {
+    setEditing({
+      index,
+      chart: { ...EMPTY_CHART, ...(index === null ? {} : charts[index]) },
+    });
+    setFormError(null);
+  };
+
+  const updateForm = (changes) =>
+    setEditing((prev) => ({ ...prev, chart: { ...prev.chart, ...changes } }));
+
+  const handleSave = () => {
+    const chart = cleanChart(editing.chart);
+    const problem = checkChart({ ...EMPTY_CHART, ...chart });
+    setFormError(problem);
+    if (problem) return;
+    onChange(
+      editing.index === null
+        ? [...charts, chart]
+        : charts.map((c, i) => (i === editing.index ? chart : c)),
+    );
+    setEditing(null);
+  };
+
+  const handleRemove = (index) => {
+    if (!window.confirm(`Remove chart "${charts[index].title}"?`)) return;
+    onChange(charts.filter((_, i) => i !== index));
+  };
+
+  const renderForm = () => {
+    const { chart } = editing;
+    const groupColumn = columns.find((c) => c.field === chart.groupBy);
+    return (
+      <div className="chart-form">
+        <input
+          type="text"
+          value={chart.title}
+          onChange={(e) => updateForm({ title: e.target.value })}
+          placeholder="Title"
+        />
+        <select
+          value={chart.type}
+          onChange={(e) => updateForm({ type: e.target.value })}
+        >
+          <option value="bar">Bar</option>
+          <option value="line">Line</option>
+          <option value="pie">Pie</option>
+          <option value="histogram">Histogram</option>
+        </select>
+        {chart.type !== "histogram" && (
+          <label>
+            Group by{" "}
+            <input
+              list="chart-fields"
+              value={chart.groupBy}
+              onChange={(e) => updateForm({ groupBy: e.target.value })}
+            />
+          </label>
+        )}
+        {groupColumn && groupColumn.type === "date" && (
+          <select
+            value={chart.dateBucket || "day"}
+            onChange={(e) => updateForm({ dateBucket: e.target.value })}
+          >
+            <option value="day">per day</option>
+            <option value="month">per month</option>
+            <option value="year">per year</option>
+          </select>
+        )}
+        {chart.type !== "histogram" && (
+          <select
+            value={chart.aggregate}
+            onChange={(e) => updateForm({ aggregate: e.target.value })}
+          >
+            <option value="count">count</option>
+            <option value="sum">sum of</option>
+            <option value="avg">average of</option>
+          </select>
+        )}
+        {(chart.type === "histogram" || chart.aggregate !== "count") && (
+          <label>
+            Value{" "}
+            <input
+              list="chart-fields"
+              value={chart.valueField}
+              onChange={(e) => updateForm({ valueField: e.target.value })}
+            />
+          </label>
+        )}
+        {chart.type === "histogram" && (
+          <label>
+            Bins{" "}
+            <input
+              type="number"
+              min="1"
+              value={chart.bins || 10}
+              onChange={(e) => updateForm({ bins: Number(e.target.value) })}
+            />
+          </label>
+        )}
+        <textarea
+          value={chart.sql}
+          onChange={(e) => updateForm({ sql: e.target.value })}
+          placeholder="Optional SQL to chart instead of the filtered rows"
+          rows={2}
+          spellCheck={false}
+        />
+        <datalist id="chart-fields">
+          {columns.map((c) => (
+            <option key={c.field} value={c.field}>
+              {c.header}
+            </option>
+          ))}
+        </datalist>
+        <div className="config-actions">
+          <button onClick={handleSave}>Save Chart</button>
+          <button onClick={() => setEditing(null)}>Cancel</button>
+        </div>
+        {formError && <div className="sql-console-error">{formError}</div>}
+      </div>
+    );
+  };
+
+  return (
+    <div className="charts-panel">
+      <div className="changes-panel-header">
+        <h2>Charts</h2>
+        <button onClick={() => startEditing(null)}>Add Chart</button>
+      </div>
+      {editing && renderForm()}
+      {charts.length === 0 && !editing && (
+        <p className="schema-empty">
+          No charts yet. Charts are saved in the config under "charts".
+        </p>
+      )}
+      <div className="charts-grid">
+        {charts.map((chart, i) => {
+          const result = chart.sql ? sqlResults[i] : { rows };
+          return (
+            <div key={i} className="chart-card">
+              <div className="chart-card-header">
+                <strong>{chart.title}</strong>
+                <button onClick={() => startEditing(i)}>Edit</button>
+                <button onClick={() => handleRemove(i)}>×</button>
+              </div>
+              {!result ? (
+                <p className="schema-empty">Loading…</p>
+              ) : result.error ? (
+                <div className="sql-console-error">{result.error}</div>
+              ) : (
+                <ChartView
+                  type={chart.type}
+                  points={chartPoints(result.rows, chart, columns)}
+                  colorOf={(key) =>
+                    columns.some(
+                      (c) => c.field === chart.groupBy && c.type === "taggable",
+                    )
+                      ? colorOf(key)
+                      : null
+                  }
+                  onSelect={(point) => onSelect(chart, point)}
+                />
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default ChartsPanel;
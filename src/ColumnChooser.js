@@ -0,0 +1,116 @@
+import React, { useState, useEffect, useRef } from "react";
+import { moveColumn, setColumnOption } from "./columnLayout";
+
+// Menu for the grid's layout: show, hide, pin and drag columns into order,
+// and pick a column to group rows by. Every change is a new `columns` list
+// and `groupBy` for the config.
+function ColumnChooser({ columns, groupBy, onChange }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [overIndex, setOverIndex] = useState(null);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handlePointer = (e) => {
+      if (!menuRef.current.contains(e.target)) setIsOpen(false);
+    };
+    const handleKey = (e) => e.key === "Escape" && setIsOpen(false);
+    window.addEventListener("mousedown", handlePointer);
+    window.addEventListener("keydown", handleKey);
+    return () => {
+      window.removeEventListener("mousedown", handlePointer);
+      window.removeEventListener("keydown", handleKey);
+    };
+  }, [isOpen]);
+
+  const setOption = (field, key, value) =>
+    onChange(setColumnOption(columns, field, key, value), groupBy);
+
+  const drop = (index) => {
+    if (dragIndex !== null && dragIndex !== index) {
+      onChange(moveColumn(columns, dragIndex, index), groupBy);
+    }
+    setDragIndex(null);
+    setOverIndex(null);
+  };
+
+  const shown = columns.filter((c) => !c.hidden).length;
+
+  return (
+    <div className="column-chooser" ref={menuRef}>
+      <button onClick={() => setIsOpen(!isOpen)}>
+        Columns ({shown}/{columns.length}) ▾
+      </button>
+      {isOpen && (
+        <div className="column-chooser-menu">
+          <ul>
+            {columns.map((column, i) => (
+              <li
+                key={column.field}
+                draggable
+                onDragStart={() => setDragIndex(i)}
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  setOverIndex(i);
+                }}
+                onDrop={() => drop(i)}
+                onDragEnd={() => {
+                  setDragIndex(null);
+                  setOverIndex(null);
+                }}
+                className={[
+                  dragIndex === i && "dragging",
+                  overIndex === i && dragIndex !== i && "drag-over",
+                ]
+                  .filter(Boolean)
+                  .join(" ")}
+              >
+                <span className="drag-handle" title="Drag to reorder">
+                  ⋮⋮
+                </span>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={!column.hidden}
+                    // The last shown column stays
+                    disabled={!column.hidden && shown === 1}
+                    onChange={(e) =>
+                      setOption(column.field, "hidden", !e.target.checked)
+                    }
+                  />
+                  {column.header}
+                </label>
+                <button
+                  className={column.frozen ? "pin pinned" : "pin"}
+                  title={column.frozen ? "Unfreeze" : "Freeze"}
+                  onClick={() =>
+                    setOption(column.field, "frozen", !column.frozen)
+                  }
+                >
+                  📌
+                </button>
+              </li>
+            ))}
+          </ul>
+          <label className="column-chooser-group">
+            Group rows by{" "}
+            <select
+              value={groupBy || ""}
+              onChange={(e) => onChange(columns, e.target.value || undefined)}
+            >
+              <option value="">(none)</option>
+              {columns.map((column) => (
+                <option key={column.field} value={column.field}>
+                  {column.header}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ColumnChooser;
@@ -0,0 +1,238 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { query, isCancelled } from "./database";
+import { bindParameters } from "./parameters";
+import { hasTables } from "./schema";
+import { detailSettings, rowQuery, keyParams, parseJsonValue } from "./detail";
+
+const formatScalar = (value) =>
+  value === null || value === undefined ? (
+    <span className="schema-meta">null</span>
+  ) : (
+    String(value)
+  );
+
+// Pretty-printed JSON with every object and array collapsible
+const JsonTree = ({ value, name, depth = 0 }) => {
+  const label = name !== undefined && (
+    <span className="json-key">{name}: </span>
+  );
+  if (value === null || typeof value !== "object") {
+    return (
+      <div className="json-line">
+        {label}
+        <span className={`json-${value === null ? "null" : typeof value}`}>
+          {JSON.stringify(value)}
+        </span>
+      </div>
+    );
+  }
+  const entries = Array.isArray(value)
+    ? value.map((item, i) => [i, item])
+    : Object.entries(value);
+  const [open, close] = Array.isArray(value) ? ["[", "]"] : ["{", "}"];
+  return (
+    <details className="json-node" open={depth < 2}>
+      <summary>
+        {label}
+        {open}
+        <span className="schema-meta"> {entries.length} </span>
+        {close}
+      </summary>
+      {entries.map(([key, item]) => (
+        <JsonTree key={key} name={key} value={item} depth={depth + 1} />
+      ))}
+    </details>
+  );
+};
+
+const Value = ({ value }) => {
+  const json = parseJsonValue(value);
+  return json === undefined ? formatScalar(value) : <JsonTree value={json} />;
+};
+
+const Fields = ({ record }) => (
+  <table className="detail-fields">
+    <tbody>
+      {Object.entries(record).map(([name, value]) => (
+        <tr key={name}>
+          <th>{name}</th>
+          <td>
+            <Value value={value} />
+          </td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const Related = ({ section, linkField, onOpen }) => {
+  if (section.error) {
+    return <div className="sql-console-error">{section.error}</div>;
+  }
+  if (section.rows.length === 0) {
+    return <p className="schema-empty">None</p>;
+  }
+  return (
+    <table className="detail-related">
+      <thead>
+        <tr>
+          {section.columns.map((c) => (
+            <th key={c}>{c}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {section.rows.map((row, i) => (
+          <tr key={i}>
+            {section.columns.map((c) => (
+              <td key={c}>
+                {c === linkField && row[c] != null ? (
+                  <button
+                    className="detail-link"
+                    onClick={() => onOpen(row[c])}
+                  >
+                    {String(row[c])}
+                  </button>
+                ) : (
+                  <Value value={row[c]} />
+                )}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+// Side panel for one row: every column of the main query, the full record
+// from `detail.query` and the related sub-queries. Following a related link
+// opens that row here, and Back returns to the previous one.
+function DetailDrawer({ config, parameters, rowKey, onClose, onShowInTable }) {
+  const settings = useMemo(() => detailSettings(config), [config]);
+  const [trail, setTrail] = useState([rowKey]);
+  const [detail, setDetail] = useState(null);
+  const key = trail[trail.length - 1];
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === "Escape" && !e.target.closest("input, textarea")) {
+        onClose();
+      }
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  useEffect(() => {
+    let stale = false;
+    const run = async (sql, label, params = keyParams(key)) => {
+      try {
+        return await query(sql, { params, label });
+      } catch (error) {
+        if (isCancelled(error)) throw error;
+        return { columns: [], rows: [], error: error.message };
+      }
+    };
+    const load = async () => {
+      // The main query's own parameters and the key, all positional
+      const main = bindParameters(rowQuery(config, settings.keyField), {
+        ...parameters,
+        key,
+      });
+      const row = await run(main.sql, "Loading row", main.params);
+      const isConfigured =
+        settings.defaultTables.length === 0 ||
+        (await hasTables(settings.defaultTables));
+      const record =
+        isConfigured && settings.query
+          ? await run(settings.query, "Loading record")
+          : null;
+      const related = [];
+      for (const { title, sql } of isConfigured ? settings.related : []) {
+        related.push(await run(sql, `Loading ${title}`));
+      }
+      if (!stale) setDetail({ key, row, record, related, isConfigured });
+    };
+    setDetail(null);
+    load().catch((error) => {
+      if (!isCancelled(error)) console.error("Error loading row:", error);
+    });
+    return () => {
+      stale = true;
+    };
+  }, [key, config, settings, parameters]);
+
+  const open = (next) => next !== key && setTrail((prev) => [...prev, next]);
+
+  return (
+    <aside className="detail-drawer">
+      <div className="changes-panel-header">
+        {trail.length > 1 && (
+          <button onClick={() => setTrail((prev) => prev.slice(0, -1))}>
+            ← Back
+          </button>
+        )}
+        <h2 title={String(key)}>{String(key)}</h2>
+        <button onClick={() => onShowInTable(settings.keyField, key)}>
+          Show in Table
+        </button>
+        <button onClick={onClose} title="Close (Esc)">
+          ×
+        </button>
+      </div>
+      {!detail ? (
+        <p className="schema-empty">Loading…</p>
+      ) : (
+        <>
+          <h3>Columns</h3>
+          {detail.row.error ? (
+            <div className="sql-console-error">{detail.row.error}</div>
+          ) : detail.row.rows.length === 0 ? (
+            <p className="schema-empty">
+              Not in the main query's results (it may be filtered out there).
+            </p>
+          ) : (
+            <Fields record={detail.row.rows[0]} />
+          )}
+          {detail.record && (
+            <>
+              <h3>Record</h3>
+              {detail.record.error ? (
+                <div className="sql-console-error">{detail.record.error}</div>
+              ) : detail.record.rows.length === 0 ? (
+                <p className="schema-empty">None</p>
+              ) : (
+                <Fields record={detail.record.rows[0]} />
+              )}
+            </>
+          )}
+          {!detail.isConfigured && (
+            <p className="schema-empty">
+              No record or related rows are configured. Add a{" "}
+              <code>detail</code> entry to the config.
+            </p>
+          )}
+          {detail.isConfigured &&
+            settings.related.map((related, i) => (
+              <details key={related.title} className="detail-section" open>
+                <summary>
+                  {related.title}{" "}
+                  <span className="schema-meta">
+                    {detail.related[i].rows.length}
+                  </span>
+                </summary>
+                <Related
+                  section={detail.related[i]}
+                  linkField={related.linkField || settings.keyField}
+                  onOpen={open}
+                />
+              </details>
+            ))}
+        </>
+      )}
+    </aside>
+  );
+}
+
+export default DetailDrawer;
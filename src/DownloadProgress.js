@@ -0,0 +1,28 @@
+import React from "react";
+import { formatBytes } from "./download";
+
+// Progress of a database being downloaded from a URL
+function DownloadProgress({ download, onCancel }) {
+  const { name, loaded, total } = download;
+  const percent = total ? Math.min(100, (loaded / total) * 100) : null;
+
+  return (
+    <div className="query-progress" role="status">
+      {percent === null ? (
+        <div className="query-progress-bar" />
+      ) : (
+        <div
+          className="download-progress-bar"
+          style={{ width: `${percent}%` }}
+        />
+      )}
+      <span>
+        Downloading {name}… {formatBytes(loaded)}
+        {total && ` of ${formatBytes(total)} (${Math.round(percent)}%)`}
+      </span>
+      <button onClick={onCancel}>Cancel</button>
+    </div>
+  );
+}
+
+export default DownloadProgress;
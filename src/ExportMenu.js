@@ -0,0 +1,95 @@
+import React, { useState } from "react";
+import {
+  EXPORT_FORMATS,
+  toCsv,
+  toJson,
+  toMarkdown,
+  toTable,
+} from "./exportView";
+import { buildDatabase, isCancelled } from "./database";
+import { downloadBlob, toFileName } from "./download";
+
+const DELIMITERS = [
+  { value: ",", label: "Comma" },
+  { value: ";", label: "Semicolon" },
+  { value: "\t", label: "Tab" },
+  { value: "|", label: "Pipe" },
+];
+
+// Exports what the grid currently shows. `getView` returns the visible rows
+// in display order and the config columns that are shown.
+function ExportMenu({ getView, baseName }) {
+  const [format, setFormat] = useState("csv");
+  const [delimiter, setDelimiter] = useState(",");
+  const [booleanGlyphs, setBooleanGlyphs] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleExport = async () => {
+    const options = { booleanGlyphs, delimiter };
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+
+    try {
+      const { rows, columns } = await getView();
+      let content;
+      if (format === "csv") content = toCsv(rows, columns, options);
+      else if (format === "json") content = toJson(rows, columns, options);
+      else if (format === "markdown") {
+        content = toMarkdown(rows, columns, options);
+      } else {
+        content = await buildDatabase(
+          "export",
+          toTable(rows, columns, options),
+        );
+      }
+      downloadBlob(
+        new Blob([content], { type: mimeType }),
+        toFileName(`${baseName}-view`, extension),
+      );
+      setError(null);
+    } catch (e) {
+      if (!isCancelled(e)) setError(`Export failed: ${e.message}`);
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      <label>
+        Export view as{" "}
+        <select value={format} onChange={(e) => setFormat(e.target.value)}>
+          {Object.entries(EXPORT_FORMATS).map(([value, { label }]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {format === "csv" && (
+        <label>
+          Delimiter{" "}
+          <select
+            value={delimiter}
+            onChange={(e) => setDelimiter(e.target.value)}
+          >
+            {DELIMITERS.map(({ value, label }) => (
+              <option key={label} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      <label title="Write booleans with the column's trueRender/falseRender glyphs instead of their stored values">
+        <input
+          type="checkbox"
+          checked={booleanGlyphs}
+          onChange={(e) => setBooleanGlyphs(e.target.checked)}
+        />{" "}
+        Boolean glyphs
+      </label>
+      <button onClick={handleExport}>Export</button>
+      {error && <span className="sql-console-error">{error}</span>}
+    </div>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,54 @@
+import React, { useState } from "react";
+
+// Text box for filter expressions. Shows `value` until the user edits it;
+// Enter applies the draft, Escape discards it. `onApply` returns a syntax
+// error ({ message, position }) or null.
+function ExpressionInput({ value, onApply }) {
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+  const text = draft ?? value;
+
+  const apply = () => {
+    if (draft === null) return;
+    const problem = onApply(draft);
+    setError(problem);
+    if (!problem) setDraft(null);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") apply();
+    if (e.key === "Escape") {
+      setDraft(null);
+      setError(null);
+    }
+  };
+
+  return (
+    <div className="expression-input">
+      <label>Query:</label>
+      <div className="expression-input-row">
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder='(#fantasy OR #scifi) AND NOT #dropped AND backlinks:"Reading List"'
+          spellCheck={false}
+          aria-invalid={Boolean(error)}
+        />
+        <button onClick={apply} disabled={draft === null}>
+          Apply
+        </button>
+      </div>
+      {error && (
+        <pre className="expression-error">
+          {text}
+          {"\n"}
+          {" ".repeat(error.position)}^ {error.message}
+        </pre>
+      )}
+    </div>
+  );
+}
+
+export default ExpressionInput;
@@ -0,0 +1,218 @@
+import React, { useState } from "react";
+import {
+  operatorsFor,
+  checkCondition,
+  describeCondition,
+  isGroup,
+  newFilterId as newId,
+} from "./columnFilters";
+import { valueType } from "./cellFormats";
+
+const ROOT = "root";
+
+const INPUT_TYPES = { date: "date", number: "number" };
+
+// Builds the typed column filter: pick a column, an operator for its type and
+// the values, then add the condition to the top level or to a group. Every
+// condition is shown as a removable chip.
+function FilterBuilder({ columns, filter, onChange }) {
+  const [field, setField] = useState("");
+  const [op, setOp] = useState("");
+  const [value, setValue] = useState("");
+  const [value2, setValue2] = useState("");
+  const [target, setTarget] = useState(ROOT);
+  const [error, setError] = useState(null);
+
+  const column = columns.find((c) => c.field === field) || columns[0];
+  if (!column) return null;
+  const operators = operatorsFor(column);
+  const operator = operators.find((o) => o.id === op) || operators[0];
+  const groups = filter.items.filter(isGroup);
+  const targetId = groups.some((g) => g.id === target) ? target : ROOT;
+
+  const selectColumn = (newField) => {
+    setField(newField);
+    setOp("");
+    setValue("");
+    setValue2("");
+    setError(null);
+  };
+
+  const updateGroup = (id, update) =>
+    onChange(
+      id === ROOT
+        ? update(filter)
+        : {
+            ...filter,
+            items: filter.items.map((item) =>
+              item.id === id ? update(item) : item,
+            ),
+          },
+    );
+
+  const handleAdd = () => {
+    const condition = {
+      id: newId(),
+      field: column.field,
+      op: operator.id,
+      value: operator.inputs > 0 ? value : undefined,
+      value2: operator.inputs > 1 ? value2 : undefined,
+    };
+    const problem = checkCondition(column, condition);
+    setError(problem);
+    if (problem) return;
+    updateGroup(targetId, (group) => ({
+      ...group,
+      items: [...group.items, condition],
+    }));
+    setValue("");
+    setValue2("");
+  };
+
+  const handleAddGroup = () => {
+    const group = {
+      id: newId(),
+      combinator: filter.combinator === "and" ? "or" : "and",
+      items: [],
+    };
+    onChange({ ...filter, items: [...filter.items, group] });
+    setTarget(group.id);
+  };
+
+  const removeItem = (id) =>
+    onChange({
+      ...filter,
+      items: filter.items
+        .filter((item) => item.id !== id)
+        .map((item) =>
+          isGroup(item)
+            ? { ...item, items: item.items.filter((c) => c.id !== id) }
+            : item,
+        ),
+    });
+
+  const toggleCombinator = (id) =>
+    updateGroup(id, (group) => ({
+      ...group,
+      combinator: group.combinator === "and" ? "or" : "and",
+    }));
+
+  const renderChip = (condition) => {
+    const col = columns.find((c) => c.field === condition.field);
+    if (!col) return null;
+    // Conditions that can't be applied, such as a bad regex from a link,
+    // stay visible but are left out of the filter
+    const problem = checkCondition(col, condition);
+    return (
+      <span
+        key={condition.id}
+        className={`tag ${problem ? "tag-inactive" : "tag-include"}`}
+      >
+        {describeCondition(col, condition)}
+        {problem && ` (not applied: ${problem})`}{" "}
+        <button onClick={() => removeItem(condition.id)}>×</button>
+      </span>
+    );
+  };
+
+  // Chips separated by the group's AND/OR, which toggles on click
+  const renderItems = (group) =>
+    group.items.map((item, i) => (
+      <React.Fragment key={item.id}>
+        {i > 0 && (
+          <button
+            className="filter-combinator"
+            onClick={() => toggleCombinator(group.id || ROOT)}
+            title="Switch between AND and OR"
+          >
+            {group.combinator.toUpperCase()}
+          </button>
+        )}
+        {isGroup(item) ? (
+          <span className="filter-builder-group">
+            (
+            {item.items.length === 0 ? (
+              <span className="schema-meta">empty group</span>
+            ) : (
+              renderItems(item)
+            )}
+            )
+            <button onClick={() => removeItem(item.id)} title="Remove group">
+              ×
+            </button>
+          </span>
+        ) : (
+          renderChip(item)
+        )}
+      </React.Fragment>
+    ));
+
+  const inputType = INPUT_TYPES[valueType(column)] || "text";
+
+  return (
+    <div className="filter-builder">
+      <div className="filter-builder-form">
+        <select
+          value={column.field}
+          onChange={(e) => selectColumn(e.target.value)}
+        >
+          {columns.map((c) => (
+            <option key={c.field} value={c.field}>
+              {c.header}
+            </option>
+          ))}
+        </select>
+        <select value={operator.id} onChange={(e) => setOp(e.target.value)}>
+          {operators.map((o) => (
+            <option key={o.id} value={o.id}>
+              {o.label}
+            </option>
+          ))}
+        </select>
+        {operator.inputs > 0 && (
+          <input
+            type={inputType}
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && handleAdd()}
+            placeholder={operator.id === "regex" ? "pattern" : "value"}
+          />
+        )}
+        {operator.inputs > 1 && (
+          <>
+            and
+            <input
+              type={inputType}
+              value={value2}
+              onChange={(e) => setValue2(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && handleAdd()}
+            />
+          </>
+        )}
+        {groups.length > 0 && (
+          <select value={targetId} onChange={(e) => setTarget(e.target.value)}>
+            <option value={ROOT}>Top level</option>
+            {groups.map((g, i) => (
+              <option key={g.id} value={g.id}>
+                Group {i + 1}
+              </option>
+            ))}
+          </select>
+        )}
+        <button onClick={handleAdd}>Add Filter</button>
+        <button onClick={handleAddGroup}>Add Group</button>
+        {filter.items.length > 0 && (
+          <button onClick={() => onChange({ ...filter, items: [] })}>
+            Clear
+          </button>
+        )}
+      </div>
+      {error && <div className="sql-console-error">{error}</div>}
+      {filter.items.length > 0 && (
+        <div className="tag-box">{renderItems(filter)}</div>
+      )}
+    </div>
+  );
+}
+
+export default FilterBuilder;
@@ -0,0 +1,202 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { buildGraph, graphSettings, layoutGraph } from "./graph";
+import { query, isCancelled } from "./database";
+import { hasTables } from "./schema";
+
+const WIDTH = 900;
+const HEIGHT = 560;
+const UNTAGGED_COLOR = "#888";
+
+// Force-directed graph of the links between the filtered rows and their
+// neighbours. Clicking a node filters the table to it.
+function GraphView({ config, rows, colorOf, refreshKey, onSelectNode }) {
+  const settings = graphSettings(config);
+  const taggable = config.taggableColumns || [];
+  const [depth, setDepth] = useState(settings.depth);
+  const [colorBy, setColorBy] = useState(settings.colorBy);
+  const [edges, setEdges] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [isConfigured, setIsConfigured] = useState(true);
+
+  useEffect(() => {
+    let stale = false;
+    setLoadError(null);
+    const load = async () => {
+      if (
+        settings.defaultTables.length > 0 &&
+        !(await hasTables(settings.defaultTables))
+      ) {
+        if (stale) return;
+        setIsConfigured(false);
+        setEdges([]);
+        return;
+      }
+      const result = await query(settings.edgeQuery, {
+        label: "Loading links",
+      });
+      if (stale) return;
+      setIsConfigured(true);
+      if (
+        !result.columns.includes("source") ||
+        !result.columns.includes("target")
+      ) {
+        setLoadError(
+          "The edge query must return `source` and `target` columns.",
+        );
+        setEdges([]);
+        return;
+      }
+      setEdges(result.rows);
+    };
+    load().catch((error) => {
+      if (isCancelled(error) || stale) return;
+      setLoadError(error.message);
+      setEdges([]);
+    });
+    return () => {
+      stale = true;
+    };
+  }, [settings.edgeQuery, settings.defaultTables, refreshKey]);
+
+  const colorColumn = config.columns.find((c) => c.field === colorBy);
+  const graph = useMemo(
+    () =>
+      edges &&
+      buildGraph(edges, rows, {
+        nodeField: settings.nodeField,
+        colorBy,
+        colorColumn,
+        depth,
+        maxNodes: settings.maxNodes,
+      }),
+    [
+      edges,
+      rows,
+      settings.nodeField,
+      settings.maxNodes,
+      colorBy,
+      colorColumn,
+      depth,
+    ],
+  );
+
+  const positions = useMemo(
+    () =>
+      graph
+        ? layoutGraph(graph.nodes, graph.links, {
+            width: WIDTH,
+            height: HEIGHT,
+          })
+        : [],
+    [graph],
+  );
+
+  const degree = useMemo(() => {
+    const counts = graph ? graph.nodes.map(() => 0) : [];
+    for (const { source, target } of graph ? graph.links : []) {
+      counts[source]++;
+      counts[target]++;
+    }
+    return counts;
+  }, [graph]);
+
+  const showLabels = graph && graph.nodes.length <= 60;
+
+  return (
+    <div className="graph-panel">
+      <div className="changes-panel-header">
+        <h2>Graph</h2>
+        <label>
+          Depth{" "}
+          <select
+            value={depth}
+            onChange={(e) => setDepth(Number(e.target.value))}
+          >
+            {[0, 1, 2, 3].map((d) => (
+              <option key={d} value={d}>
+                {d}
+              </option>
+            ))}
+          </select>
+        </label>
+        {taggable.length > 0 && (
+          <label>
+            Colour by{" "}
+            <select
+              value={colorBy || ""}
+              onChange={(e) => setColorBy(e.target.value || null)}
+            >
+              <option value="">nothing</option>
+              {taggable.map((field) => (
+                <option key={field} value={field}>
+                  {field}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+      {loadError && <div className="sql-console-error">{loadError}</div>}
+      {!isConfigured ? (
+        <p className="schema-empty">
+          No links are configured. Add a <code>graph</code> entry with an{" "}
+          <code>edgeQuery</code> to the config.
+        </p>
+      ) : !graph ? (
+        <p className="schema-empty">Loading…</p>
+      ) : graph.nodes.length === 0 ? (
+        <p className="schema-empty">No rows to draw.</p>
+      ) : (
+        <>
+          <p className="schema-meta">
+            {graph.nodes.filter((n) => n.seed).length} rows shown,{" "}
+            {graph.nodes.filter((n) => !n.seed).length} linked within {depth}{" "}
+            step{depth === 1 ? "" : "s"}, {graph.links.length} links
+            {graph.truncated && ` (first ${settings.maxNodes} nodes only)`}
+          </p>
+          <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="graph-canvas">
+            {graph.links.map(({ source, target }, i) => (
+              <line
+                key={i}
+                className="graph-link"
+                x1={positions[source][0]}
+                y1={positions[source][1]}
+                x2={positions[target][0]}
+                y2={positions[target][1]}
+              />
+            ))}
+            {graph.nodes.map((node, i) => (
+              <g
+                key={node.id}
+                className="chart-point"
+                transform={`translate(${positions[i][0]}, ${positions[i][1]})`}
+                opacity={node.seed ? 1 : 0.5}
+                onClick={() => onSelectNode(node.id)}
+              >
+                <title>
+                  {node.id}
+                  {node.tag ? ` (${node.tag})` : ""}
+                </title>
+                <circle
+                  r={Math.min(10, 4 + degree[i] / 2)}
+                  fill={
+                    node.tag
+                      ? colorOf(node.tag) || UNTAGGED_COLOR
+                      : UNTAGGED_COLOR
+                  }
+                />
+                {showLabels && (
+                  <text x={8} y={4}>
+                    {node.id}
+                  </text>
+                )}
+              </g>
+            ))}
+          </svg>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default GraphView;
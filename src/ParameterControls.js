@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from "react";
+import { queryColumn, isCancelled } from "./database";
+import { coerceValue } from "./parameters";
+
+const INPUT_TYPES = { number: "number", date: "date" };
+
+// Free text and numbers apply on Enter or when leaving the field, so the
+// table isn't re-queried on every keystroke
+const DraftInput = ({ parameter, value, onChange }) => {
+  const text = value === null ? "" : String(value);
+  const [draft, setDraft] = useState(text);
+  useEffect(() => setDraft(text), [text]);
+  const apply = () => {
+    const next = coerceValue(parameter, draft);
+    if (next !== value) onChange(next);
+  };
+  return (
+    <input
+      type={INPUT_TYPES[parameter.type] || "text"}
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={apply}
+      onKeyDown={(e) => e.key === "Enter" && apply()}
+      placeholder="(any)"
+    />
+  );
+};
+
+const ParameterInput = ({ parameter, value, options, onChange }) => {
+  if (parameter.type === "boolean") {
+    return (
+      <select
+        value={value === null ? "" : String(value)}
+        onChange={(e) => onChange(coerceValue(parameter, e.target.value))}
+      >
+        <option value="">(any)</option>
+        <option value="1">Yes</option>
+        <option value="0">No</option>
+      </select>
+    );
+  }
+  if (options) {
+    return (
+      <select
+        value={value === null ? "" : String(value)}
+        onChange={(e) => onChange(coerceValue(parameter, e.target.value))}
+      >
+        <option value="">(any)</option>
+        {options.map((option) => (
+          <option key={option} value={option}>
+            {option}
+          </option>
+        ))}
+      </select>
+    );
+  }
+  if (parameter.type === "date") {
+    return (
+      <input
+        type="date"
+        value={value === null ? "" : value}
+        onChange={(e) => onChange(coerceValue(parameter, e.target.value))}
+      />
+    );
+  }
+  return <DraftInput parameter={parameter} value={value} onChange={onChange} />;
+};
+
+// One control per declared parameter of the main query, in the filter bar
+function ParameterControls({ parameters, values, dbVersion, onChange }) {
+  const [options, setOptions] = useState({});
+
+  useEffect(() => {
+    if (!dbVersion) return;
+    let stale = false;
+    const load = async () => {
+      const loaded = {};
+      for (const { name, optionsQuery } of parameters) {
+        if (!optionsQuery) continue;
+        try {
+          loaded[name] = (
+            await queryColumn(optionsQuery, { label: `Loading ${name}` })
+          )
+            .filter((v) => v !== null && v !== undefined)
+            .map(String);
+        } catch (error) {
+          if (isCancelled(error)) return;
+          console.error(`Error loading options for ${name}:`, error);
+        }
+      }
+      if (!stale) setOptions(loaded);
+    };
+    load();
+    return () => {
+      stale = true;
+    };
+  }, [parameters, dbVersion]);
+
+  return parameters.map((parameter) => (
+    <div key={parameter.name} className="filter-group parameter-control">
+      <label>{parameter.label || parameter.name}:</label>
+      <ParameterInput
+        parameter={parameter}
+        value={values[parameter.name] ?? null}
+        options={options[parameter.name]}
+        onChange={(value) => onChange({ ...values, [parameter.name]: value })}
+      />
+    </div>
+  ));
+}
+
+export default ParameterControls;
@@ -0,0 +1,112 @@
+import React, { useRef } from "react";
+import { createProfile, exportProfile, parseProfileFile } from "./profiles";
+
+// Header controls for switching between and managing config profiles
+function ProfileBar({ profiles, activeId, dbFingerprint, onSelect, onChange }) {
+  const fileInputRef = useRef(null);
+  const active = profiles.find((p) => p.id === activeId) || profiles[0];
+
+  const updateActive = (changes) =>
+    onChange(
+      profiles.map((p) => (p.id === active.id ? { ...p, ...changes } : p)),
+    );
+
+  const handleDuplicate = () => {
+    const name = window.prompt(
+      "Name for the new profile:",
+      `${active.name} copy`,
+    );
+    if (!name) return;
+    const copy = createProfile(name, active.config);
+    onChange([...profiles, copy]);
+    onSelect(copy);
+  };
+
+  const handleRename = () => {
+    const name = window.prompt("Rename profile:", active.name);
+    if (name) updateActive({ name });
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete profile "${active.name}"?`)) return;
+    const remaining = profiles.filter((p) => p.id !== active.id);
+    onChange(remaining);
+    onSelect(remaining[0]);
+  };
+
+  const handleImport = async (event) => {
+    const files = [...event.target.files];
+    event.target.value = "";
+    try {
+      const imported = [];
+      for (const file of files) {
+        imported.push(
+          ...parseProfileFile(await file.text(), file.name, [
+            ...profiles.map((p) => p.id),
+            ...imported.map((p) => p.id),
+          ]),
+        );
+      }
+      if (imported.length === 0) return;
+      onChange([...profiles, ...imported]);
+      onSelect(imported[0]);
+    } catch (error) {
+      console.error("Error importing profiles:", error);
+      alert("Failed to import profile: " + error.message);
+    }
+  };
+
+  // Binding a profile to the loaded schema makes it the automatic choice for
+  // that database from now on
+  const isBound =
+    Boolean(dbFingerprint) && active.fingerprint === dbFingerprint;
+  const toggleBinding = () =>
+    updateActive({ fingerprint: isBound ? null : dbFingerprint });
+
+  return (
+    <div className="profile-bar">
+      <select
+        value={active.id}
+        onChange={(e) =>
+          onSelect(profiles.find((p) => p.id === e.target.value))
+        }
+        title="Config profile"
+      >
+        {profiles.map((p) => (
+          <option key={p.id} value={p.id}>
+            {p.name}
+            {p.fingerprint && p.fingerprint === dbFingerprint ? " 🔗" : ""}
+          </option>
+        ))}
+      </select>
+      <button onClick={handleDuplicate}>Duplicate</button>
+      <button onClick={handleRename}>Rename</button>
+      <button onClick={handleDelete} disabled={profiles.length < 2}>
+        Delete
+      </button>
+      <button onClick={() => exportProfile(active)}>Export</button>
+      <button onClick={() => fileInputRef.current.click()}>Import</button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        multiple
+        hidden
+        onChange={handleImport}
+      />
+      <button
+        onClick={toggleBinding}
+        disabled={!dbFingerprint}
+        title={
+          isBound
+            ? "Stop selecting this profile automatically for this database schema"
+            : "Select this profile automatically whenever a database with this schema is opened"
+        }
+      >
+        {isBound ? "Unlink from Schema" : "Link to Schema"}
+      </button>
+    </div>
+  );
+}
+
+export default ProfileBar;
@@ -0,0 +1,31 @@
+import React, { useState, useEffect } from "react";
+import { useDatabase, cancelQueries } from "./database";
+
+// Shows what the SQL worker is busy with and lets the user kill it
+function QueryProgress() {
+  const { activity } = useDatabase();
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!activity) return;
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [activity]);
+
+  if (!activity) return null;
+
+  const seconds = Math.max(0, (now - activity.startedAt) / 1000).toFixed(1);
+
+  return (
+    <div className="query-progress" role="status">
+      <div className="query-progress-bar" />
+      <span>
+        {activity.label}… {seconds}s
+        {activity.rowCount > 0 && `, ${activity.rowCount} rows`}
+      </span>
+      <button onClick={cancelQueries}>Cancel</button>
+    </div>
+  );
+}
+
+export default QueryProgress;
@@ -0,0 +1,122 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  isRecentSupported,
+  listRecent,
+  loadRecent,
+  forgetRecent,
+  clearRecent,
+  getStorageLimitMb,
+  setStorageLimitMb,
+} from "./recentStore";
+import { formatBytes } from "./download";
+
+// One-click list of previously opened databases. `refreshKey` changes
+// whenever the parent has remembered a new file.
+function RecentDatabases({ onOpen, refreshKey }) {
+  const [entries, setEntries] = useState([]);
+  const [limitMb, setLimitMb] = useState(getStorageLimitMb);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setEntries(await listRecent());
+    } catch (e) {
+      // Private browsing modes may refuse IndexedDB; just hide the list
+      console.error("Error listing recent databases:", e);
+      setEntries([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isRecentSupported) refresh();
+  }, [refresh, refreshKey]);
+
+  if (!isRecentSupported || entries.length === 0) return null;
+
+  const handleOpen = async (entry) => {
+    try {
+      const { name, buffer } = await loadRecent(entry.id);
+      setError(null);
+      await onOpen(name, buffer);
+    } catch (e) {
+      setError(e.message);
+    }
+    refresh();
+  };
+
+  const handleForget = async (entry) => {
+    try {
+      await forgetRecent(entry.id);
+    } catch (e) {
+      alert(`Failed to forget ${entry.name}: ${e.message}`);
+    }
+    refresh();
+  };
+
+  const handleClear = async () => {
+    try {
+      await clearRecent();
+    } catch (e) {
+      alert(`Failed to clear recent databases: ${e.message}`);
+    }
+    refresh();
+  };
+
+  const handleLimitChange = async (e) => {
+    const value = Math.max(1, Number(e.target.value) || 1);
+    setLimitMb(value);
+    await setStorageLimitMb(value);
+    refresh();
+  };
+
+  return (
+    <div className="recent-databases">
+      <div className="recent-databases-header">
+        <span>Recent databases</span>
+        <label title="Files stored in the browser beyond this total are forgotten, oldest first">
+          Keep up to{" "}
+          <input
+            type="number"
+            min="1"
+            value={limitMb}
+            onChange={handleLimitChange}
+          />{" "}
+          MB
+        </label>
+        <button onClick={handleClear}>Clear</button>
+      </div>
+      {error && <div className="sql-console-error">{error}</div>}
+      <ul>
+        {entries.map((entry) => (
+          <li key={entry.id}>
+            <button
+              className="recent-database-open"
+              onClick={() => handleOpen(entry)}
+              title={
+                entry.kind === "handle"
+                  ? "Reopen from disk"
+                  : "Reopen the copy stored in this browser"
+              }
+            >
+              {entry.name}
+            </button>
+            <span className="schema-meta">
+              {formatBytes(entry.size)} ·{" "}
+              {new Date(entry.lastOpened).toLocaleString()}
+              {entry.kind === "handle" && " · on disk"}
+            </span>
+            <button
+              className="recent-database-remove"
+              onClick={() => handleForget(entry)}
+              title="Forget this database"
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default RecentDatabases;
@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useDatabase, isCancelled } from "./database";
+import { countRows, loadSchema } from "./schema";
+
+function SchemaBrowser({ onSelectTable }) {
+  const { version, isRemote } = useDatabase();
+  const [schema, setSchema] = useState([]);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      // Remote tables are counted one at a time, on request
+      setSchema(await loadSchema({ rowCounts: !isRemote }));
+      setError(null);
+    } catch (e) {
+      if (!isCancelled(e)) setError(e.message);
+    }
+    setIsLoading(false);
+  }, [isRemote]);
+
+  const handleCount = async (name) => {
+    try {
+      const rowCount = await countRows(name);
+      setSchema((prev) =>
+        prev.map((table) =>
+          table.name === name ? { ...table, rowCount } : table,
+        ),
+      );
+    } catch (e) {
+      if (!isCancelled(e)) setError(e.message);
+    }
+  };
+
+  useEffect(() => {
+    if (version) refresh();
+  }, [version, refresh]);
+
+  return (
+    <div className="schema-browser">
+      <div className="schema-browser-header">
+        <h2>Schema</h2>
+        <button onClick={refresh} disabled={!version || isLoading}>
+          Refresh
+        </button>
+      </div>
+      {!version && <p className="schema-empty">No database loaded.</p>}
+      {error && <div className="sql-console-error">{error}</div>}
+      {schema.map((table) => (
+        <details key={table.name} className="schema-table">
+          <summary>
+            <button
+              className="schema-table-name"
+              onClick={(e) => {
+                e.preventDefault();
+                onSelectTable(table);
+              }}
+              title={`Show ${table.name} in the table`}
+            >
+              {table.name}
+            </button>
+            {table.type === "table" && table.rowCount === null ? (
+              <button
+                className="schema-count"
+                onClick={(e) => {
+                  e.preventDefault();
+                  handleCount(table.name);
+                }}
+                title="Reads the whole table"
+              >
+                Count rows
+              </button>
+            ) : (
+              <span className="schema-meta">
+                {table.type === "view"
+                  ? "view"
+                  : `${table.rowCount.toLocaleString()} rows`}
+              </span>
+            )}
+          </summary>
+          <ul className="schema-columns">
+            {table.columns.map((col) => (
+              <li key={col.name}>
+                <span>
+                  {col.primaryKey && "🔑 "}
+                  {col.name}
+                </span>
+                <span className="schema-meta">
+                  {col.type || "ANY"}
+                  {col.notNull && " NOT NULL"}
+                </span>
+              </li>
+            ))}
+          </ul>
+          {table.indexes.length > 0 && (
+            <>
+              <h3>Indexes</h3>
+              <ul className="schema-columns">
+                {table.indexes.map((index) => (
+                  <li key={index.name}>
+                    <span>{index.name}</span>
+                    <span className="schema-meta">
+                      {index.unique && "UNIQUE "}({index.columns.join(", ")})
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+          {table.foreignKeys.length > 0 && (
+            <>
+              <h3>Foreign keys</h3>
+              <ul className="schema-columns">
+                {table.foreignKeys.map((fk) => (
+                  <li key={`${fk.from}-${fk.table}-${fk.to}`}>
+                    <span>{fk.from}</span>
+                    <span className="schema-meta">
+                      → {fk.table}
+                      {fk.to && `.${fk.to}`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </details>
+      ))}
+    </div>
+  );
+}
+
+export default SchemaBrowser;
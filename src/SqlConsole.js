@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useRef } from "react";
+import { TabulatorFull as Tabulator } from "tabulator-tables";
+import { useDatabase, exec, isCancelled } from "./database";
+
+const HISTORY_KEY = "sqlConsoleHistory";
+const HISTORY_LIMIT = 50;
+
+const loadHistory = () => {
+  try {
+    return JSON.parse(localStorage.getItem(HISTORY_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+};
+
+function SqlConsole({ isDarkMode }) {
+  const [sql, setSql] = useState("SELECT name, type FROM sqlite_master;");
+  const [history, setHistory] = useState(loadHistory);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [elapsed, setElapsed] = useState(null);
+
+  const editorRef = useRef(null);
+  const gridRef = useRef(null);
+  const gridInstance = useRef(null);
+  const { isOpen } = useDatabase();
+
+  useEffect(() => {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+  }, [history]);
+
+  const execute = async (text) => {
+    const statement = text.trim();
+    if (!statement) return;
+    if (!isOpen) {
+      setError("Load a database first.");
+      return;
+    }
+
+    setHistory((prev) =>
+      [statement, ...prev.filter((h) => h !== statement)].slice(
+        0,
+        HISTORY_LIMIT,
+      ),
+    );
+
+    const started = performance.now();
+    try {
+      setResult(await exec(statement));
+      setError(null);
+    } catch (e) {
+      setResult(null);
+      setError(isCancelled(e) ? "Query cancelled." : e.message);
+    }
+    setElapsed(Math.round(performance.now() - started));
+  };
+
+  const runAll = () => execute(sql);
+
+  const runSelection = () => {
+    const editor = editorRef.current;
+    const selected = editor.value.substring(
+      editor.selectionStart,
+      editor.selectionEnd,
+    );
+    execute(selected || sql);
+  };
+
+  const handleKeyDown = (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key === "Enter") {
+      e.preventDefault();
+      if (e.shiftKey) runSelection();
+      else runAll();
+    }
+  };
+
+  // Result grid
+  useEffect(() => {
+    if (!result || result.columns.length === 0) {
+      if (gridInstance.current) {
+        gridInstance.current.destroy();
+        gridInstance.current = null;
+      }
+      return;
+    }
+
+    // Column names may repeat or contain dots, so key rows by position
+    const columns = result.columns.map((name, i) => ({
+      title: name,
+      field: `c${i}`,
+      headerSort: true,
+      resizable: true,
+      headerHozAlign: "left",
+    }));
+    const rows = result.rows.map((values) =>
+      Object.fromEntries(values.map((v, i) => [`c${i}`, v])),
+    );
+
+    if (!gridInstance.current) {
+      gridInstance.current = new Tabulator(gridRef.current, {
+        data: rows,
+        columns,
+        layout: "fitDataStretch",
+        height: "calc(100vh - 400px)",
+        selectable: false,
+      });
+    } else {
+      gridInstance.current.setColumns(columns);
+      gridInstance.current.setData(rows);
+    }
+
+    gridInstance.current.element.classList.toggle(
+      "tabulator-midnight",
+      isDarkMode,
+    );
+  }, [result, isDarkMode]);
+
+  useEffect(() => {
+    return () => {
+      if (gridInstance.current) {
+        gridInstance.current.destroy();
+      }
+    };
+  }, []);
+
+  return (
+    <div className="sql-console">
+      <h2>SQL Console</h2>
+      <textarea
+        ref={editorRef}
+        value={sql}
+        onChange={(e) => setSql(e.target.value)}
+        onKeyDown={handleKeyDown}
+        rows={8}
+        spellCheck={false}
+        placeholder="SELECT * FROM ..."
+      />
+      <div className="sql-console-controls">
+        <button onClick={runAll} title="Ctrl+Enter">
+          Run
+        </button>
+        <button onClick={runSelection} title="Ctrl+Shift+Enter">
+          Run Selection
+        </button>
+        <select
+          value=""
+          onChange={(e) => e.target.value && setSql(e.target.value)}
+          disabled={history.length === 0}
+        >
+          <option value="">History ({history.length})</option>
+          {history.map((h) => (
+            <option key={h} value={h}>
+              {h.replace(/\s+/g, " ").slice(0, 80)}
+            </option>
+          ))}
+        </select>
+        <button onClick={() => setHistory([])} disabled={!history.length}>
+          Clear History
+        </button>
+      </div>
+      {error && <div className="sql-console-error">{error}</div>}
+      {result && !error && (
+        <div className="sql-console-status">
+          {result.columns.length > 0
+            ? `${result.rows.length} row(s)`
+            : `Statement executed, ${result.modified} row(s) modified`}
+          {elapsed !== null && ` in ${elapsed} ms`}
+        </div>
+      )}
+      <div ref={gridRef} className="sql-console-grid"></div>
+    </div>
+  );
+}
+
+export default SqlConsole;
@@ -0,0 +1,63 @@
+import React, { useEffect, useRef } from "react";
+
+// Context menu for a tag badge in the table, opened at the pointer
+function TagMenu({ menu, onFilter, onClose }) {
+  const menuRef = useRef(null);
+  const { x, y, field, tag } = menu;
+
+  useEffect(() => {
+    const handlePointer = (e) => {
+      if (!menuRef.current || !menuRef.current.contains(e.target)) onClose();
+    };
+    const handleKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("mousedown", handlePointer);
+    window.addEventListener("keydown", handleKey);
+    window.addEventListener("scroll", onClose, true);
+    return () => {
+      window.removeEventListener("mousedown", handlePointer);
+      window.removeEventListener("keydown", handleKey);
+      window.removeEventListener("scroll", onClose, true);
+    };
+  }, [onClose]);
+
+  const choose = (action) => () => {
+    action();
+    onClose();
+  };
+
+  const copy = () =>
+    navigator.clipboard.writeText(tag).catch((error) => {
+      console.error("Error copying tag:", error);
+    });
+
+  return (
+    <ul
+      ref={menuRef}
+      className="tag-menu"
+      style={{ left: x, top: y }}
+      role="menu"
+    >
+      <li className="tag-menu-title">{tag}</li>
+      <li
+        role="menuitem"
+        onClick={choose(() => onFilter(field, tag, "include"))}
+      >
+        Filter by this
+      </li>
+      <li role="menuitem" onClick={choose(() => onFilter(field, tag, "only"))}>
+        Filter only this
+      </li>
+      <li
+        role="menuitem"
+        onClick={choose(() => onFilter(field, tag, "exclude"))}
+      >
+        Exclude this
+      </li>
+      <li role="menuitem" onClick={choose(copy)}>
+        Copy
+      </li>
+    </ul>
+  );
+}
+
+export default TagMenu;
@@ -0,0 +1,37 @@
+import React from "react";
+
+// One tab per view of the config, plus one for a table opened from the
+// schema panel; nothing when there is only one view and no table
+function ViewTabs({ names, active, onSelect, table, onCloseTable }) {
+  if (names.length < 2 && !table) return null;
+  return (
+    <div className="view-tabs" role="tablist">
+      {names.map((name) => (
+        <button
+          key={name}
+          role="tab"
+          aria-selected={name === active}
+          className={name === active ? "view-tab active" : "view-tab"}
+          onClick={() => onSelect(name)}
+        >
+          {name}
+        </button>
+      ))}
+      {table && (
+        <span role="tab" aria-selected="true" className="view-tab active">
+          {table}
+          <button
+            className="view-tab-close"
+            onClick={onCloseTable}
+            aria-label={`Close ${table}`}
+            title="Close"
+          >
+            ×
+          </button>
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default ViewTabs;
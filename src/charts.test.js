@@ -0,0 +1,59 @@
+import { aggregateRows, histogramBins, pointFilter, NONE } from "./charts";
+
+const columns = [
+  { field: "file", type: "text" },
+  { field: "tags", type: "taggable" },
+  { field: "Date", type: "date" },
+  { field: "chapters", type: "number" },
+];
+
+const rows = [
+  { file: "a", tags: "sf,classic", Date: "2024-01-05", chapters: 10 },
+  { file: "b", tags: "sf", Date: "2024-01-20", chapters: 20 },
+  { file: "c", tags: "", Date: "2024-03-02", chapters: null },
+];
+
+test("counts each tag of a taggable column separately", () => {
+  const chart = { type: "bar", groupBy: "tags" };
+  expect(aggregateRows(rows, chart, columns)).toEqual([
+    { key: "sf", value: 2 },
+    { key: "classic", value: 1 },
+    { key: NONE, value: 1 },
+  ]);
+});
+
+test("buckets dates and averages values in date order", () => {
+  const chart = {
+    type: "bar",
+    groupBy: "Date",
+    dateBucket: "month",
+    aggregate: "avg",
+    valueField: "chapters",
+  };
+  expect(aggregateRows(rows, chart, columns)).toEqual([
+    { key: "2024-01", value: 15 },
+    { key: "2024-03", value: 0 },
+  ]);
+});
+
+test("splits values into equal-width bins", () => {
+  const bins = histogramBins(rows, { valueField: "chapters", bins: 2 });
+  expect(bins.map((b) => [b.from, b.to, b.value])).toEqual([
+    [10, 15, 1],
+    [15, 20, 1],
+  ]);
+});
+
+test("turns a clicked point into a table filter", () => {
+  expect(pointFilter({ groupBy: "tags" }, { key: "sf" }, columns)).toEqual({
+    tag: { field: "tags", value: "sf" },
+  });
+  expect(
+    pointFilter(
+      { groupBy: "Date", dateBucket: "month" },
+      { key: "2024-01" },
+      columns,
+    ).condition,
+  ).toMatchObject({ op: "between", value: "2024-01-01", value2: "2024-01-31" });
+  expect(pointFilter({ groupBy: "other" }, { key: "x" }, columns)).toBeNull();
+});
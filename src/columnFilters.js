@@ -0,0 +1,270 @@
+import { quoteIdentifier as q, sqlLower } from "./schema";
+import { valueType } from "./cellFormats";
+
+// Typed filters on any configured column. A filter is a group
+//   { combinator: "and" | "or", items: [condition | group] }
+// where a condition is { id, field, op, value, value2 }. The same tree is
+// evaluated against loaded rows in JS and compiled to SQL for
+// `sqlFiltering`, so both modes return the same rows.
+
+const EMPTY_OPS = [
+  { id: "empty", label: "is empty", inputs: 0 },
+  { id: "notEmpty", label: "is not empty", inputs: 0 },
+];
+
+export const OPERATORS = {
+  text: [
+    { id: "contains", label: "contains", inputs: 1 },
+    { id: "equals", label: "equals", inputs: 1 },
+    { id: "regex", label: "matches regex", inputs: 1 },
+    ...EMPTY_OPS,
+  ],
+  number: [
+    { id: "eq", label: "=", inputs: 1 },
+    { id: "ne", label: "≠", inputs: 1 },
+    { id: "gt", label: ">", inputs: 1 },
+    { id: "gte", label: "≥", inputs: 1 },
+    { id: "lt", label: "<", inputs: 1 },
+    { id: "lte", label: "≤", inputs: 1 },
+    { id: "between", label: "between", inputs: 2 },
+    ...EMPTY_OPS,
+  ],
+  date: [
+    { id: "between", label: "between", inputs: 2 },
+    { id: "on", label: "on", inputs: 1 },
+    { id: "before", label: "before", inputs: 1 },
+    { id: "after", label: "after", inputs: 1 },
+    ...EMPTY_OPS,
+  ],
+  boolean: [
+    { id: "isTrue", label: "is true", inputs: 0 },
+    { id: "isFalse", label: "is false", inputs: 0 },
+    ...EMPTY_OPS,
+  ],
+  taggable: EMPTY_OPS,
+};
+
+export const emptyFilter = () => ({ combinator: "and", items: [] });
+
+export const newFilterId = () =>
+  `f${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+export const isGroup = (item) => Array.isArray(item.items);
+
+export const operatorsFor = (column) =>
+  OPERATORS[valueType(column)] || OPERATORS.text;
+
+const findOperator = (column, op) =>
+  operatorsFor(column).find((o) => o.id === op);
+
+// Returns an error message for a condition that can't be applied, or null
+export const checkCondition = (column, { op, value, value2 }) => {
+  const operator = findOperator(column, op);
+  if (!operator) return `Unknown operator "${op}".`;
+  if (operator.inputs === 0) return null;
+
+  const values = operator.inputs === 2 ? [value, value2] : [value];
+  if (column.type === "date" && op === "between") {
+    if (!value && !value2) return "Pick at least one date.";
+    return null;
+  }
+  if (values.some((v) => v === "" || v === undefined || v === null)) {
+    return "Enter a value.";
+  }
+  if (valueType(column) === "number" && values.some((v) => isNaN(Number(v)))) {
+    return "Enter a number.";
+  }
+  if (op === "regex") {
+    try {
+      new RegExp(value);
+    } catch (error) {
+      return `Invalid regex: ${error.message}`;
+    }
+  }
+  return null;
+};
+
+const isEmptyValue = (value) =>
+  value === null || value === undefined || value === "";
+
+const toDay = (value) => String(value).slice(0, 10);
+
+// Regex conditions go through conditionMatcher, which compiles them once
+export const matchCondition = (row, column, { field, op, value, value2 }) => {
+  const cell = row[field];
+  if (op === "empty") return isEmptyValue(cell);
+  if (op === "notEmpty") return !isEmptyValue(cell);
+
+  switch (valueType(column)) {
+    case "boolean":
+      return op === "isTrue" ? Boolean(cell) : !cell;
+    case "number": {
+      if (isEmptyValue(cell)) return false;
+      const n = Number(cell);
+      const a = Number(value);
+      if (op === "eq") return n === a;
+      if (op === "ne") return n !== a;
+      if (op === "gt") return n > a;
+      if (op === "gte") return n >= a;
+      if (op === "lt") return n < a;
+      if (op === "lte") return n <= a;
+      if (op === "between") return n >= a && n <= Number(value2);
+      return true;
+    }
+    case "date": {
+      if (isEmptyValue(cell)) return false;
+      const day = toDay(cell);
+      if (op === "on") return day === value;
+      if (op === "before") return day < value;
+      if (op === "after") return day > value;
+      if (op === "between") {
+        return (!value || day >= value) && (!value2 || day <= value2);
+      }
+      return true;
+    }
+    default: {
+      const text = isEmptyValue(cell) ? "" : String(cell);
+      if (op === "contains") {
+        return sqlLower(text).includes(sqlLower(String(value)));
+      }
+      if (op === "equals") return text === String(value);
+      return true;
+    }
+  }
+};
+
+const conditionMatcher = (column, condition) => {
+  if (condition.op !== "regex") {
+    return (row) => matchCondition(row, column, condition);
+  }
+  const pattern = new RegExp(condition.value);
+  return (row) => {
+    const cell = row[condition.field];
+    return pattern.test(isEmptyValue(cell) ? "" : String(cell));
+  };
+};
+
+// The condition's column, or null when the condition is inactive: its column
+// is no longer configured, or it fails checkCondition, like an invalid regex
+// from a link. Inactive conditions are left out in JS and SQL alike.
+const activeColumn = (columns, condition) => {
+  const column = columns.find((c) => c.field === condition.field);
+  return column && !checkCondition(column, condition) ? column : null;
+};
+
+// Compiles the filter into a test for rows, once rather than per row
+export const compileFilter = (columns, group) => {
+  const tests = group.items.flatMap((item) => {
+    if (isGroup(item)) {
+      return item.items.length > 0 ? [compileFilter(columns, item)] : [];
+    }
+    const column = activeColumn(columns, item);
+    return column ? [conditionMatcher(column, item)] : [];
+  });
+  if (tests.length === 0) return () => true;
+  return group.combinator === "or"
+    ? (row) => tests.some((test) => test(row))
+    : (row) => tests.every((test) => test(row));
+};
+
+export const conditionSql = (column, { field, op, value, value2 }) => {
+  const col = q(field);
+  const notEmpty = `${col} IS NOT NULL AND ${col} <> ''`;
+  if (op === "empty")
+    return { sql: `(${col} IS NULL OR ${col} = '')`, params: [] };
+  if (op === "notEmpty") return { sql: `(${notEmpty})`, params: [] };
+
+  switch (valueType(column)) {
+    case "boolean":
+      return op === "isTrue"
+        ? { sql: `(${col} IS NOT NULL AND ${col} NOT IN (0, ''))`, params: [] }
+        : { sql: `(${col} IS NULL OR ${col} IN (0, ''))`, params: [] };
+    case "number": {
+      const n = `CAST(${col} AS REAL)`;
+      const compare = {
+        eq: "=",
+        ne: "<>",
+        gt: ">",
+        gte: ">=",
+        lt: "<",
+        lte: "<=",
+      };
+      if (op === "between") {
+        return {
+          sql: `(${notEmpty} AND ${n} BETWEEN ? AND ?)`,
+          params: [Number(value), Number(value2)],
+        };
+      }
+      return {
+        sql: `(${notEmpty} AND ${n} ${compare[op]} ?)`,
+        params: [Number(value)],
+      };
+    }
+    case "date": {
+      const day = `SUBSTR(${col}, 1, 10)`;
+      if (op === "between") {
+        const parts = [notEmpty];
+        const params = [];
+        if (value) {
+          parts.push(`${day} >= ?`);
+          params.push(value);
+        }
+        if (value2) {
+          parts.push(`${day} <= ?`);
+          params.push(value2);
+        }
+        return { sql: `(${parts.join(" AND ")})`, params };
+      }
+      const compare = { on: "=", before: "<", after: ">" };
+      return {
+        sql: `(${notEmpty} AND ${day} ${compare[op]} ?)`,
+        params: [value],
+      };
+    }
+    default: {
+      const text = `COALESCE(${col}, '')`;
+      if (op === "contains") {
+        return { sql: `instr(LOWER(${text}), LOWER(?)) > 0`, params: [value] };
+      }
+      if (op === "equals") return { sql: `${text} = ?`, params: [value] };
+      // REGEXP is registered by the worker with JavaScript semantics
+      return { sql: `${text} REGEXP ?`, params: [value] };
+    }
+  }
+};
+
+// { sql, params } for a WHERE condition, or null when nothing is filtered
+export const filterSql = (columns, group) => {
+  const parts = group.items.flatMap((item) => {
+    if (isGroup(item)) {
+      const nested = filterSql(columns, item);
+      return nested ? [nested] : [];
+    }
+    const column = activeColumn(columns, item);
+    return column ? [conditionSql(column, item)] : [];
+  });
+  if (parts.length === 0) return null;
+  const joiner = group.combinator === "or" ? " OR " : " AND ";
+  return {
+    sql: `(${parts.map((part) => part.sql).join(joiner)})`,
+    params: parts.flatMap((part) => part.params),
+  };
+};
+
+// Chip text, e.g. "Date between 2024-03-01 and 2024-06-30"
+export const describeCondition = (column, { op, value, value2 }) => {
+  const operator = findOperator(column, op);
+  const label = operator ? operator.label : op;
+  if (column.type === "date" && op === "between") {
+    if (!value) return `${column.header} on or before ${value2}`;
+    if (!value2) return `${column.header} on or after ${value}`;
+  }
+  if (!operator || operator.inputs === 0) return `${column.header} ${label}`;
+  if (operator.inputs === 2) {
+    return `${column.header} ${label} ${value} and ${value2}`;
+  }
+  if (op === "regex") return `${column.header} ${label} /${value}/`;
+  if (valueType(column) === "text")
+    return `${column.header} ${label} "${value}"`;
+  return `${column.header} ${label} ${value}`;
+};
@@ -0,0 +1,148 @@
+/**
+ * @jest-environment node
+ */
+import initSqlJs from "sql.js";
+import { compileFilter, filterSql, checkCondition } from "./columnFilters";
+
+jest.mock("./database", () => ({}));
+
+const columns = [
+  { field: "name", header: "Name", type: "text" },
+  { field: "date", header: "Date", type: "date" },
+  { field: "chapters", header: "Chapters", type: "number" },
+  { field: "done", header: "Done", type: "boolean" },
+];
+
+const rows = [
+  { name: "Dune", date: "2024-03-15", chapters: 48, done: 1 },
+  { name: "Emma", date: "2024-07-01", chapters: 12, done: 0 },
+  { name: "dracula", date: "", chapters: null, done: null },
+  { name: "Ulysses", date: "2024-05-30T10:00", chapters: 18, done: 1 },
+];
+
+let db;
+beforeAll(async () => {
+  const SQL = await initSqlJs();
+  db = new SQL.Database();
+  db.create_function("regexp", (pattern, value) =>
+    value !== null && new RegExp(pattern).test(value) ? 1 : 0,
+  );
+  db.run("CREATE TABLE books (name, date, chapters, done)");
+  for (const row of rows) {
+    db.run("INSERT INTO books VALUES (?, ?, ?, ?)", Object.values(row));
+  }
+});
+
+// Runs a filter both in JS and in SQLite; the two must agree
+const names = (filter) => {
+  const inJs = rows
+    .filter(compileFilter(columns, filter))
+    .map((row) => row.name);
+  const compiled = filterSql(columns, filter);
+  const inSql = (
+    db.exec(
+      `SELECT name FROM books${compiled ? ` WHERE ${compiled.sql}` : ""}`,
+      compiled ? compiled.params : [],
+    )[0]?.values || []
+  ).map((row) => row[0]);
+  expect(inSql).toEqual(inJs);
+  return inJs;
+};
+
+const and = (...items) => ({ combinator: "and", items });
+const or = (...items) => ({ combinator: "or", items });
+
+test("date ranges compare by day and skip empty dates", () => {
+  expect(
+    names(
+      and({
+        field: "date",
+        op: "between",
+        value: "2024-03-01",
+        value2: "2024-06-30",
+      }),
+    ),
+  ).toEqual(["Dune", "Ulysses"]);
+  expect(
+    names(and({ field: "date", op: "after", value: "2024-05-30" })),
+  ).toEqual(["Emma"]);
+  expect(names(and({ field: "date", op: "empty" }))).toEqual(["dracula"]);
+});
+
+test("numbers, booleans and text operators", () => {
+  expect(names(and({ field: "chapters", op: "gt", value: "20" }))).toEqual([
+    "Dune",
+  ]);
+  expect(names(and({ field: "done", op: "isFalse" }))).toEqual([
+    "Emma",
+    "dracula",
+  ]);
+  expect(names(and({ field: "name", op: "contains", value: "D" }))).toEqual([
+    "Dune",
+    "dracula",
+  ]);
+  expect(names(and({ field: "name", op: "regex", value: "^[A-E]" }))).toEqual([
+    "Dune",
+    "Emma",
+  ]);
+  expect(names(and({ field: "chapters", op: "notEmpty" }))).toEqual([
+    "Dune",
+    "Emma",
+    "Ulysses",
+  ]);
+});
+
+test("groups combine with AND and OR", () => {
+  expect(
+    names(
+      and(
+        { field: "done", op: "isTrue" },
+        or(
+          { field: "chapters", op: "lt", value: "20" },
+          { field: "name", op: "equals", value: "Dune" },
+        ),
+      ),
+    ),
+  ).toEqual(["Dune", "Ulysses"]);
+  expect(names(and(or()))).toEqual(rows.map((row) => row.name));
+});
+
+test("invalid conditions are left out instead of throwing", () => {
+  const badRegex = { field: "name", op: "regex", value: "(" };
+  expect(names(and(badRegex))).toEqual(rows.map((row) => row.name));
+  expect(
+    names(and(badRegex, { field: "chapters", op: "gt", value: "15" })),
+  ).toEqual(["Dune", "Ulysses"]);
+  expect(names(or(badRegex, { field: "done", op: "isFalse" }))).toEqual([
+    "Emma",
+    "dracula",
+  ]);
+});
+
+test("a regex is compiled once per filter", () => {
+  const compile = jest.spyOn(global, "RegExp");
+  const test = compileFilter(
+    columns,
+    and({ field: "name", op: "regex", value: "^[A-E]" }),
+  );
+  const calls = compile.mock.calls.length;
+  expect(rows.filter(test)).toHaveLength(2);
+  expect(compile.mock.calls.length).toBe(calls);
+  compile.mockRestore();
+});
+
+test("conditions are checked before they are added", () => {
+  expect(checkCondition(columns[2], { op: "gt", value: "abc" })).toBe(
+    "Enter a number.",
+  );
+  expect(checkCondition(columns[0], { op: "regex", value: "(" })).toMatch(
+    /^Invalid regex/,
+  );
+  expect(
+    checkCondition(columns[1], {
+      op: "between",
+      value: "",
+      value2: "2024-01-01",
+    }),
+  ).toBeNull();
+});
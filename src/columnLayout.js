@@ -0,0 +1,53 @@
+// The grid's column layout lives in the config's `columns`: their order and
+// the `hidden`, `width` and `frozen` options of each. A `cols` list from the
+// URL overrides which columns are shown until the layout is changed here.
+
+export const isColumnVisible = (column, visibleColumns) =>
+  visibleColumns ? visibleColumns.includes(column.field) : !column.hidden;
+
+// Sets a column option, leaving it out of the config when it's off
+export const setColumnOption = (columns, field, key, value) =>
+  columns.map((column) => {
+    if (column.field !== field) return column;
+    const { [key]: previous, ...rest } = column;
+    return value === undefined || value === false || value === null
+      ? rest
+      : { ...rest, [key]: value };
+  });
+
+// Writes the shown columns into the `hidden` options
+export const applyVisibility = (columns, visibleColumns) =>
+  columns.reduce(
+    (result, column) =>
+      setColumnOption(
+        result,
+        column.field,
+        "hidden",
+        !isColumnVisible(column, visibleColumns),
+      ),
+    columns,
+  );
+
+export const moveColumn = (columns, from, to) => {
+  const result = [...columns];
+  const [moved] = result.splice(from, 1);
+  result.splice(to, 0, moved);
+  return result;
+};
+
+// The columns in the order of `fields`; any not listed keep their place at
+// the end
+export const orderColumns = (columns, fields) => [
+  ...fields.flatMap((field) => columns.filter((c) => c.field === field)),
+  ...columns.filter((c) => !fields.includes(c.field)),
+];
+
+// The view without what the grid and the charts panel save into it: the
+// columns' order and options, `groupBy` and `charts`. Rows are loaded and
+// filtered from this alone, so saving a layout doesn't reload them.
+export const withoutLayout = ({ charts, groupBy, ...config }) => ({
+  ...config,
+  columns: [...config.columns]
+    .sort((a, b) => a.field.localeCompare(b.field))
+    .map(({ hidden, width, frozen, ...column }) => column),
+});
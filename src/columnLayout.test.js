@@ -0,0 +1,67 @@
+import {
+  applyVisibility,
+  isColumnVisible,
+  moveColumn,
+  orderColumns,
+  setColumnOption,
+  withoutLayout,
+} from "./columnLayout";
+
+const columns = [
+  { field: "a", header: "A" },
+  { field: "b", header: "B", hidden: true },
+  { field: "c", header: "C", width: 120 },
+];
+
+const fields = (list) => list.map((c) => c.field);
+
+test("a URL column list overrides the hidden options", () => {
+  expect(columns.map((c) => isColumnVisible(c, null))).toEqual([
+    true,
+    false,
+    true,
+  ]);
+  expect(columns.map((c) => isColumnVisible(c, ["b"]))).toEqual([
+    false,
+    true,
+    false,
+  ]);
+  expect(applyVisibility(columns, ["b"])).toEqual([
+    { field: "a", header: "A", hidden: true },
+    { field: "b", header: "B" },
+    { field: "c", header: "C", width: 120, hidden: true },
+  ]);
+  expect(applyVisibility(columns, null)).toEqual(columns);
+});
+
+test("options that are off are left out", () => {
+  const pinned = setColumnOption(columns, "a", "frozen", true);
+  expect(pinned[0]).toEqual({ field: "a", header: "A", frozen: true });
+  expect(setColumnOption(pinned, "a", "frozen", false)[0]).toEqual(columns[0]);
+  expect(setColumnOption(columns, "c", "width", 200)[2].width).toBe(200);
+});
+
+test("reorders by drag position and by the grid's order", () => {
+  expect(fields(moveColumn(columns, 0, 2))).toEqual(["b", "c", "a"]);
+  expect(fields(moveColumn(columns, 2, 0))).toEqual(["c", "a", "b"]);
+  expect(fields(orderColumns(columns, ["c", "a"]))).toEqual(["c", "a", "b"]);
+});
+
+test("a layout change leaves the view without layout as it was", () => {
+  const view = { mainQuery: "SELECT 1", columns, charts: [] };
+  const changed = {
+    ...view,
+    columns: setColumnOption(moveColumn(columns, 0, 2), "c", "width", 80),
+    groupBy: "a",
+    charts: [{ type: "bar" }],
+  };
+  expect(withoutLayout(changed)).toEqual(withoutLayout(view));
+  expect(withoutLayout(view)).toEqual({
+    mainQuery: "SELECT 1",
+    columns: [
+      { field: "a", header: "A" },
+      { field: "b", header: "B" },
+      { field: "c", header: "C" },
+    ],
+  });
+});
@@ -0,0 +1,6 @@
+// Lives in its own module because Jest can't parse `import.meta`; tests map
+// it to src/__mocks__/createSqlWorker.js (see "jest" in package.json).
+const createSqlWorker = () =>
+  new Worker(new URL("./sql.worker.js", import.meta.url));
+
+export default createSqlWorker;
@@ -0,0 +1,233 @@
+import { useSyncExternalStore } from "react";
+import createSqlWorker from "./createSqlWorker";
+
+// One sql.js worker and one open database for the whole app. Opening a new
+// file disposes of the previous handle; everything else sends queries to it
+// through the promise-based helpers below.
+
+let worker = null;
+let nextId = 1;
+const pending = new Map();
+// What the database was opened from, { buffer } or { url }, kept so it can
+// be reopened after a cancelled query kills the worker
+let currentSource = null;
+// Writes applied since the file was opened, replayed after such a reopen:
+// { statements } from write() and { script } from exec()
+let writeLog = [];
+
+// `version` changes whenever the data may have, `opened` only when a file is
+// opened
+let state = {
+  version: 0,
+  opened: 0,
+  isOpen: false,
+  isRemote: false,
+  activity: null,
+};
+const listeners = new Set();
+
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  listeners.forEach((listener) => listener());
+};
+
+// Resolved against the page, the worker's own URL points into static/js
+const wasmUrl = () => new URL("sql-wasm.wasm", document.baseURI).href;
+
+// The activity shown in the progress bar is the latest unfinished request
+const refreshActivity = () => {
+  const requests = [...pending.values()];
+  const latest = requests[requests.length - 1];
+  setState({
+    activity: latest
+      ? {
+          label: latest.label,
+          rowCount: latest.rows ? latest.rows.length : 0,
+          startedAt: latest.startedAt,
+        }
+      : null,
+  });
+};
+
+const handleMessage = ({
+  data: { id, batch, result, error, changed, ran },
+}) => {
+  const request = pending.get(id);
+  if (!request) return;
+
+  if (batch) {
+    for (const row of batch) request.rows.push(row);
+    refreshActivity();
+    return;
+  }
+
+  pending.delete(id);
+  if (error) {
+    request.reject(Object.assign(new Error(error), { changed, ran }));
+  } else {
+    request.resolve(request.rows ? { ...result, rows: request.rows } : result);
+  }
+  refreshActivity();
+};
+
+const getWorker = () => {
+  if (!worker) {
+    worker = createSqlWorker();
+    worker.onmessage = handleMessage;
+    worker.onerror = (event) => {
+      console.error("SQL worker error:", event);
+    };
+  }
+  return worker;
+};
+
+const request = (type, payload, label) =>
+  new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, {
+      resolve,
+      reject,
+      label,
+      // Only queries stream their rows in batches
+      rows: type === "query" ? [] : null,
+      startedAt: Date.now(),
+    });
+    getWorker().postMessage({ id, type, payload });
+    refreshActivity();
+  });
+
+export const isCancelled = (error) => Boolean(error && error.cancelled);
+
+// Buffers are posted without transferring, so a local file is held twice,
+// here and in the worker. That memory is spent on purpose: cancelling a
+// query kills the worker, its database with it, and this copy is what the
+// file is reopened from.
+const openSource = ({ buffer, url }, label) =>
+  url
+    ? request("openUrl", { url, wasmUrl: wasmUrl() }, label)
+    : request("open", { buffer, wasmUrl: wasmUrl() }, label);
+
+const openFrom = async (source) => {
+  await openSource(source, "Opening database");
+  currentSource = source;
+  writeLog = [];
+  setState({
+    version: state.version + 1,
+    opened: state.opened + 1,
+    isOpen: true,
+    isRemote: Boolean(source.url),
+  });
+};
+
+export const openDatabase = (buffer) => openFrom({ buffer });
+
+// Opens a database on a web server without downloading it: pages are
+// fetched with HTTP Range requests as queries need them. It is read-only.
+export const openRemoteDatabase = (url) => openFrom({ url });
+
+export const closeDatabase = () => {
+  currentSource = null;
+  writeLog = [];
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+  for (const { reject } of pending.values()) {
+    reject(Object.assign(new Error("Database closed."), { cancelled: true }));
+  }
+  pending.clear();
+  setState({ isOpen: false, isRemote: false, activity: null });
+};
+
+// Reopens the file in a fresh worker and replays the writes in order, each
+// waiting for the one before so none runs before the file is open
+const reopen = async () => {
+  await openSource(currentSource, "Reopening database");
+  for (const { statements, script } of writeLog) {
+    if (script) {
+      await request("exec", { sql: script }, "Reapplying changes");
+    } else {
+      await request("write", { statements }, "Reapplying changes");
+    }
+  }
+};
+
+// Stops whatever is running by killing the worker, then reopens the same
+// file in a fresh one and replays any writes made through write() and
+// exec(). Pending promises reject with a cancelled error.
+export const cancelQueries = () => {
+  if (!worker) return;
+  worker.terminate();
+  worker = null;
+  for (const { reject } of pending.values()) {
+    reject(Object.assign(new Error("Query cancelled."), { cancelled: true }));
+  }
+  pending.clear();
+  refreshActivity();
+
+  if (currentSource) {
+    reopen().catch((error) => {
+      console.error("Failed to reopen database:", error);
+      setState({ isOpen: false });
+    });
+  }
+};
+
+// Resolves with { columns, rows }. Rows are objects keyed by column name, or
+// arrays of values with `rowMode: "array"`.
+export const query = (sql, { params, rowMode, label } = {}) =>
+  request("query", { sql, params, rowMode }, label || "Running query");
+
+export const queryColumn = async (sql, options) => {
+  const { rows } = await query(sql, { ...options, rowMode: "array" });
+  return rows.map((row) => row[0]);
+};
+
+// Scripts that wrote something are logged for replay, and bump `version`
+// so views of the data reload
+const logScript = (script) => {
+  writeLog.push({ script });
+  setState({ version: state.version + 1 });
+};
+
+// Runs a script of one or more statements, see runStatements in the worker.
+// When a statement fails, only the ones before it are logged, so replaying
+// the log doesn't fail on it again.
+export const exec = async (sql) => {
+  let result;
+  try {
+    result = await request("exec", { sql }, "Running statements");
+  } catch (error) {
+    if (error.changed) logScript(error.ran);
+    throw error;
+  }
+  if (result.changed) logScript(sql);
+  return result;
+};
+
+// Applies [{ sql, params }] in one transaction
+export const write = async (statements) => {
+  await request("write", { statements }, "Saving changes");
+  writeLog.push({ statements });
+};
+
+export const exportDatabase = () =>
+  request("export", null, "Exporting database");
+
+// Resolves with the bytes of a new database holding one table. `columns` are
+// [{ name, type }], `rows` arrays of values in the same order.
+export const buildDatabase = (table, { columns, rows }) =>
+  request(
+    "build",
+    { wasmUrl: wasmUrl(), table, columns, rows },
+    "Building database",
+  );
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const getState = () => state;
+
+export const useDatabase = () => useSyncExternalStore(subscribe, getState);
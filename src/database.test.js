@@ -0,0 +1,95 @@
+/**
+ * @jest-environment node
+ */
+import path from "path";
+
+// Each worker created is a fake wired to the real worker's handlers, run in
+// this process. A terminated one stops answering, as a killed worker would.
+jest.mock("./createSqlWorker", () => {
+  const mockWorkers = [];
+  let current = null;
+  global.self = {
+    postMessage: (message) => current && current.onmessage({ data: message }),
+  };
+  require("./sql.worker");
+
+  const wasmUrl = require("path").join(
+    __dirname,
+    "..",
+    "node_modules",
+    "sql.js",
+    "dist",
+    "sql-wasm.wasm",
+  );
+  const createSqlWorker = () => {
+    const worker = {
+      received: [],
+      onmessage: null,
+      postMessage: (message) => {
+        worker.received.push(message);
+        const payload =
+          message.payload && message.payload.wasmUrl
+            ? { ...message.payload, wasmUrl }
+            : message.payload;
+        setTimeout(() => {
+          current = worker;
+          global.self.onmessage({ data: { ...message, payload } });
+        });
+      },
+      terminate: () => {
+        worker.onmessage = null;
+      },
+    };
+    mockWorkers.push(worker);
+    return worker;
+  };
+  createSqlWorker.workers = mockWorkers;
+  return createSqlWorker;
+});
+
+const createSqlWorker = require("./createSqlWorker");
+const {
+  openDatabase,
+  exec,
+  queryColumn,
+  cancelQueries,
+} = require("./database");
+
+global.document = { baseURI: `file://${path.sep}` };
+
+const settle = async () => {
+  for (let i = 0; i < 50; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+beforeAll(async () => {
+  const initSqlJs = require("sql.js");
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.exec("CREATE TABLE notes (name TEXT)");
+  await openDatabase(db.export().buffer);
+  db.close();
+});
+
+test("a script that fails partway replays only what ran after a cancel", async () => {
+  const error = jest.spyOn(console, "error").mockImplementation(() => {});
+
+  await expect(
+    exec(`INSERT INTO notes VALUES ('Dune');
+      INSERT INTO missing VALUES (1);
+      INSERT INTO notes VALUES ('Emma');`),
+  ).rejects.toMatchObject({ changed: true });
+
+  cancelQueries();
+  await settle();
+
+  const workers = createSqlWorker.workers;
+  const replayed = workers[workers.length - 1].received
+    .filter(({ type }) => type === "exec")
+    .map(({ payload }) => payload.sql);
+  expect(replayed).toEqual(["INSERT INTO notes VALUES ('Dune');"]);
+  expect(error).not.toHaveBeenCalled();
+  expect(await queryColumn("SELECT name FROM notes")).toEqual(["Dune"]);
+  error.mockRestore();
+});
@@ -0,0 +1,190 @@
+// Turns a picked, dropped or downloaded file into SQLite bytes: gzip and zip
+// archives are unpacked, and anything that doesn't start with the SQLite
+// header is rejected before it reaches the worker.
+
+const REACT_APP_URL = process.env.REACT_APP_URL;
+
+export const DATABASE_EXTENSIONS = [".db", ".sqlite", ".sqlite3", ".db3"];
+
+// For file inputs and pickers
+export const ACCEPTED_EXTENSIONS = [...DATABASE_EXTENSIONS, ".gz", ".zip"];
+
+const SQLITE_HEADER = "SQLite format 3\0";
+
+const startsWith = (bytes, signature) =>
+  bytes.length >= signature.length &&
+  signature.every((byte, i) => bytes[i] === byte);
+
+export const isSqlite = (bytes) =>
+  startsWith(
+    bytes,
+    [...SQLITE_HEADER].map((c) => c.charCodeAt(0)),
+  );
+
+const isGzip = (bytes) => startsWith(bytes, [0x1f, 0x8b]);
+
+const isZip = (bytes) => startsWith(bytes, [0x50, 0x4b, 0x03, 0x04]);
+
+// Every chunk of a stream in one array; onChunk gets the bytes read so far
+const readStream = async (stream, onChunk) => {
+  const reader = stream.getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    length += value.length;
+    if (onChunk) onChunk(length);
+  }
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+};
+
+// Errors in the compressed data surface while reading
+const inflate = (bytes, format) => {
+  const stream = new DecompressionStream(format);
+  const writer = stream.writable.getWriter();
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+  return readStream(stream.readable);
+};
+
+const hasDatabaseExtension = (name) =>
+  DATABASE_EXTENSIONS.some((ext) => name.toLowerCase().endsWith(ext));
+
+// Entries of a zip file, from its central directory
+const zipEntries = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = bytes.length - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0) throw new Error("The zip archive is damaged.");
+
+  const entries = [];
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error("The zip archive is damaged.");
+    }
+    const nameLength = view.getUint16(offset + 28, true);
+    entries.push({
+      name: new TextDecoder().decode(
+        bytes.subarray(offset + 46, offset + 46 + nameLength),
+      ),
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      localOffset: view.getUint32(offset + 42, true),
+    });
+    offset +=
+      46 +
+      nameLength +
+      view.getUint16(offset + 30, true) +
+      view.getUint16(offset + 32, true);
+  }
+  return { view, entries };
+};
+
+// The archive's database: the first entry with a database extension, or its
+// only file
+const unzip = async (bytes) => {
+  const { view, entries } = zipEntries(bytes);
+  const files = entries.filter((entry) => !entry.name.endsWith("/"));
+  const entry =
+    files.find((e) => hasDatabaseExtension(e.name)) ||
+    (files.length === 1 ? files[0] : null);
+  if (!entry) {
+    throw new Error(
+      `The zip archive has no ${DATABASE_EXTENSIONS.join("/")} file.`,
+    );
+  }
+  if (entry.compressedSize === 0xffffffff) {
+    throw new Error(`${entry.name} is too large to unzip here.`);
+  }
+  const start =
+    entry.localOffset +
+    30 +
+    view.getUint16(entry.localOffset + 26, true) +
+    view.getUint16(entry.localOffset + 28, true);
+  const data = bytes.subarray(start, start + entry.compressedSize);
+  const name = entry.name.split("/").pop();
+  if (entry.method === 0) return { name, bytes: data };
+  if (entry.method === 8) {
+    return { name, bytes: await inflate(data, "deflate-raw") };
+  }
+  throw new Error(
+    `${entry.name} uses a compression method (${entry.method}) that can't be read.`,
+  );
+};
+
+const notSqlite = (name, bytes) => {
+  const text = new TextDecoder().decode(bytes.subarray(0, 64)).trimStart();
+  let reason = "it doesn't start with the SQLite header";
+  if (bytes.length === 0) reason = "it is empty";
+  else if (text.startsWith("<")) {
+    reason = "it is a web page, so check the URL";
+  }
+  return new Error(`${name} is not a SQLite database: ${reason}.`);
+};
+
+// { name, bytes } of the database in a file, unpacking one level of gzip or
+// zip. Names lose the archive's extension.
+export const readDatabase = async (bytes, name) => {
+  if (isSqlite(bytes)) return { name, bytes };
+  let inner;
+  if (isGzip(bytes)) {
+    try {
+      inner = {
+        name: name.replace(/\.gz$/i, ""),
+        bytes: await inflate(bytes, "gzip"),
+      };
+    } catch (error) {
+      throw new Error(`${name} is not a valid gzip file: ${error.message}`);
+    }
+  } else if (isZip(bytes)) {
+    inner = await unzip(bytes);
+  } else {
+    throw notSqlite(name, bytes);
+  }
+  if (!isSqlite(inner.bytes)) throw notSqlite(inner.name, inner.bytes);
+  return inner;
+};
+
+// Relative URLs point at REACT_APP_URL when it is set, such as the server
+// the nightly exports are published to
+export const resolveDatabaseUrl = (url) =>
+  new URL(
+    url,
+    REACT_APP_URL ? REACT_APP_URL.replace(/\/?$/, "/") : document.baseURI,
+  ).href;
+
+export const fileNameOf = (url) => {
+  const last = new URL(url).pathname.split("/").pop();
+  return (last && decodeURIComponent(last)) || "database.db";
+};
+
+// Downloads a file, reporting { loaded, total } as it arrives; total is
+// null when the server doesn't say
+export const fetchDatabase = async (url, { onProgress, signal } = {}) => {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(
+      `Couldn't download ${url}: ${response.status} ${response.statusText}`,
+    );
+  }
+  const total = Number(response.headers.get("Content-Length")) || null;
+  return readStream(
+    response.body,
+    onProgress && ((loaded) => onProgress({ loaded, total })),
+  );
+};
+
+// An ArrayBuffer holding exactly these bytes, for openDatabase()
+export const toArrayBuffer = (bytes) =>
+  bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength
+    ? bytes.buffer
+    : bytes.slice().buffer;
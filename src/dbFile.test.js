@@ -0,0 +1,119 @@
+/**
+ * @jest-environment node
+ */
+import zlib from "zlib";
+import { DecompressionStream } from "stream/web";
+import { isSqlite, readDatabase, fileNameOf } from "./dbFile";
+
+// Jest's node environment leaves out Node's own web streams
+global.DecompressionStream = DecompressionStream;
+
+const sqlite = new Uint8Array([
+  ...Buffer.from("SQLite format 3\0"),
+  ...new Array(84).fill(7),
+]);
+
+// A zip archive with the given { name, data, deflate } entries
+const zip = (entries) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, data, deflate } of entries) {
+    const body = deflate ? zlib.deflateRawSync(data) : Buffer.from(data);
+    const nameBytes = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, body);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + body.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat([...locals, directory, end]));
+};
+
+test("recognizes the SQLite header", () => {
+  expect(isSqlite(sqlite)).toBe(true);
+  expect(isSqlite(sqlite.subarray(0, 10))).toBe(false);
+  expect(isSqlite(new Uint8Array(Buffer.from("id,name\n1,a")))).toBe(false);
+});
+
+test("passes SQLite files through", async () => {
+  const result = await readDatabase(sqlite, "vault.sqlite3");
+  expect(result.name).toBe("vault.sqlite3");
+  expect(result.bytes).toBe(sqlite);
+});
+
+test("unpacks gzip", async () => {
+  const packed = new Uint8Array(zlib.gzipSync(sqlite));
+  const result = await readDatabase(packed, "nightly.db.gz");
+  expect(result.name).toBe("nightly.db");
+  expect(Array.from(result.bytes)).toEqual(Array.from(sqlite));
+});
+
+test("unzips the database entry, stored or deflated", async () => {
+  const archive = zip([
+    { name: "README.txt", data: Buffer.from("hello") },
+    { name: "export/vault.sqlite", data: sqlite, deflate: true },
+  ]);
+  const result = await readDatabase(archive, "export.zip");
+  expect(result.name).toBe("vault.sqlite");
+  expect(Array.from(result.bytes)).toEqual(Array.from(sqlite));
+
+  const stored = zip([{ name: "data.bin", data: sqlite }]);
+  expect((await readDatabase(stored, "x.zip")).name).toBe("data.bin");
+});
+
+test("explains files that aren't SQLite", async () => {
+  await expect(
+    readDatabase(new Uint8Array(Buffer.from("id,name\n")), "notes.csv"),
+  ).rejects.toThrow(
+    "notes.csv is not a SQLite database: it doesn't start with the SQLite header.",
+  );
+  await expect(
+    readDatabase(new Uint8Array(Buffer.from("<!DOCTYPE html>")), "db"),
+  ).rejects.toThrow("it is a web page, so check the URL");
+  await expect(readDatabase(new Uint8Array(), "empty.db")).rejects.toThrow(
+    "it is empty",
+  );
+  await expect(
+    readDatabase(
+      new Uint8Array(zlib.gzipSync(Buffer.from("plain text"))),
+      "notes.txt.gz",
+    ),
+  ).rejects.toThrow("notes.txt is not a SQLite database");
+  await expect(
+    readDatabase(
+      zip(
+        [{ name: "a.txt" }, { name: "b.txt" }].map((e) => ({
+          ...e,
+          data: Buffer.from("x"),
+        })),
+      ),
+      "docs.zip",
+    ),
+  ).rejects.toThrow("has no .db/.sqlite/.sqlite3/.db3 file");
+});
+
+test("names downloads after the URL's last path segment", () => {
+  expect(
+    fileNameOf("https://example.com/exports/vault%20nightly.db.gz?v=2"),
+  ).toBe("vault nightly.db.gz");
+  expect(fileNameOf("https://example.com/")).toBe("database.db");
+});
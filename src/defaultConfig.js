@@ -0,0 +1,50 @@
+const defaultConfig = {
+  mainQuery: `
+    SELECT f.file_name as file,
+           GROUP_CONCAT(DISTINCT t.tag) as tags,
+           GROUP_CONCAT(DISTINCT fb.file_name) as backlinks,
+           SUBSTR(json_extract(f.metadata, '$.date'), 1, 10) as Date,
+           json_extract(f.metadata, '$.chapters') as chapters,
+           json_extract(f.metadata, '$.Finished') as Done
+    FROM files f
+    LEFT JOIN file_tags ft ON f.id = ft.file_id
+    LEFT JOIN tags t ON ft.tag_id = t.id
+    LEFT JOIN backlinks b ON f.id = b.file_id
+    LEFT JOIN files fb ON fb.id = b.backlink_id
+    GROUP BY f.id
+    HAVING :hideTag IS NULL OR tags NOT LIKE '%' || :hideTag || '%';
+  `,
+  parameters: [
+    {
+      name: "hideTag",
+      label: "Hide tag",
+      type: "text",
+      default: "dead",
+      optionsQuery: `SELECT DISTINCT tag FROM tags ORDER BY tag;`,
+    },
+  ],
+  queries: {
+    tags: `SELECT DISTINCT tag FROM tags;`,
+    backlinks: `SELECT DISTINCT fb.file_name FROM backlinks b JOIN files fb ON fb.id = b.backlink_id;`,
+  },
+  textSearchColumn: "file",
+  taggableColumns: ["tags", "backlinks"],
+  columns: [
+    { field: "file", header: "File", type: "text" },
+    { field: "tags", header: "Tags", type: "taggable" },
+    { field: "backlinks", header: "Backlinks", type: "taggable" },
+    { field: "Date", header: "Date", type: "date" },
+    { field: "chapters", header: "Chapters", type: "number" },
+    {
+      field: "Done",
+      header: "Done",
+      type: "boolean",
+      trueRender: "✅",
+      falseRender: "❌",
+    },
+  ],
+  defaultSortField: "Date",
+  defaultSortDir: "desc",
+};
+
+export default defaultConfig;
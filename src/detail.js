@@ -0,0 +1,71 @@
+import { asSubquery, quoteIdentifier } from "./schema";
+
+// Settings for the row detail drawer. The config's optional `detail` entry:
+//   { keyField, query, related: [{ title, sql, linkField }] }
+// `query` and every related `sql` take the row's key as the `:key` parameter.
+// Related rows whose `linkField` (default: a column named like keyField)
+// holds a key open that row in the drawer. Without a `detail` entry the
+// default schema's record and related rows are shown, if the database has
+// its tables (`defaultTables`).
+
+const DEFAULT_QUERY = `SELECT * FROM files WHERE file_name = :key`;
+
+const DEFAULT_RELATED = [
+  {
+    title: "Tags",
+    sql: `SELECT t.tag FROM tags t
+JOIN file_tags ft ON ft.tag_id = t.id
+JOIN files f ON f.id = ft.file_id
+WHERE f.file_name = :key
+ORDER BY t.tag`,
+  },
+  {
+    title: "Links to",
+    sql: `SELECT dst.file_name AS file FROM backlinks b
+JOIN files src ON src.id = b.backlink_id
+JOIN files dst ON dst.id = b.file_id
+WHERE src.file_name = :key
+ORDER BY dst.file_name`,
+  },
+  {
+    title: "Linked from",
+    sql: `SELECT src.file_name AS file FROM backlinks b
+JOIN files src ON src.id = b.backlink_id
+JOIN files dst ON dst.id = b.file_id
+WHERE dst.file_name = :key
+ORDER BY src.file_name`,
+  },
+];
+
+const DEFAULT_TABLES = ["files", "tags", "file_tags", "backlinks"];
+
+export const detailSettings = (config) =>
+  config.detail
+    ? {
+        keyField: config.textSearchColumn || (config.columns[0] || {}).field,
+        related: [],
+        ...config.detail,
+        defaultTables: [],
+      }
+    : {
+        keyField: config.textSearchColumn || (config.columns[0] || {}).field,
+        query: DEFAULT_QUERY,
+        related: DEFAULT_RELATED,
+        defaultTables: DEFAULT_TABLES,
+      };
+
+// The main query's row with the given key
+export const rowQuery = (config, keyField) =>
+  `${asSubquery(config.mainQuery)}\nWHERE ${quoteIdentifier(keyField)} = :key LIMIT 1`;
+
+export const keyParams = (key) => ({ ":key": key });
+
+// Objects and arrays stored as JSON text, or undefined for anything else
+export const parseJsonValue = (value) => {
+  if (typeof value !== "string" || !/^\s*[[{]/.test(value)) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+};
@@ -0,0 +1,32 @@
+import { detailSettings, parseJsonValue } from "./detail";
+import defaultConfig from "./defaultConfig";
+
+test("parses JSON objects and arrays only", () => {
+  expect(parseJsonValue('{"a": [1, 2]}')).toEqual({ a: [1, 2] });
+  expect(parseJsonValue(" [true]")).toEqual([true]);
+  expect(parseJsonValue("{not json")).toBeUndefined();
+  expect(parseJsonValue("42")).toBeUndefined();
+  expect(parseJsonValue(42)).toBeUndefined();
+});
+
+test("uses the files schema defaults only without a detail entry", () => {
+  const defaults = detailSettings(defaultConfig);
+  expect(defaults.keyField).toBe("file");
+  expect(defaults.related.map((r) => r.title)).toEqual([
+    "Tags",
+    "Links to",
+    "Linked from",
+  ]);
+
+  const custom = detailSettings({
+    ...defaultConfig,
+    detail: { keyField: "id" },
+  });
+  expect(defaults.defaultTables).toEqual([
+    "files",
+    "tags",
+    "file_tags",
+    "backlinks",
+  ]);
+  expect(custom).toEqual({ keyField: "id", related: [], defaultTables: [] });
+});
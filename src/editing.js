@@ -0,0 +1,167 @@
+import { query } from "./database";
+import { quoteIdentifier as q } from "./schema";
+import { splitTaggable } from "./taggable";
+import { valueType } from "./cellFormats";
+
+// Turns a cell edit into parameterized statements against the source tables
+// declared in the column's `edit` mapping. Every change carries the
+// statements that apply it and the ones that undo it.
+//
+// Scalar columns:   { table, key, keyField, column, jsonPath? }
+// Taggable columns: { keyField, joinTable, joinKey, joinValue,
+//                     valueTable?, valueKey?, valueColumn? }
+
+const toStoredValue = (type, value) => {
+  if (value === "" || value === undefined) return null;
+  if (type === "number") return Number(value);
+  if (type === "boolean") return value ? 1 : 0;
+  return value;
+};
+
+// The column that tells the table's rows apart: `key` when it is the
+// declared primary key, otherwise the rowid. Without either, undo couldn't
+// tell which of the rows sharing a key held which value.
+const rowIdentity = async (table, key) => {
+  const { rows: columns } = await query(
+    "SELECT name, pk FROM pragma_table_info(?)",
+    { params: [table], label: "Reading schema" },
+  );
+  if (columns.length === 0) throw new Error(`No table named ${table}.`);
+  const primaryKey = columns.filter((c) => c.pk > 0);
+  if (primaryKey.length === 1 && primaryKey[0].name === key) return q(key);
+
+  const { rows } = await query(
+    "SELECT wr FROM pragma_table_list WHERE name = ?",
+    { params: [table], label: "Reading schema" },
+  );
+  const hasRowid =
+    rows.length > 0 &&
+    !rows[0].wr &&
+    !columns.some((c) => c.name.toLowerCase() === "rowid");
+  if (hasRowid) return "rowid";
+  throw new Error(
+    `${table} can't be edited by ${key}: it isn't the table's primary key and the table has no rowid.`,
+  );
+};
+
+const planScalarEdit = async (column, row, value) => {
+  const { table, key, keyField, column: target, jsonPath } = column.edit;
+  const keyValue = row[keyField];
+  const identity = await rowIdentity(table, key);
+
+  // Each matching row's whole stored value is restored on undo, JSON
+  // documents included
+  const { rows } = await query(
+    `SELECT ${identity}, ${q(target)} FROM ${q(table)} WHERE ${q(key)} = ?`,
+    { params: [keyValue], rowMode: "array", label: "Reading current value" },
+  );
+  if (rows.length === 0) {
+    throw new Error(`No row in ${table} with ${key} = ${keyValue}.`);
+  }
+
+  const update = (set, params) =>
+    rows.map(([id, current]) => ({
+      sql: `UPDATE ${q(table)} SET ${q(target)} = ${set} WHERE ${identity} = ?`,
+      params: [...params(current), id],
+    }));
+
+  let forward;
+  if (jsonPath) {
+    const isBoolean = column.type === "boolean";
+    const stored = isBoolean
+      ? String(Boolean(value))
+      : toStoredValue(valueType(column), value);
+    forward = update(
+      `json_set(COALESCE(${q(target)}, '{}'), ?, ${isBoolean ? "json(?)" : "?"})`,
+      () => [jsonPath, stored],
+    );
+  } else {
+    const stored = toStoredValue(valueType(column), value);
+    forward = update("?", () => [stored]);
+  }
+
+  return { forward, backward: update("?", (current) => [current]) };
+};
+
+// Adds and removes rows of a join table such as file_tags. New values are
+// created in the value table (e.g. tags) when they don't exist yet, and
+// deleted again on undo.
+const planTaggableEdit = async (column, row, value, oldValue) => {
+  const e = column.edit;
+  const keyValue = row[e.keyField];
+  const before = splitTaggable(oldValue, column);
+  const after = splitTaggable(value, column);
+
+  const lookup = e.valueTable
+    ? `(SELECT ${q(e.valueKey)} FROM ${q(e.valueTable)} WHERE ${q(e.valueColumn)} = ? LIMIT 1)`
+    : "?";
+
+  const add = (tag) => [
+    ...(e.valueTable
+      ? [
+          {
+            sql: `INSERT INTO ${q(e.valueTable)} (${q(e.valueColumn)}) SELECT ? WHERE NOT EXISTS (SELECT 1 FROM ${q(e.valueTable)} WHERE ${q(e.valueColumn)} = ?)`,
+            params: [tag, tag],
+          },
+        ]
+      : []),
+    {
+      sql: `INSERT INTO ${q(e.joinTable)} (${q(e.joinKey)}, ${q(e.joinValue)}) VALUES (?, ${lookup})`,
+      params: [keyValue, tag],
+    },
+  ];
+
+  const remove = (tag) => [
+    {
+      sql: `DELETE FROM ${q(e.joinTable)} WHERE ${q(e.joinKey)} = ? AND ${q(e.joinValue)} = ${lookup}`,
+      params: [keyValue, tag],
+    },
+  ];
+
+  const added = after.filter((tag) => !before.includes(tag));
+  const removed = before.filter((tag) => !after.includes(tag));
+
+  let created = [];
+  if (e.valueTable && added.length > 0) {
+    const { rows } = await query(
+      `SELECT ${q(e.valueColumn)} FROM ${q(e.valueTable)} WHERE ${q(e.valueColumn)} IN (${added.map(() => "?").join(", ")})`,
+      { params: added, rowMode: "array", label: "Reading current values" },
+    );
+    const existing = new Set(rows.map(([tag]) => tag));
+    created = added.filter((tag) => !existing.has(tag));
+  }
+
+  // Unless something else has started using the value since
+  const drop = (tag) => ({
+    sql: `DELETE FROM ${q(e.valueTable)} WHERE ${q(e.valueColumn)} = ? AND NOT EXISTS (SELECT 1 FROM ${q(e.joinTable)} WHERE ${q(e.joinValue)} = ${q(e.valueTable)}.${q(e.valueKey)})`,
+    params: [tag],
+  });
+
+  return {
+    forward: [...added.flatMap(add), ...removed.flatMap(remove)],
+    backward: [
+      ...added.flatMap(remove),
+      ...created.map(drop),
+      ...removed.flatMap(add),
+    ],
+  };
+};
+
+// Resolves with a change record, or null when nothing actually changed
+export const planCellEdit = async (column, row, value, oldValue) => {
+  const plan =
+    column.type === "taggable"
+      ? await planTaggableEdit(column, row, value, oldValue)
+      : await planScalarEdit(column, row, value);
+  if (plan.forward.length === 0) return null;
+
+  return {
+    ...plan,
+    keyField: column.edit.keyField,
+    keyValue: row[column.edit.keyField],
+    field: column.field,
+    header: column.header,
+    oldValue,
+    newValue: value,
+  };
+};
@@ -0,0 +1,197 @@
+/**
+ * @jest-environment node
+ */
+import { planCellEdit } from "./editing";
+import { openMockDatabase } from "./database";
+
+// query() from the worker, answered by an in-memory database
+jest.mock("./database");
+let db;
+
+beforeEach(async () => {
+  db = await openMockDatabase(`
+    CREATE TABLE files (id INTEGER PRIMARY KEY, title TEXT, metadata TEXT);
+    CREATE TABLE tags (id INTEGER PRIMARY KEY, tag TEXT UNIQUE);
+    CREATE TABLE file_tags (file_id INTEGER, tag_id INTEGER);
+    INSERT INTO files VALUES
+      (1, 'Dune', '{"rating":4,"done":false}'),
+      (2, 'Emma', NULL);
+    INSERT INTO tags VALUES (1, 'read'), (2, 'owned');
+    INSERT INTO file_tags VALUES (1, 1), (1, 2), (2, 1);
+  `);
+});
+
+afterEach(() => db.close());
+
+// What write() does in the worker
+const run = (statements) => {
+  db.exec("BEGIN");
+  for (const { sql, params } of statements) db.run(sql, params);
+  db.exec("COMMIT");
+};
+
+const select = (sql) => (db.exec(sql)[0] || { values: [] }).values;
+
+const scalar = (field, edit, type = "text") => ({
+  field,
+  header: field,
+  type,
+  edit: { keyField: "id", table: "files", key: "id", ...edit },
+});
+
+const tags = {
+  field: "tags",
+  header: "Tags",
+  type: "taggable",
+  edit: {
+    keyField: "id",
+    joinTable: "file_tags",
+    joinKey: "file_id",
+    joinValue: "tag_id",
+    valueTable: "tags",
+    valueKey: "id",
+    valueColumn: "tag",
+  },
+};
+
+const tagsOf = (fileId) =>
+  select(`SELECT t.tag FROM file_tags ft JOIN tags t ON t.id = ft.tag_id
+          WHERE ft.file_id = ${fileId} ORDER BY t.tag`).flat();
+
+test("updates a column and restores it on undo", async () => {
+  const change = await planCellEdit(
+    scalar("title", { column: "title" }),
+    { id: 1 },
+    "Dune Messiah",
+    "Dune",
+  );
+  expect(change).toMatchObject({ keyField: "id", keyValue: 1 });
+
+  run(change.forward);
+  expect(select("SELECT title FROM files ORDER BY id")).toEqual([
+    ["Dune Messiah"],
+    ["Emma"],
+  ]);
+  run(change.backward);
+  expect(select("SELECT title FROM files ORDER BY id")).toEqual([
+    ["Dune"],
+    ["Emma"],
+  ]);
+});
+
+test("updates one key of a JSON column and restores the document", async () => {
+  const rating = await planCellEdit(
+    scalar("rating", { column: "metadata", jsonPath: "$.rating" }, "number"),
+    { id: 1 },
+    "5",
+    4,
+  );
+  const done = await planCellEdit(
+    scalar("done", { column: "metadata", jsonPath: "$.done" }, "boolean"),
+    { id: 2 },
+    true,
+    null,
+  );
+  run(rating.forward);
+  run(done.forward);
+  expect(select("SELECT metadata FROM files ORDER BY id")).toEqual([
+    ['{"rating":5,"done":false}'],
+    ['{"done":true}'],
+  ]);
+
+  run(done.backward);
+  run(rating.backward);
+  expect(select("SELECT metadata FROM files ORDER BY id")).toEqual([
+    ['{"rating":4,"done":false}'],
+    [null],
+  ]);
+});
+
+test("restores each row sharing a non-unique key to its own value", async () => {
+  db.exec(`
+    CREATE TABLE notes (file TEXT, body TEXT);
+    INSERT INTO notes VALUES ('Dune', 'first'), ('Dune', 'second'), ('Emma', 'third');
+  `);
+  const change = await planCellEdit(
+    scalar("body", { table: "notes", key: "file", column: "body" }),
+    { id: "Dune" },
+    "edited",
+    "first",
+  );
+  run(change.forward);
+  expect(select("SELECT body FROM notes ORDER BY rowid").flat()).toEqual([
+    "edited",
+    "edited",
+    "third",
+  ]);
+  run(change.backward);
+  expect(select("SELECT body FROM notes ORDER BY rowid").flat()).toEqual([
+    "first",
+    "second",
+    "third",
+  ]);
+});
+
+test("refuses edits it couldn't undo", async () => {
+  db.exec(`
+    CREATE TABLE notes (id INTEGER PRIMARY KEY, file TEXT, body TEXT) WITHOUT ROWID;
+    INSERT INTO notes VALUES (1, 'Dune', 'first');
+  `);
+  await expect(
+    planCellEdit(
+      scalar("body", { table: "notes", key: "file", column: "body" }),
+      { id: "Dune" },
+      "edited",
+      "first",
+    ),
+  ).rejects.toThrow("isn't the table's primary key and the table has no rowid");
+
+  const byKey = await planCellEdit(
+    scalar("body", { table: "notes", key: "id", column: "body" }),
+    { id: 1 },
+    "edited",
+    "first",
+  );
+  run(byKey.forward);
+  run(byKey.backward);
+  expect(select("SELECT body FROM notes")).toEqual([["first"]]);
+});
+
+test("adds a new tag and removes it again on undo", async () => {
+  const change = await planCellEdit(tags, { id: 2 }, "read, classic", "read");
+  run(change.forward);
+  expect(tagsOf(2)).toEqual(["classic", "read"]);
+
+  run(change.backward);
+  expect(tagsOf(2)).toEqual(["read"]);
+  expect(select("SELECT tag FROM tags ORDER BY id").flat()).toEqual([
+    "read",
+    "owned",
+  ]);
+});
+
+test("adding an existing tag keeps it on undo", async () => {
+  const change = await planCellEdit(tags, { id: 2 }, "read, owned", "read");
+  run(change.forward);
+  expect(tagsOf(2)).toEqual(["owned", "read"]);
+
+  run(change.backward);
+  expect(tagsOf(2)).toEqual(["read"]);
+  expect(tagsOf(1)).toEqual(["owned", "read"]);
+});
+
+test("removes a tag and adds it back on undo", async () => {
+  const change = await planCellEdit(tags, { id: 1 }, "owned", "read, owned");
+  run(change.forward);
+  expect(tagsOf(1)).toEqual(["owned"]);
+  expect(tagsOf(2)).toEqual(["read"]);
+
+  run(change.backward);
+  expect(tagsOf(1)).toEqual(["owned", "read"]);
+});
+
+test("an edit that changes nothing is no change", async () => {
+  expect(
+    await planCellEdit(tags, { id: 1 }, "owned, read", "read, owned"),
+  ).toBe(null);
+});
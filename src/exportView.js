@@ -0,0 +1,96 @@
+import { valueType } from "./cellFormats";
+
+// Serializes the rows currently shown in the grid. `columns` are config
+// column entries in display order; values are taken as loaded, so taggable
+// cells keep their original comma-separated text.
+
+export const EXPORT_FORMATS = {
+  csv: { label: "CSV", extension: "csv", mimeType: "text/csv" },
+  json: { label: "JSON", extension: "json", mimeType: "application/json" },
+  markdown: { label: "Markdown", extension: "md", mimeType: "text/markdown" },
+  sqlite: {
+    label: "SQLite",
+    extension: "db",
+    mimeType: "application/x-sqlite3",
+  },
+};
+
+export const booleanGlyph = (column, value) =>
+  value ? column.trueRender || "✅" : column.falseRender || "❌";
+
+const cellValue = (column, value, { booleanGlyphs }) => {
+  if (column.type === "boolean" && booleanGlyphs) {
+    return booleanGlyph(column, value);
+  }
+  return value === undefined ? null : value;
+};
+
+// [[value, ...], ...] in column order
+export const viewRecords = (rows, columns, options = {}) =>
+  rows.map((row) =>
+    columns.map((column) => cellValue(column, row[column.field], options)),
+  );
+
+const toText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+export const toCsv = (rows, columns, { delimiter = ",", ...options } = {}) => {
+  const escape = (value) => {
+    const text = toText(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  };
+  return [
+    columns.map((column) => escape(column.header)),
+    ...viewRecords(rows, columns, options).map((record) => record.map(escape)),
+  ]
+    .map((line) => line.join(delimiter))
+    .join("\r\n");
+};
+
+export const toJson = (rows, columns, options = {}) =>
+  JSON.stringify(
+    viewRecords(rows, columns, options).map((record) =>
+      Object.fromEntries(columns.map((column, i) => [column.field, record[i]])),
+    ),
+    null,
+    2,
+  );
+
+// A GitHub-flavoured table, which is what Obsidian renders
+export const toMarkdown = (rows, columns, options = {}) => {
+  const escape = (value) =>
+    toText(value).replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+  const line = (cells) => `| ${cells.join(" | ")} |`;
+  return [
+    line(columns.map((column) => escape(column.header))),
+    line(columns.map(() => "---")),
+    ...viewRecords(rows, columns, options).map((record) =>
+      line(record.map(escape)),
+    ),
+  ].join("\n");
+};
+
+const SQL_TYPES = { number: "NUMERIC", boolean: "INTEGER" };
+
+// Table definition and rows for buildDatabase() in database.js
+export const toTable = (rows, columns, options = {}) => ({
+  columns: columns.map((column) => ({
+    name: column.field,
+    type:
+      column.type === "boolean" && options.booleanGlyphs
+        ? "TEXT"
+        : SQL_TYPES[valueType(column)] || "TEXT",
+  })),
+  rows: viewRecords(rows, columns, options).map((record) =>
+    record.map((value) =>
+      typeof value === "object" && value !== null
+        ? JSON.stringify(value)
+        : value,
+    ),
+  ),
+});
@@ -0,0 +1,53 @@
+import { toCsv, toJson, toMarkdown, toTable } from "./exportView";
+
+const columns = [
+  { field: "name", header: "Name", type: "text" },
+  { field: "tags", header: "Tags", type: "taggable" },
+  { field: "done", header: "Done", type: "boolean", trueRender: "✔" },
+];
+
+const rows = [
+  { name: 'Say "hi"', tags: "a,b", done: 1 },
+  { name: "Pipe | and\nnewline", tags: null, done: 0 },
+];
+
+test("CSV quotes cells containing the delimiter, quotes or newlines", () => {
+  expect(toCsv(rows, columns)).toBe(
+    'Name,Tags,Done\r\n"Say ""hi""","a,b",1\r\n"Pipe | and\nnewline",,0',
+  );
+  expect(toCsv(rows.slice(0, 1), columns, { delimiter: ";" })).toBe(
+    'Name;Tags;Done\r\n"Say ""hi""";a,b;1',
+  );
+});
+
+test("boolean columns export raw or as glyphs", () => {
+  expect(JSON.parse(toJson(rows, columns))[1].done).toBe(0);
+  expect(
+    JSON.parse(toJson(rows, columns, { booleanGlyphs: true })).map(
+      (row) => row.done,
+    ),
+  ).toEqual(["✔", "❌"]);
+});
+
+test("Markdown escapes pipes and line breaks", () => {
+  expect(toMarkdown(rows, columns).split("\n")).toEqual([
+    "| Name | Tags | Done |",
+    "| --- | --- | --- |",
+    '| Say "hi" | a,b | 1 |',
+    "| Pipe \\| and<br>newline |  | 0 |",
+  ]);
+});
+
+test("SQLite tables keep column order and types", () => {
+  expect(toTable(rows, columns)).toEqual({
+    columns: [
+      { name: "name", type: "TEXT" },
+      { name: "tags", type: "TEXT" },
+      { name: "done", type: "INTEGER" },
+    ],
+    rows: [
+      ['Say "hi"', "a,b", 1],
+      ["Pipe | and\nnewline", null, 0],
+    ],
+  });
+});
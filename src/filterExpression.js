@@ -0,0 +1,430 @@
+import { matchCondition, conditionSql } from "./columnFilters";
+import { hasTag, hasTagSql } from "./taggable";
+import { valueType } from "./cellFormats";
+
+// A small boolean language for filtering rows, e.g.
+//
+//   (#fantasy OR #scifi) AND NOT #dropped AND backlinks:"Reading List"
+//
+// Terms:
+//   #tag          a tag in the default taggable column ("tags" if configured)
+//   field:value   a tag in a taggable column, a substring of a text column,
+//                 otherwise equality
+//   field>value   comparisons with = != > >= < <= on typed columns
+//   word          a substring of the text search column
+//
+// Terms combine with AND, OR, NOT (or a leading -) and parentheses; terms
+// next to each other are ANDed. Parsing yields a tree of
+//   { type: "and" | "or", items }, { type: "not", item },
+//   { type: "tag", field, value } and
+//   { type: "condition", field, op, value, value2 }
+// where conditions use the operators from columnFilters.js.
+
+const KEYWORDS = ["AND", "OR", "NOT"];
+const OPERATORS = [">=", "<=", "!=", ":", "=", ">", "<"];
+const WORD = /[^\s()":<>=!]+/y;
+
+const syntaxError = (message, position) =>
+  Object.assign(new Error(message), { position });
+
+export const defaultTagField = (config) => {
+  const taggable = config.taggableColumns || [];
+  return taggable.includes("tags") ? "tags" : taggable[0];
+};
+
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    const position = i;
+    const previous = tokens[tokens.length - 1];
+    const op = OPERATORS.find((o) => text.startsWith(o, position));
+
+    if (/\s/.test(c)) {
+      i++;
+    } else if (c === "(" || c === ")" || c === "#") {
+      tokens.push({ type: c, text: c, position });
+      i++;
+    } else if (c === "-" && (!previous || previous.type !== "op")) {
+      tokens.push({ type: "NOT", text: c, position });
+      i++;
+    } else if (op) {
+      tokens.push({ type: "op", value: op, text: op, position });
+      i += op.length;
+    } else if (c === '"') {
+      let value = "";
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === "\\" && i + 1 < text.length) i++;
+        value += text[i++];
+      }
+      if (i >= text.length) throw syntaxError("Unterminated string", position);
+      i++;
+      tokens.push({
+        type: "string",
+        value,
+        text: text.slice(position, i),
+        position,
+      });
+    } else {
+      WORD.lastIndex = i;
+      const match = WORD.exec(text);
+      if (!match) throw syntaxError(`Unexpected "${c}"`, position);
+      const word = match[0];
+      const keyword = word.toUpperCase();
+      tokens.push(
+        KEYWORDS.includes(keyword)
+          ? { type: keyword, text: word, position }
+          : { type: "word", value: word, text: word, position },
+      );
+      i += word.length;
+    }
+  }
+  tokens.push({ type: "end", text: "", position: text.length });
+  return tokens;
+};
+
+const isValue = (token) => token.type === "word" || token.type === "string";
+
+const parseBoolean = (token) => {
+  const value = token.value.toLowerCase();
+  if (["true", "yes", "1"].includes(value)) return true;
+  if (["false", "no", "0"].includes(value)) return false;
+  throw syntaxError("Expected true or false", token.position);
+};
+
+// field:value, field>value, ... for one column, by its type
+const fieldTerm = (config, nameToken, opToken, valueToken) => {
+  const name = nameToken.value.toLowerCase();
+  const column =
+    config.columns.find((c) => c.field.toLowerCase() === name) ||
+    config.columns.find((c) => c.header.toLowerCase() === name);
+  if (!column) {
+    throw syntaxError(
+      `Unknown column "${nameToken.value}"`,
+      nameToken.position,
+    );
+  }
+
+  const { field } = column;
+  const op = opToken.value;
+  const value = valueToken.value;
+  const condition = (cop, v = value, value2) => ({
+    type: "condition",
+    field,
+    op: cop,
+    value: v,
+    value2,
+  });
+  const unsupported = () =>
+    syntaxError(
+      `"${op}" can't be used with ${column.type} column "${column.header}"`,
+      opToken.position,
+    );
+
+  switch (valueType(column)) {
+    case "taggable": {
+      if (op === ":" || op === "=") return { type: "tag", field, value };
+      if (op === "!=") {
+        return { type: "not", item: { type: "tag", field, value } };
+      }
+      throw unsupported();
+    }
+    case "boolean": {
+      const wanted = parseBoolean(valueToken);
+      if (op !== ":" && op !== "=" && op !== "!=") throw unsupported();
+      return condition(wanted === (op !== "!=") ? "isTrue" : "isFalse");
+    }
+    case "number": {
+      if (value === "" || isNaN(Number(value))) {
+        throw syntaxError("Expected a number", valueToken.position);
+      }
+      const ops = {
+        ":": "eq",
+        "=": "eq",
+        "!=": "ne",
+        ">": "gt",
+        ">=": "gte",
+        "<": "lt",
+        "<=": "lte",
+      };
+      return condition(ops[op]);
+    }
+    case "date": {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        throw syntaxError(
+          "Expected a date like 2024-03-01",
+          valueToken.position,
+        );
+      }
+      if (op === ":" || op === "=") return condition("on");
+      if (op === "!=") return { type: "not", item: condition("on") };
+      if (op === ">") return condition("after");
+      if (op === "<") return condition("before");
+      if (op === ">=") return condition("between", value, "");
+      return condition("between", "", value);
+    }
+    default: {
+      if (op === ":") return condition("contains");
+      if (op === "=") return condition("equals");
+      if (op === "!=") return { type: "not", item: condition("equals") };
+      throw unsupported();
+    }
+  }
+};
+
+// Returns the expression tree, or null for an empty expression. Syntax
+// errors are thrown with the offending character offset as `position`.
+export const parseExpression = (text, config) => {
+  const tokens = tokenize(text);
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const unexpected = (token) =>
+    syntaxError(
+      token.type === "end"
+        ? "Unexpected end of expression"
+        : `Unexpected "${token.text}"`,
+      token.position,
+    );
+
+  const startsTerm = (token) =>
+    ["NOT", "(", "#", "word", "string"].includes(token.type);
+
+  const parseOr = () => {
+    const items = [parseAnd()];
+    while (peek().type === "OR") {
+      next();
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type: "or", items };
+  };
+
+  const parseAnd = () => {
+    const items = [parseNot()];
+    for (;;) {
+      if (peek().type === "AND") {
+        next();
+        items.push(parseNot());
+      } else if (startsTerm(peek())) {
+        items.push(parseNot());
+      } else {
+        break;
+      }
+    }
+    return items.length === 1 ? items[0] : { type: "and", items };
+  };
+
+  const parseNot = () => {
+    if (peek().type === "NOT") {
+      next();
+      return { type: "not", item: parseNot() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (token.type === "(") {
+      const inner = parseOr();
+      if (peek().type !== ")") {
+        throw syntaxError("Missing closing parenthesis", peek().position);
+      }
+      next();
+      return inner;
+    }
+
+    if (token.type === "#") {
+      const tag = next();
+      if (!isValue(tag)) {
+        throw syntaxError('Expected a tag after "#"', tag.position);
+      }
+      const field = defaultTagField(config);
+      if (!field) {
+        throw syntaxError("No taggable column to match #tags", token.position);
+      }
+      return { type: "tag", field, value: tag.value };
+    }
+
+    if (isValue(token)) {
+      if (peek().type === "op") {
+        const op = next();
+        const value = next();
+        if (!isValue(value)) {
+          throw syntaxError(
+            `Expected a value after "${op.value}"`,
+            value.position,
+          );
+        }
+        return fieldTerm(config, token, op, value);
+      }
+      if (!config.textSearchColumn) {
+        throw syntaxError(
+          "No text search column; use field:value",
+          token.position,
+        );
+      }
+      return {
+        type: "condition",
+        field: config.textSearchColumn,
+        op: "contains",
+        value: token.value,
+      };
+    }
+
+    throw unexpected(token);
+  };
+
+  if (peek().type === "end") return null;
+  const tree = parseOr();
+  if (peek().type !== "end") throw unexpected(peek());
+  return tree;
+};
+
+export const matchExpression = (row, columns, node) => {
+  switch (node.type) {
+    case "and":
+      return node.items.every((item) => matchExpression(row, columns, item));
+    case "or":
+      return node.items.some((item) => matchExpression(row, columns, item));
+    case "not":
+      return !matchExpression(row, columns, node.item);
+    case "tag":
+      return hasTag(
+        row[node.field],
+        node.value,
+        columns.find((c) => c.field === node.field),
+      );
+    default: {
+      const column = columns.find((c) => c.field === node.field);
+      return column ? matchCondition(row, column, node) : true;
+    }
+  }
+};
+
+export const expressionSql = (columns, node) => {
+  switch (node.type) {
+    case "and":
+    case "or": {
+      const parts = node.items.map((item) => expressionSql(columns, item));
+      return {
+        sql: `(${parts.map((p) => p.sql).join(` ${node.type.toUpperCase()} `)})`,
+        params: parts.flatMap((p) => p.params),
+      };
+    }
+    case "not": {
+      const inner = expressionSql(columns, node.item);
+      return { sql: `NOT ${inner.sql}`, params: inner.params };
+    }
+    case "tag":
+      return hasTagSql(
+        node.field,
+        node.value,
+        columns.find((c) => c.field === node.field),
+      );
+    default: {
+      const column = columns.find((c) => c.field === node.field);
+      return column ? conditionSql(column, node) : { sql: "1", params: [] };
+    }
+  }
+};
+
+const formatValue = (value) =>
+  /^[^\s()":<>=!#-][^\s()":<>=!]*$/.test(value) &&
+  !KEYWORDS.includes(value.toUpperCase())
+    ? value
+    : `"${String(value).replace(/["\\]/g, "\\$&")}"`;
+
+const CONDITION_SYMBOLS = {
+  equals: "=",
+  eq: "=",
+  ne: "!=",
+  gt: ">",
+  gte: ">=",
+  lt: "<",
+  lte: "<=",
+  on: ":",
+  before: "<",
+  after: ">",
+};
+
+const formatCondition = (config, { field, op, value, value2 }) => {
+  const name = formatValue(field);
+  if (op === "contains") {
+    return field === config.textSearchColumn
+      ? formatValue(value)
+      : `${name}:${formatValue(value)}`;
+  }
+  if (op === "isTrue") return `${name}:true`;
+  if (op === "isFalse") return `${name}:false`;
+  if (op === "between") {
+    if (!value2) return `${name}>=${formatValue(value)}`;
+    if (!value) return `${name}<=${formatValue(value2)}`;
+    return `(${name}>=${formatValue(value)} AND ${name}<=${formatValue(value2)})`;
+  }
+  return `${name}${CONDITION_SYMBOLS[op] || ":"}${formatValue(String(value))}`;
+};
+
+// Writes a tree back as text that parses to the same tree
+export const formatExpression = (node, config, parent = null) => {
+  if (!node) return "";
+  switch (node.type) {
+    case "and":
+    case "or": {
+      const text = node.items
+        .map((item) => formatExpression(item, config, node.type))
+        .join(` ${node.type.toUpperCase()} `);
+      const needsParens =
+        parent === "not" || (node.type === "or" && parent === "and");
+      return needsParens ? `(${text})` : text;
+    }
+    case "not":
+      return `NOT ${formatExpression(node.item, config, "not")}`;
+    case "tag":
+      return node.field === defaultTagField(config)
+        ? `#${formatValue(node.value)}`
+        : `${formatValue(node.field)}:${formatValue(node.value)}`;
+    default:
+      return formatCondition(config, node);
+  }
+};
+
+const flattenAnd = (node) =>
+  node.type === "and" ? node.items.flatMap(flattenAnd) : [node];
+
+// ANDs trees together, skipping empty ones
+export const combineExpressions = (...nodes) => {
+  const items = nodes.filter(Boolean).flatMap(flattenAnd);
+  if (items.length === 0) return null;
+  return items.length === 1 ? items[0] : { type: "and", items };
+};
+
+// The include/exclude chips for an expression that is nothing but required
+// and excluded tags, or null when it needs the full language
+export const expressionToChips = (node, taggableColumns) => {
+  const chips = Object.fromEntries(
+    taggableColumns.map((col) => [col, { include: [], exclude: [] }]),
+  );
+  for (const item of node ? flattenAnd(node) : []) {
+    const negated = item.type === "not";
+    const term = negated ? item.item : item;
+    if (term.type !== "tag" || !chips[term.field]) return null;
+    chips[term.field][negated ? "exclude" : "include"].push(term.value);
+  }
+  return chips;
+};
+
+export const chipsToExpression = (taggableFilters) =>
+  combineExpressions(
+    ...Object.entries(taggableFilters || {}).flatMap(
+      ([field, { include, exclude }]) => [
+        ...include.map((value) => ({ type: "tag", field, value })),
+        ...exclude.map((value) => ({
+          type: "not",
+          item: { type: "tag", field, value },
+        })),
+      ],
+    ),
+  );
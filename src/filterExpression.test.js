@@ -0,0 +1,144 @@
+/**
+ * @jest-environment node
+ */
+import initSqlJs from "sql.js";
+import {
+  parseExpression,
+  formatExpression,
+  matchExpression,
+  expressionSql,
+  expressionToChips,
+  chipsToExpression,
+} from "./filterExpression";
+
+jest.mock("./database", () => ({}));
+
+const config = {
+  textSearchColumn: "file",
+  taggableColumns: ["tags", "backlinks"],
+  columns: [
+    { field: "file", header: "File", type: "text" },
+    { field: "tags", header: "Tags", type: "taggable" },
+    { field: "backlinks", header: "Backlinks", type: "taggable" },
+    { field: "Date", header: "Date", type: "date" },
+    { field: "chapters", header: "Chapters", type: "number" },
+    { field: "Done", header: "Done", type: "boolean" },
+  ],
+};
+
+const rows = [
+  {
+    file: "Dune",
+    tags: "scifi,classic",
+    backlinks: "Reading List",
+    Date: "2024-03-01",
+    chapters: 48,
+    Done: 1,
+  },
+  {
+    file: "Mistborn",
+    tags: "fantasy,dropped",
+    backlinks: "Reading List",
+    Date: "2024-05-10",
+    chapters: 38,
+    Done: 0,
+  },
+  {
+    file: "Hobbit",
+    tags: "Fantasy",
+    backlinks: "",
+    Date: "",
+    chapters: 19,
+    Done: 1,
+  },
+  {
+    file: "Notes",
+    tags: null,
+    backlinks: null,
+    Date: "2023-01-01",
+    chapters: null,
+    Done: null,
+  },
+];
+
+let db;
+beforeAll(async () => {
+  const SQL = await initSqlJs();
+  db = new SQL.Database();
+  db.run("CREATE TABLE t (file, tags, backlinks, Date, chapters, Done)");
+  for (const row of rows) {
+    db.run("INSERT INTO t VALUES (?, ?, ?, ?, ?, ?)", Object.values(row));
+  }
+});
+
+// Matching files, checked to be the same in JS and in SQLite
+const files = (text) => {
+  const tree = parseExpression(text, config);
+  const inJs = rows
+    .filter((row) => matchExpression(row, config.columns, tree))
+    .map((row) => row.file);
+  const { sql, params } = expressionSql(config.columns, tree);
+  const inSql = (
+    db.exec(`SELECT file FROM t WHERE ${sql}`, params)[0]?.values || []
+  ).map((row) => row[0]);
+  expect(inSql).toEqual(inJs);
+  return inJs;
+};
+
+test("evaluates tags, fields and boolean operators", () => {
+  expect(
+    files('(#fantasy OR #scifi) AND NOT #dropped AND backlinks:"Reading List"'),
+  ).toEqual(["Dune"]);
+  expect(files("#fantasy -#dropped")).toEqual(["Hobbit"]);
+  expect(files("chapters>=38 Done:false")).toEqual(["Mistborn"]);
+  expect(files("Date<2024-04-01 OR bit")).toEqual(["Dune", "Hobbit", "Notes"]);
+  expect(files("tags!=classic AND file=Notes")).toEqual(["Notes"]);
+});
+
+test("formatting parses back to the same tree", () => {
+  for (const text of [
+    '(#fantasy OR #scifi) AND NOT #dropped AND backlinks:"Reading List"',
+    'NOT (chapters>20 OR Done:true) "two words" Date>=2024-01-01',
+    '#"and" OR #"with \\"quotes\\""',
+  ]) {
+    const tree = parseExpression(text, config);
+    expect(parseExpression(formatExpression(tree, config), config)).toEqual(
+      tree,
+    );
+  }
+});
+
+test("reports syntax errors with positions", () => {
+  const errorOf = (text) => {
+    try {
+      parseExpression(text, config);
+    } catch (error) {
+      return [error.message, error.position];
+    }
+    return null;
+  };
+  expect(errorOf("(#a OR #b")).toEqual(["Missing closing parenthesis", 9]);
+  expect(errorOf("#a AND")).toEqual(["Unexpected end of expression", 6]);
+  expect(errorOf("#a ) #b")).toEqual(['Unexpected ")"', 3]);
+  expect(errorOf("pages>3")).toEqual(['Unknown column "pages"', 0]);
+  expect(errorOf("chapters>many")).toEqual(["Expected a number", 9]);
+  expect(errorOf('file:"open')).toEqual(["Unterminated string", 5]);
+  expect(parseExpression("   ", config)).toBeNull();
+});
+
+test("converts to and from include/exclude chips when possible", () => {
+  const chips = expressionToChips(
+    parseExpression("#a NOT #b backlinks:c", config),
+    config.taggableColumns,
+  );
+  expect(chips).toEqual({
+    tags: { include: ["a"], exclude: ["b"] },
+    backlinks: { include: ["c"], exclude: [] },
+  });
+  expect(formatExpression(chipsToExpression(chips), config)).toBe(
+    "#a AND NOT #b AND backlinks:c",
+  );
+  expect(
+    expressionToChips(parseExpression("#a OR #b", config), ["tags"]),
+  ).toBeNull();
+});
@@ -0,0 +1,339 @@
+import { query } from "./database";
+import { quoteIdentifier } from "./schema";
+
+// Proposes a viewer config for whatever database is loaded: picks the most
+// referenced table, turns its columns (and the keys of JSON columns) into
+// typed config columns, and folds many-to-many joins into taggable columns.
+
+const SAMPLE_SIZE = 200;
+const MAX_JSON_KEYS = 12;
+
+const quoteString = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+const humanize = (field) =>
+  field
+    .replace(/[_-]+/g, " ")
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .replace(/\b\w/g, (c) => c.toUpperCase());
+
+const singular = (name) => name.toLowerCase().replace(/s$/, "");
+
+const isDateLike = (v) =>
+  typeof v === "string" && /^\d{4}-\d{2}-\d{2}/.test(v.trim());
+
+const isBooleanLike = (v) =>
+  [0, 1, "0", "1", "true", "false"].includes(
+    typeof v === "string" ? v.toLowerCase() : v,
+  );
+
+const BOOLEAN_NAME =
+  /^(is|has|can)[_A-Z]|done|finished|completed|active|enabled|flag/i;
+
+// A text column holding comma-separated lists, e.g. "fantasy,scifi"
+const isCommaList = (values) => {
+  const strings = values.filter((v) => typeof v === "string");
+  if (strings.length === 0) return false;
+  const lists = strings.filter((v) => v.includes(","));
+  if (lists.length / strings.length < 0.3) return false;
+  const parts = lists.flatMap((v) => v.split(","));
+  const avgLength =
+    parts.reduce((sum, part) => sum + part.trim().length, 0) / parts.length;
+  return avgLength > 0 && avgLength < 40;
+};
+
+const isJsonObject = (v) => {
+  if (typeof v !== "string" || !v.trim().startsWith("{")) return false;
+  try {
+    const parsed = JSON.parse(v);
+    return parsed !== null && typeof parsed === "object";
+  } catch (e) {
+    return false;
+  }
+};
+
+export const inferColumnType = (name, declaredType, values) => {
+  const declared = (declaredType || "").toUpperCase();
+  const present = values.filter((v) => v !== null && v !== undefined);
+
+  if (declared.includes("BOOL")) return "boolean";
+  if (/DATE|TIME/.test(declared)) return "date";
+  if (
+    present.length > 0 &&
+    BOOLEAN_NAME.test(name) &&
+    present.every(isBooleanLike)
+  ) {
+    return "boolean";
+  }
+  if (present.length > 0 && present.every((v) => typeof v === "number")) {
+    return "number";
+  }
+  if (/INT|REAL|FLOA|DOUB|NUM|DEC/.test(declared) && present.length === 0) {
+    return "number";
+  }
+  if (
+    present.length > 0 &&
+    present.filter(isDateLike).length / present.length >= 0.9
+  ) {
+    return "date";
+  }
+  if (isCommaList(present)) return "taggable";
+  return "text";
+};
+
+const makeColumn = (field, type) => {
+  const column = { field, header: humanize(field), type };
+  if (type === "boolean") {
+    column.trueRender = "✅";
+    column.falseRender = "❌";
+  }
+  return column;
+};
+
+const sampleColumn = async (table, column) => {
+  const { rows } = await query(
+    `SELECT ${quoteIdentifier(column)} AS v FROM ${quoteIdentifier(table)}
+     WHERE ${quoteIdentifier(column)} IS NOT NULL LIMIT ${SAMPLE_SIZE}`,
+    { label: "Sampling values", rowMode: "array" },
+  );
+  return rows.map((row) => row[0]);
+};
+
+// Distinct values of a comma-separated column, split in SQL
+const splitValuesQuery = (expression, from) => `
+    WITH RECURSIVE split(value, rest) AS (
+      SELECT '', ${expression} || ',' FROM ${from}
+      UNION ALL
+      SELECT TRIM(SUBSTR(rest, 1, INSTR(rest, ',') - 1)),
+             SUBSTR(rest, INSTR(rest, ',') + 1)
+      FROM split WHERE rest <> ''
+    )
+    SELECT DISTINCT value FROM split WHERE value <> '' ORDER BY value;`;
+
+// The keys of a JSON object column with the json_type they mostly hold
+const sampleJsonKeys = async (table, column) => {
+  const { rows } = await query(
+    `SELECT j.key AS key, j.type AS type, COUNT(*) AS n
+     FROM (SELECT ${quoteIdentifier(column)} AS doc
+           FROM ${quoteIdentifier(table)}
+           WHERE json_valid(${quoteIdentifier(column)}) LIMIT ${SAMPLE_SIZE}) s,
+          json_each(s.doc) j
+     GROUP BY j.key, j.type
+     ORDER BY n DESC`,
+    { label: "Sampling JSON keys" },
+  );
+
+  const keys = new Map();
+  for (const { key, type } of rows) {
+    if (!keys.has(key)) keys.set(key, type);
+  }
+  return [...keys.entries()].slice(0, MAX_JSON_KEYS);
+};
+
+const sampleJsonValues = async (table, column, key) => {
+  const { rows } = await query(
+    `SELECT json_extract(${quoteIdentifier(column)}, ${quoteString(`$.${key}`)})
+     FROM ${quoteIdentifier(table)}
+     WHERE json_valid(${quoteIdentifier(column)}) LIMIT ${SAMPLE_SIZE}`,
+    { label: "Sampling JSON values", rowMode: "array" },
+  );
+  return rows.map((row) => row[0]).filter((v) => v !== null);
+};
+
+const jsonKeyType = (key, jsonType, values) => {
+  if (jsonType === "true" || jsonType === "false") return "boolean";
+  if (jsonType === "integer" || jsonType === "real") {
+    return inferColumnType(key, "", values);
+  }
+  if (jsonType === "text") return inferColumnType(key, "TEXT", values);
+  return null;
+};
+
+const pickMainTable = (schema) => {
+  const tables = schema.filter((t) => t.type === "table");
+  const entities = tables.filter((t) => t.foreignKeys.length < 2);
+  const candidates = entities.length > 0 ? entities : tables;
+  const references = (table) =>
+    tables.reduce(
+      (n, t) =>
+        n + t.foreignKeys.filter((fk) => fk.table === table.name).length,
+      0,
+    );
+  return [...candidates].sort(
+    (a, b) =>
+      references(b) - references(a) || (b.rowCount || 0) - (a.rowCount || 0),
+  )[0];
+};
+
+const primaryKeyOf = (table) =>
+  (table.columns.find((c) => c.primaryKey) || {}).name || "rowid";
+
+// Best human-readable column of a table: a name-like or unique text column
+const displayColumnOf = (table) => {
+  const texts = table.columns.filter(
+    (c) => !c.primaryKey && /CHAR|TEXT|CLOB|^$/i.test(c.type || ""),
+  );
+  const uniques = new Set(
+    table.indexes.filter((i) => i.unique).flatMap((i) => i.columns),
+  );
+  const named = texts.find((c) => /name|title|label|tag/i.test(c.name));
+  return (named || texts.find((c) => uniques.has(c.name)) || texts[0] || {})
+    .name;
+};
+
+// Tables with one foreign key into `main` and another into some table with a
+// readable column become many-to-many taggable columns.
+const findManyToMany = (schema, main) => {
+  const links = [];
+  for (const table of schema) {
+    if (table.type !== "table" || table === main) continue;
+    const toMain = table.foreignKeys.filter((fk) => fk.table === main.name);
+    if (toMain.length === 0 || table.foreignKeys.length < 2) continue;
+
+    // With two keys into main (e.g. backlinks) the one named after it wins
+    const own =
+      toMain.find((fk) =>
+        fk.from.toLowerCase().startsWith(singular(main.name)),
+      ) || toMain[0];
+    const other = table.foreignKeys.find((fk) => fk !== own);
+    const target = schema.find((t) => t.name === other.table);
+    const display = target && displayColumnOf(target);
+    if (!display) continue;
+
+    links.push({
+      joinTable: table.name,
+      ownColumn: own.from,
+      mainKey: own.to || primaryKeyOf(main),
+      otherColumn: other.from,
+      target,
+      targetKey: other.to || primaryKeyOf(target),
+      display,
+      field: target === main ? table.name : target.name,
+    });
+  }
+  return links;
+};
+
+// The text column the search box looks in
+const textSearchOf = (columns) => {
+  const textColumns = columns.filter((c) => c.type === "text");
+  return (
+    textColumns.find((c) => /name|title|file/i.test(c.field)) || textColumns[0]
+  );
+};
+
+// A plain config showing every column of one table or view as it is. Types
+// come from the declared ones alone, so nothing is read from the table.
+export const tableConfig = (table) => {
+  const columns = table.columns.map((col) =>
+    makeColumn(col.name, inferColumnType(col.name, col.type, [])),
+  );
+  const textSearch = textSearchOf(columns);
+  return {
+    mainQuery: `SELECT * FROM ${quoteIdentifier(table.name)};`,
+    textSearchColumn: textSearch ? textSearch.field : null,
+    columns,
+  };
+};
+
+export const generateConfig = async (schema) => {
+  const main = pickMainTable(schema);
+  if (!main) throw new Error("The database has no tables.");
+
+  const mainKey = primaryKeyOf(main);
+  const select = [];
+  const joins = [];
+  const columns = [];
+  const queries = {};
+  const taggableColumns = [];
+  const used = new Set();
+
+  const uniqueField = (name) => {
+    let field = name;
+    for (let i = 2; used.has(field); i++) field = `${name}_${i}`;
+    used.add(field);
+    return field;
+  };
+
+  // Relations get first pick of field names, e.g. "tags" for file_tags
+  const links = findManyToMany(schema, main);
+  for (const link of links) link.field = uniqueField(link.field);
+
+  for (const col of main.columns) {
+    if (col.primaryKey) continue;
+    // Foreign key ids are noise on their own
+    if (main.foreignKeys.some((fk) => fk.from === col.name)) continue;
+
+    const values = await sampleColumn(main.name, col.name);
+    const source = `m.${quoteIdentifier(col.name)}`;
+
+    if (values.length > 0 && values.every(isJsonObject)) {
+      for (const [key, jsonType] of await sampleJsonKeys(main.name, col.name)) {
+        const keyValues = await sampleJsonValues(main.name, col.name, key);
+        const type = jsonKeyType(key, jsonType, keyValues);
+        if (!type) continue;
+        const field = uniqueField(key.replace(/\W+/g, "_"));
+        const extract = `json_extract(${source}, ${quoteString(`$.${key}`)})`;
+        select.push(
+          `${type === "date" ? `SUBSTR(${extract}, 1, 10)` : extract} AS ${quoteIdentifier(field)}`,
+        );
+        columns.push(makeColumn(field, type));
+      }
+      continue;
+    }
+
+    const type = inferColumnType(col.name, col.type, values);
+    const field = uniqueField(col.name);
+    select.push(`${source} AS ${quoteIdentifier(field)}`);
+    columns.push(makeColumn(field, type));
+    if (type === "taggable") {
+      taggableColumns.push(field);
+      queries[field] = splitValuesQuery(
+        quoteIdentifier(col.name),
+        quoteIdentifier(main.name),
+      );
+    }
+  }
+
+  links.forEach((link, i) => {
+    const j = `j${i + 1}`;
+    const r = `r${i + 1}`;
+    const { field } = link;
+    joins.push(
+      `LEFT JOIN ${quoteIdentifier(link.joinTable)} ${j} ON m.${quoteIdentifier(link.mainKey)} = ${j}.${quoteIdentifier(link.ownColumn)}`,
+      `LEFT JOIN ${quoteIdentifier(link.target.name)} ${r} ON ${r}.${quoteIdentifier(link.targetKey)} = ${j}.${quoteIdentifier(link.otherColumn)}`,
+    );
+    select.push(
+      `GROUP_CONCAT(DISTINCT ${r}.${quoteIdentifier(link.display)}) AS ${quoteIdentifier(field)}`,
+    );
+    columns.push(makeColumn(field, "taggable"));
+    taggableColumns.push(field);
+    queries[field] =
+      `SELECT DISTINCT r.${quoteIdentifier(link.display)} FROM ${quoteIdentifier(link.joinTable)} j ` +
+      `JOIN ${quoteIdentifier(link.target.name)} r ON r.${quoteIdentifier(link.targetKey)} = j.${quoteIdentifier(link.otherColumn)};`;
+  });
+
+  if (columns.length === 0) {
+    throw new Error(`Table "${main.name}" has no columns to show.`);
+  }
+
+  const mainQuery =
+    [
+      `SELECT ${select.join(",\n       ")}`,
+      `FROM ${quoteIdentifier(main.name)} m`,
+      ...joins,
+      ...(joins.length > 0 ? [`GROUP BY m.${quoteIdentifier(mainKey)}`] : []),
+    ].join("\n") + ";";
+
+  const textSearch = textSearchOf(columns);
+  const dateColumn = columns.find((c) => c.type === "date");
+
+  return {
+    mainQuery,
+    queries,
+    textSearchColumn: textSearch ? textSearch.field : null,
+    taggableColumns,
+    columns,
+    defaultSortField: (dateColumn || textSearch || columns[0]).field,
+    defaultSortDir: dateColumn ? "desc" : "asc",
+  };
+};
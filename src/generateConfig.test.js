@@ -0,0 +1,125 @@
+/**
+ * @jest-environment node
+ */
+import { generateConfig, inferColumnType, tableConfig } from "./generateConfig";
+import { openMockDatabase } from "./database";
+import { loadSchema } from "./schema";
+import { validateConfig, validateConfigQueries } from "./validateConfig";
+
+// query() from the worker, answered by an in-memory database
+jest.mock("./database");
+let db;
+
+beforeAll(async () => {
+  db = await openMockDatabase(`
+    CREATE TABLE files (
+      id INTEGER PRIMARY KEY,
+      file_name TEXT UNIQUE,
+      created DATE,
+      is_done INTEGER,
+      rating REAL,
+      genres TEXT,
+      metadata TEXT
+    );
+    CREATE TABLE tags (id INTEGER PRIMARY KEY, tag_name TEXT UNIQUE);
+    CREATE TABLE file_tags (
+      file_id INTEGER REFERENCES files (id),
+      tag_id INTEGER REFERENCES tags (id)
+    );
+    CREATE TABLE backlinks (
+      file_id INTEGER REFERENCES files (id),
+      backlink_id INTEGER REFERENCES files (id)
+    );
+    INSERT INTO files VALUES
+      (1, 'Dune', '2024-01-02', 1, 4.5, 'scifi,classic', '{"author":"Herbert","pages":412}'),
+      (2, 'Emma', '2024-02-03', 0, 3.0, 'romance', '{"author":"Austen","pages":474}'),
+      (3, 'Hyperion', '2024-03-04', 1, 4.0, 'scifi,space', '{"author":"Simmons","pages":482}');
+    INSERT INTO tags VALUES (1, 'read'), (2, 'owned');
+    INSERT INTO file_tags VALUES (1, 1), (1, 2), (3, 1);
+    INSERT INTO backlinks VALUES (1, 3), (2, 1);
+  `);
+});
+
+test("infers types from declarations, names and values", () => {
+  expect(inferColumnType("created", "DATE", [])).toBe("date");
+  expect(inferColumnType("is_done", "INTEGER", [0, 1, 1])).toBe("boolean");
+  expect(inferColumnType("count", "INTEGER", [0, 1, 1])).toBe("number");
+  expect(inferColumnType("when", "TEXT", ["2024-01-02", "2024-02-03"])).toBe(
+    "date",
+  );
+  expect(inferColumnType("genres", "TEXT", ["a,b", "c"])).toBe("taggable");
+  const prose =
+    "Paul Atreides travels to the desert planet Arrakis with his family, where the Fremen wait";
+  expect(inferColumnType("note", "TEXT", [prose])).toBe("text");
+});
+
+test("builds a valid config around the most referenced table", async () => {
+  const config = await generateConfig(await loadSchema());
+  const byField = Object.fromEntries(config.columns.map((c) => [c.field, c]));
+
+  expect(config.mainQuery).toMatch(/FROM "files" m/);
+  expect(byField.file_name.type).toBe("text");
+  expect(byField.created.type).toBe("date");
+  expect(byField.is_done.type).toBe("boolean");
+  expect(byField.rating.type).toBe("number");
+  expect(byField.genres.type).toBe("taggable");
+  // JSON object columns become one column per key
+  expect(byField.author.type).toBe("text");
+  expect(byField.pages.type).toBe("number");
+  expect(byField.metadata).toBeUndefined();
+
+  // Join tables fold into taggable columns named after what they point to
+  expect(config.taggableColumns).toEqual(
+    expect.arrayContaining(["genres", "tags", "backlinks"]),
+  );
+  expect(config.mainQuery).toMatch(/LEFT JOIN "file_tags" j\d/);
+  expect(config.textSearchColumn).toBe("file_name");
+  expect(config.defaultSortField).toBe("created");
+
+  expect(validateConfig(config)).toEqual([]);
+  expect(await validateConfigQueries(config)).toEqual([]);
+});
+
+test("the generated queries return the related values", async () => {
+  const config = await generateConfig(await loadSchema());
+  const rows = db.exec(config.mainQuery)[0];
+  const at = (name, field) =>
+    rows.values.find((row) => row[rows.columns.indexOf("file_name")] === name)[
+      rows.columns.indexOf(field)
+    ];
+
+  expect(at("Dune", "tags").split(",").sort()).toEqual(["owned", "read"]);
+  expect(at("Emma", "tags")).toBeNull();
+  expect(at("Dune", "backlinks")).toBe("Hyperion");
+  expect(db.exec(config.queries.tags)[0].values.flat().sort()).toEqual([
+    "owned",
+    "read",
+  ]);
+  expect(db.exec(config.queries.genres)[0].values.flat()).toEqual([
+    "classic",
+    "romance",
+    "scifi",
+    "space",
+  ]);
+});
+
+test("a table's own config shows all of its columns", async () => {
+  const schema = await loadSchema();
+  const config = tableConfig(schema.find((t) => t.name === "files"));
+
+  expect(validateConfig(config)).toEqual([]);
+  expect(await validateConfigQueries(config)).toEqual([]);
+  expect(config.columns.map((c) => [c.field, c.type])).toEqual([
+    ["id", "number"],
+    ["file_name", "text"],
+    ["created", "date"],
+    ["is_done", "number"],
+    ["rating", "number"],
+    ["genres", "text"],
+    ["metadata", "text"],
+  ]);
+  expect(config.textSearchColumn).toBe("file_name");
+  expect(db.exec(config.mainQuery)[0].columns).toEqual(
+    config.columns.map((c) => c.field),
+  );
+});
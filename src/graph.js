@@ -0,0 +1,153 @@
+import { splitTaggable } from "./taggable";
+
+// Link graph for the graph panel. The config's optional `graph` entry:
+//   { edgeQuery, nodeField, colorBy, depth, maxNodes }
+// edgeQuery returns `source` and `target` columns holding node names, which
+// are matched against `nodeField` of the main query's rows. Without one, the
+// backlinks of the default schema are used if the database has its tables
+// (`defaultTables`); otherwise the graph is not configured.
+
+export const DEFAULT_EDGE_QUERY = `SELECT src.file_name AS source, dst.file_name AS target
+FROM backlinks b
+JOIN files src ON src.id = b.backlink_id
+JOIN files dst ON dst.id = b.file_id`;
+
+// Constants, so the settings of every render compare equal
+const DEFAULT_TABLES = ["files", "backlinks"];
+const NO_TABLES = [];
+
+export const graphSettings = (config) => {
+  const settings = {
+    edgeQuery: DEFAULT_EDGE_QUERY,
+    nodeField: config.textSearchColumn || (config.columns[0] || {}).field,
+    colorBy: (config.taggableColumns || [])[0] || null,
+    depth: 1,
+    maxNodes: 300,
+    ...config.graph,
+  };
+  return {
+    ...settings,
+    defaultTables:
+      settings.edgeQuery === DEFAULT_EDGE_QUERY ? DEFAULT_TABLES : NO_TABLES,
+  };
+};
+
+// Nodes within `depth` links of the filtered rows (the seeds), in breadth
+// first order so that `maxNodes` cuts the farthest ones
+export const buildGraph = (
+  edges,
+  rows,
+  { nodeField, colorBy, colorColumn, depth, maxNodes },
+) => {
+  const neighbours = new Map();
+  const link = (a, b) => {
+    if (!neighbours.has(a)) neighbours.set(a, new Set());
+    neighbours.get(a).add(b);
+  };
+  for (const { source, target } of edges) {
+    if (source == null || target == null) continue;
+    link(String(source), String(target));
+    link(String(target), String(source));
+  }
+
+  const rowsById = new Map();
+  for (const row of rows) {
+    if (row[nodeField] != null) rowsById.set(String(row[nodeField]), row);
+  }
+
+  const distance = new Map([...rowsById.keys()].map((id) => [id, 0]));
+  let frontier = [...rowsById.keys()];
+  for (let step = 1; step <= depth && frontier.length > 0; step++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const other of neighbours.get(id) || []) {
+        if (distance.has(other)) continue;
+        distance.set(other, step);
+        next.push(other);
+      }
+    }
+    frontier = next;
+  }
+
+  const ids = [...distance.keys()].slice(0, maxNodes);
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const nodes = ids.map((id) => {
+    const row = rowsById.get(id);
+    const tags = row && colorBy ? splitTaggable(row[colorBy], colorColumn) : [];
+    return { id, seed: distance.get(id) === 0, tag: tags[0] || null };
+  });
+
+  const links = [];
+  const seen = new Set();
+  for (const { source, target } of edges) {
+    const a = index.get(String(source));
+    const b = index.get(String(target));
+    if (a === undefined || b === undefined || a === b) continue;
+    const key = a < b ? `${a}:${b}` : `${b}:${a}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    links.push({ source: a, target: b });
+  }
+
+  return { nodes, links, truncated: distance.size > ids.length };
+};
+
+// Fruchterman-Reingold force layout. Starts from a spiral so the same graph
+// always gets the same picture. Returns [x, y] per node.
+export const layoutGraph = (
+  nodes,
+  links,
+  { width, height, iterations = 200 },
+) => {
+  const count = nodes.length;
+  if (count === 0) return [];
+  const k = Math.sqrt((width * height) / count) * 0.6;
+  const positions = nodes.map((_, i) => {
+    const r = Math.sqrt(i / count) * Math.min(width, height) * 0.45;
+    const angle = i * 2.399963;
+    return [width / 2 + r * Math.cos(angle), height / 2 + r * Math.sin(angle)];
+  });
+
+  let temperature = width / 10;
+  for (let step = 0; step < iterations; step++) {
+    const moves = positions.map(() => [0, 0]);
+
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        const dx = positions[i][0] - positions[j][0] || 0.01;
+        const dy = positions[i][1] - positions[j][1];
+        const dist2 = dx * dx + dy * dy || 0.01;
+        const force = (k * k) / dist2;
+        moves[i][0] += dx * force;
+        moves[i][1] += dy * force;
+        moves[j][0] -= dx * force;
+        moves[j][1] -= dy * force;
+      }
+    }
+
+    for (const { source, target } of links) {
+      const dx = positions[source][0] - positions[target][0];
+      const dy = positions[source][1] - positions[target][1];
+      const dist = Math.sqrt(dx * dx + dy * dy) || 0.01;
+      const force = dist / k;
+      moves[source][0] -= dx * force;
+      moves[source][1] -= dy * force;
+      moves[target][0] += dx * force;
+      moves[target][1] += dy * force;
+    }
+
+    for (let i = 0; i < count; i++) {
+      const [mx, my] = moves[i];
+      const length = Math.sqrt(mx * mx + my * my) || 1;
+      const limited = Math.min(length, temperature);
+      const p = positions[i];
+      p[0] = Math.min(width - 10, Math.max(10, p[0] + (mx / length) * limited));
+      p[1] = Math.min(
+        height - 10,
+        Math.max(10, p[1] + (my / length) * limited),
+      );
+    }
+    temperature *= 0.97;
+  }
+  return positions;
+};
@@ -0,0 +1,66 @@
+import {
+  DEFAULT_EDGE_QUERY,
+  buildGraph,
+  graphSettings,
+  layoutGraph,
+} from "./graph";
+
+const edges = [
+  { source: "a", target: "b" },
+  { source: "b", target: "c" },
+  { source: "c", target: "d" },
+  { source: "b", target: "a" },
+];
+const rows = [{ file: "a", tags: "sf,classic" }];
+const settings = { nodeField: "file", colorBy: "tags", maxNodes: 100 };
+
+test("includes neighbours up to the requested depth", () => {
+  const ids = (depth) =>
+    buildGraph(edges, rows, { ...settings, depth }).nodes.map((n) => n.id);
+  expect(ids(0)).toEqual(["a"]);
+  expect(ids(1)).toEqual(["a", "b"]);
+  expect(ids(2)).toEqual(["a", "b", "c"]);
+});
+
+test("marks seeds, colours by the first tag and merges duplicate links", () => {
+  const graph = buildGraph(edges, rows, { ...settings, depth: 1 });
+  expect(graph.nodes).toEqual([
+    { id: "a", seed: true, tag: "sf" },
+    { id: "b", seed: false, tag: null },
+  ]);
+  expect(graph.links).toEqual([{ source: 0, target: 1 }]);
+});
+
+test("cuts the farthest nodes beyond maxNodes", () => {
+  const graph = buildGraph(edges, rows, { ...settings, depth: 3, maxNodes: 2 });
+  expect(graph.nodes.map((n) => n.id)).toEqual(["a", "b"]);
+  expect(graph.truncated).toBe(true);
+});
+
+test("lays nodes out inside the canvas", () => {
+  const { nodes, links } = buildGraph(edges, rows, { ...settings, depth: 3 });
+  const positions = layoutGraph(nodes, links, { width: 200, height: 100 });
+  expect(positions).toHaveLength(4);
+  for (const [x, y] of positions) {
+    expect(x).toBeGreaterThanOrEqual(10);
+    expect(x).toBeLessThanOrEqual(190);
+    expect(y).toBeGreaterThanOrEqual(10);
+    expect(y).toBeLessThanOrEqual(90);
+  }
+});
+
+test("falls back to the default schema's backlinks without an edge query", () => {
+  const config = { columns: [{ field: "file" }], textSearchColumn: "file" };
+  expect(graphSettings(config)).toMatchObject({
+    edgeQuery: DEFAULT_EDGE_QUERY,
+    defaultTables: ["files", "backlinks"],
+  });
+  const custom = graphSettings({
+    ...config,
+    graph: { edgeQuery: "SELECT a AS source, b AS target FROM links" },
+  });
+  expect(custom.defaultTables).toEqual([]);
+  expect(graphSettings(config).defaultTables).toBe(
+    graphSettings(config).defaultTables,
+  );
+});
@@ -0,0 +1,181 @@
+import { isSqlite } from "./dbFile";
+
+// A read-only database file on a web server, fetched page by page with HTTP
+// Range requests as SQLite reads it, so a multi-GB file can be queried
+// without downloading it. Reads are synchronous, as SQLite expects, which is
+// why this only runs in the worker.
+
+// SQLite's page size is in the first 100 bytes
+const HEADER_SIZE = 100;
+
+const DEFAULT_CACHE_SIZE = 32 * 1024 * 1024;
+const DEFAULT_MAX_READ_AHEAD = 1024 * 1024;
+
+const fromBinaryString = (text) => {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xff;
+  return bytes;
+};
+
+// Fetches bytes [start, end) with a synchronous XMLHttpRequest, resolving to
+// { status, bytes, contentRange }
+export const rangeFetcher = (url) => (start, end) => {
+  const xhr = new XMLHttpRequest();
+  xhr.open("GET", url, false);
+  try {
+    xhr.responseType = "arraybuffer";
+  } catch {
+    // Outside workers synchronous requests only return text, which this
+    // charset keeps byte for byte
+    xhr.overrideMimeType("text/plain; charset=x-user-defined");
+  }
+  xhr.setRequestHeader("Range", `bytes=${start}-${end - 1}`);
+  xhr.send();
+  if (xhr.status !== 200 && xhr.status !== 206) {
+    throw new Error(`Couldn't read ${url}: ${xhr.status} ${xhr.statusText}`);
+  }
+  return {
+    status: xhr.status,
+    bytes:
+      xhr.response instanceof ArrayBuffer
+        ? new Uint8Array(xhr.response)
+        : fromBinaryString(xhr.responseText),
+    contentRange: xhr.getResponseHeader("Content-Range"),
+  };
+};
+
+// The file's total size from "bytes 0-99/123456"
+const totalSize = (contentRange) => {
+  const match = /\/(\d+)\s*$/.exec(contentRange || "");
+  return match ? Number(match[1]) : null;
+};
+
+// Opens `url` as { size, pageSize, bytes }. `bytes` stands in for the file's
+// contents in sql.js's in-memory file system: `new SQL.Database(bytes)` keeps
+// what its `slice()` returns as the file and from then on reads it through
+// `subarray(start, end)`, which is where the pages are fetched. That is how
+// sql.js's MEMFS works inside, not its API, which is why package.json pins
+// sql.js to an exact version.
+//
+// Fetched pages are kept in a cache of at most `cacheSize` bytes, dropping
+// the least recently read first. When SQLite reads pages in order, as in a
+// table scan, each request fetches twice as many pages as the last, up to
+// `maxReadAhead` bytes.
+export const openHttpFile = (
+  url,
+  {
+    fetchRange = rangeFetcher(url),
+    cacheSize = DEFAULT_CACHE_SIZE,
+    maxReadAhead = DEFAULT_MAX_READ_AHEAD,
+  } = {},
+) => {
+  const header = fetchRange(0, HEADER_SIZE);
+  if (header.status !== 206) {
+    throw new Error(
+      `${url} can't be read on demand: the server doesn't support range requests.`,
+    );
+  }
+  const size = totalSize(header.contentRange);
+  if (size === null) {
+    throw new Error(
+      `${url} can't be read on demand: the server doesn't expose the file's size (Content-Range).`,
+    );
+  }
+  if (!isSqlite(header.bytes)) {
+    throw new Error(`${url} is not a SQLite database.`);
+  }
+  // Write-ahead log databases keep recent changes in a separate -wal file
+  if (header.bytes[18] === 2 || header.bytes[19] === 2) {
+    throw new Error(
+      `${url} uses write-ahead logging. Run PRAGMA journal_mode = DELETE on it before publishing it.`,
+    );
+  }
+  const rawPageSize = (header.bytes[16] << 8) | header.bytes[17];
+  const pageSize = rawPageSize === 1 ? 65536 : rawPageSize;
+  const pageCount = Math.ceil(size / pageSize);
+  const maxPages = Math.max(1, Math.floor(maxReadAhead / pageSize));
+  const maxCached = Math.max(maxPages, Math.floor(cacheSize / pageSize));
+
+  // Page number -> bytes, in least recently read order
+  const cache = new Map();
+  let readAhead = 1;
+  let nextPage = -1;
+
+  const cachedPage = (page) => {
+    const bytes = cache.get(page);
+    if (bytes) {
+      cache.delete(page);
+      cache.set(page, bytes);
+    }
+    return bytes;
+  };
+
+  const fetchBytes = (start, end) => {
+    const { status, bytes, contentRange } = fetchRange(start, end);
+    if (status !== 206 || totalSize(contentRange) !== size) {
+      throw new Error(`${url} changed on the server. Open it again.`);
+    }
+    if (bytes.length !== end - start) {
+      throw new Error(`${url} returned a short read. Open it again.`);
+    }
+    return bytes;
+  };
+
+  // Fetches pages first..last in one request
+  const fetchPages = (first, last) => {
+    const bytes = fetchBytes(
+      first * pageSize,
+      Math.min(size, (last + 1) * pageSize),
+    );
+    for (let page = first; page <= last; page++) {
+      const offset = (page - first) * pageSize;
+      cache.set(page, bytes.slice(offset, offset + pageSize));
+    }
+    while (cache.size > maxCached) cache.delete(cache.keys().next().value);
+  };
+
+  const read = (start, end) => {
+    end = Math.min(end, size);
+    if (end <= start) return new Uint8Array(0);
+    const first = Math.floor(start / pageSize);
+    const last = Math.floor((end - 1) / pageSize);
+    // Too big to cache, such as export() reading the whole file
+    if (last - first + maxPages >= maxCached) return fetchBytes(start, end);
+    readAhead = first === nextPage ? Math.min(readAhead * 2, maxPages) : 1;
+    nextPage = last + 1;
+
+    const wanted = Math.min(
+      pageCount - 1,
+      Math.max(last, first + readAhead - 1),
+    );
+    for (let page = first; page <= last; page++) {
+      // Marked as recently read so the pages fetched next can't evict it
+      if (cachedPage(page)) continue;
+      let runEnd = page;
+      while (runEnd < wanted && !cache.has(runEnd + 1)) runEnd++;
+      fetchPages(page, runEnd);
+      page = runEnd;
+    }
+
+    if (first === last) {
+      const offset = first * pageSize;
+      return cachedPage(first).subarray(start - offset, end - offset);
+    }
+    const result = new Uint8Array(end - start);
+    for (let page = first; page <= last; page++) {
+      const bytes = cachedPage(page);
+      const offset = page * pageSize;
+      const from = Math.max(start, offset);
+      const to = Math.min(end, offset + bytes.length);
+      result.set(bytes.subarray(from - offset, to - offset), from - start);
+    }
+    return result;
+  };
+
+  const bytes = {
+    length: size,
+    slice: () => bytes,
+    subarray: read,
+  };
+  return { size, pageSize, bytes };
+};
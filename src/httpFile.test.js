@@ -0,0 +1,184 @@
+/**
+ * @jest-environment node
+ */
+import { execFileSync, spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import readline from "readline";
+import initSqlJs from "sql.js";
+import { openHttpFile } from "./httpFile";
+
+// The stand-in for the remote host. Reads are synchronous and would block
+// this process, so the server runs in its own and each request is made from
+// another.
+const SERVER = path.join(__dirname, "..", "scripts", "range-server.js");
+
+const FETCH = `
+const [url, range] = process.argv.slice(1);
+fetch(url, { headers: range ? { Range: range } : {} }).then(async (res) =>
+  process.stdout.write(JSON.stringify({
+    status: res.status,
+    contentRange: res.headers.get("Content-Range"),
+    body: Buffer.from(await res.arrayBuffer()).toString("base64"),
+  })),
+);`;
+
+const get = (url, range = "") => {
+  const { status, contentRange, body } = JSON.parse(
+    execFileSync(process.execPath, ["-e", FETCH, url, range], {
+      maxBuffer: 64 * 1024 * 1024,
+    }),
+  );
+  return {
+    status,
+    contentRange,
+    bytes: new Uint8Array(Buffer.from(body, "base64")),
+  };
+};
+
+const NOTES = 10000;
+
+let SQL;
+let dir;
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.exec("CREATE TABLE notes (id INTEGER PRIMARY KEY, name TEXT, body TEXT)");
+  db.exec("BEGIN");
+  const insert = db.prepare("INSERT INTO notes (name, body) VALUES (?, ?)");
+  for (let i = 0; i < NOTES; i++) {
+    insert.run([`note ${i}`, `body of note ${i} `.repeat(10)]);
+  }
+  insert.free();
+  db.exec("CREATE INDEX notes_name ON notes (name)");
+  db.exec("COMMIT");
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "range-"));
+  fs.writeFileSync(path.join(dir, "vault.db"), db.export());
+  db.close();
+
+  server = spawn(process.execPath, [SERVER, dir]);
+  const [line] = await readline
+    .createInterface({ input: server.stdout })
+    [Symbol.asyncIterator]()
+    .next()
+    .then(({ value }) => [value]);
+  baseUrl = line;
+}, 30000);
+
+afterAll(() => {
+  if (server) server.kill();
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// { requests, bytes } the server has sent so far
+const served = () =>
+  JSON.parse(new TextDecoder().decode(get(`${baseUrl}__stats`).bytes));
+
+// Stands in for the worker's synchronous XMLHttpRequest
+const fetchRange = (start, end) =>
+  get(`${baseUrl}vault.db`, `bytes=${start}-${end - 1}`);
+
+// Runs `fn` and returns what the server sent meanwhile
+const measure = (fn) => {
+  const before = served();
+  fn();
+  const after = served();
+  return {
+    requests: after.requests - before.requests,
+    bytes: after.bytes - before.bytes,
+  };
+};
+
+const open = (options = {}) => {
+  let file;
+  let db;
+  const cost = measure(() => {
+    file = openHttpFile(`${baseUrl}vault.db`, { fetchRange, ...options });
+    db = new SQL.Database(file.bytes);
+    db.exec("PRAGMA query_only = ON");
+  });
+  return { file, db, cost };
+};
+
+const count = (db, sql, params) => {
+  const stmt = db.prepare(sql);
+  stmt.bind(params);
+  let rows = 0;
+  while (stmt.step()) rows++;
+  stmt.free();
+  return rows;
+};
+
+test("opening reads the header and the first page", () => {
+  const { file, db, cost } = open();
+  expect(file.size).toBe(fs.statSync(path.join(dir, "vault.db")).size);
+  expect(file.pageSize).toBe(4096);
+  expect(cost).toEqual({ requests: 2, bytes: 100 + file.pageSize });
+  db.close();
+});
+
+test("an indexed lookup fetches a few pages, then none from the cache", () => {
+  const { file, db } = open();
+  const lookup = () =>
+    expect(count(db, "SELECT * FROM notes WHERE name = ?", ["note 1234"])).toBe(
+      1,
+    );
+
+  const first = measure(lookup);
+  // Schema, index and table b-tree pages
+  expect(first.requests).toBeLessThanOrEqual(8);
+  expect(first.bytes).toBeLessThanOrEqual(8 * file.pageSize);
+  expect(first.bytes).toBeLessThan(file.size / 100);
+
+  expect(measure(lookup)).toEqual({ requests: 0, bytes: 0 });
+  db.close();
+});
+
+test("a table scan reads ahead in growing requests", () => {
+  const { file, db } = open();
+  const cost = measure(() =>
+    expect(count(db, "SELECT * FROM notes WHERE body LIKE '%x%'")).toBe(0),
+  );
+  const pages = file.size / file.pageSize;
+  expect(cost.bytes).toBeLessThanOrEqual(file.size);
+  expect(cost.requests).toBeLessThan(pages / 10);
+  db.close();
+});
+
+test("a small cache evicts and fetches again", () => {
+  const { db } = open({ cacheSize: 512 * 1024, maxReadAhead: 256 * 1024 });
+  const scan = () => count(db, "SELECT * FROM notes WHERE body LIKE '%x%'");
+  const first = measure(scan);
+  const second = measure(scan);
+  expect(second.bytes).toBeGreaterThan(first.bytes / 2);
+  db.close();
+});
+
+test("the database can't be written to", () => {
+  const { db } = open();
+  expect(() => db.exec("DELETE FROM notes")).toThrow(/readonly/);
+  db.close();
+});
+
+test("explains files that can't be read on demand", () => {
+  const url = `${baseUrl}vault.db`;
+  expect(() =>
+    openHttpFile(url, {
+      fetchRange: (start, end) => ({ ...fetchRange(start, end), status: 200 }),
+    }),
+  ).toThrow("the server doesn't support range requests");
+
+  expect(() =>
+    openHttpFile(url, {
+      fetchRange: (start, end) => {
+        const result = fetchRange(start, end);
+        result.bytes[18] = result.bytes[19] = 2;
+        return result;
+      },
+    }),
+  ).toThrow("uses write-ahead logging");
+});
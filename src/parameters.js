@@ -0,0 +1,96 @@
+// Named parameters of `mainQuery`, declared in the config's `parameters`:
+//   [{ name: "minDate", label, type: "text" | "number" | "date" | "boolean",
+//      default, optionsQuery }]
+// The query refers to them as `:minDate` (`@minDate` and `$minDate` work
+// too). Values are bound as prepared-statement parameters, never spliced into
+// the SQL. An empty control binds NULL, so a query can make a parameter
+// optional with `(:minDate IS NULL OR Date >= :minDate)`.
+
+export const PARAMETER_TYPES = ["text", "number", "date", "boolean"];
+
+const isNameStart = (c) => /[A-Za-z_]/.test(c);
+const isNamePart = (c) => /\w/.test(c);
+
+// Calls onParam(name) for each named parameter outside string literals,
+// quoted identifiers and comments, and returns the SQL with every parameter
+// replaced by what onParam returned
+const scan = (sql, onParam) => {
+  let out = "";
+  let i = 0;
+  const skipTo = (end, from) => {
+    const j = sql.indexOf(end, from);
+    return j === -1 ? sql.length : j + end.length;
+  };
+  while (i < sql.length) {
+    const c = sql[i];
+    let next = i + 1;
+    if (c === "'" || c === '"' || c === "`") {
+      next = skipTo(c, i + 1);
+    } else if (c === "[") {
+      next = skipTo("]", i + 1);
+    } else if (c === "-" && sql[i + 1] === "-") {
+      next = skipTo("\n", i + 2);
+    } else if (c === "/" && sql[i + 1] === "*") {
+      next = skipTo("*/", i + 2);
+    } else if (":@$".includes(c) && isNameStart(sql[i + 1] || "")) {
+      next = i + 2;
+      while (next < sql.length && isNamePart(sql[next])) next++;
+      out += onParam(sql.slice(i + 1, next));
+      i = next;
+      continue;
+    }
+    out += sql.slice(i, next);
+    i = next;
+  }
+  return out;
+};
+
+export const parameterNames = (sql) => {
+  const names = [];
+  scan(sql, (name) => {
+    if (!names.includes(name)) names.push(name);
+    return "";
+  });
+  return names;
+};
+
+// Rewrites the named parameters as `?` so they can be combined with the
+// positional parameters of the filters; missing values bind NULL
+export const bindParameters = (sql, values = {}) => {
+  const params = [];
+  const bound = scan(sql, (name) => {
+    params.push(values[name] === undefined ? null : values[name]);
+    return "?";
+  });
+  return { sql: bound, params };
+};
+
+// A control's or URL's text as the value to bind
+export const coerceValue = (parameter, raw) => {
+  if (raw === null || raw === undefined || raw === "") return null;
+  switch (parameter.type) {
+    case "number": {
+      const number = Number(raw);
+      return isNaN(number) ? null : number;
+    }
+    case "boolean":
+      return raw === true || raw === 1 || raw === "1" || raw === "true" ? 1 : 0;
+    default:
+      return String(raw);
+  }
+};
+
+export const defaultValues = (config) =>
+  Object.fromEntries(
+    (config.parameters || []).map((p) => [p.name, coerceValue(p, p.default)]),
+  );
+
+// Values that differ from the defaults, for the URL
+export const changedValues = (config, values) => {
+  const defaults = defaultValues(config);
+  return Object.fromEntries(
+    Object.entries(values).filter(
+      ([name, value]) => name in defaults && value !== defaults[name],
+    ),
+  );
+};
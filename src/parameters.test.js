@@ -0,0 +1,47 @@
+import {
+  bindParameters,
+  parameterNames,
+  coerceValue,
+  changedValues,
+} from "./parameters";
+
+test("finds named parameters outside strings and comments", () => {
+  const sql = `SELECT ':skip', "@col", [$id] -- :comment
+    FROM t /* @block */ WHERE a >= :minDate AND b = @status OR c = :minDate`;
+  expect(parameterNames(sql)).toEqual(["minDate", "status"]);
+});
+
+test("binds every occurrence positionally", () => {
+  expect(
+    bindParameters("SELECT * FROM t WHERE a > :min AND (:min IS NULL OR b)", {
+      min: 5,
+    }),
+  ).toEqual({
+    sql: "SELECT * FROM t WHERE a > ? AND (? IS NULL OR b)",
+    params: [5, 5],
+  });
+  expect(bindParameters("SELECT $x, '12:30'", {}).params).toEqual([null]);
+});
+
+test("converts control and URL text to the parameter's type", () => {
+  expect(coerceValue({ type: "number" }, "12")).toBe(12);
+  expect(coerceValue({ type: "number" }, "abc")).toBeNull();
+  expect(coerceValue({ type: "boolean" }, "true")).toBe(1);
+  expect(coerceValue({ type: "boolean" }, "0")).toBe(0);
+  expect(coerceValue({ type: "date" }, "")).toBeNull();
+});
+
+test("only values that differ from the defaults go into the URL", () => {
+  const config = {
+    parameters: [
+      { name: "tag", type: "text", default: "dead" },
+      { name: "min", type: "number" },
+    ],
+  };
+  expect(changedValues(config, { tag: "dead", min: 3, stale: 1 })).toEqual({
+    min: 3,
+  });
+  expect(changedValues(config, { tag: null, min: null })).toEqual({
+    tag: null,
+  });
+});
@@ -0,0 +1,151 @@
+import { query } from "./database";
+import defaultConfig from "./defaultConfig";
+import { downloadBlob, toFileName } from "./download";
+import { validateConfig } from "./validateConfig";
+
+// Named config profiles, kept in localStorage as
+// { activeId, profiles: [{ id, name, config, fingerprint }] }. A profile with
+// a fingerprint is picked automatically when a database with that schema is
+// opened.
+
+const STORAGE_KEY = "configProfiles";
+
+export const DEFAULT_PROFILE_ID = "default";
+
+// Written into exported files; files without one are version 1
+export const PROFILE_FILE_VERSION = 1;
+
+const newId = () =>
+  `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+export const createProfile = (name, config, fingerprint = null, id = null) => ({
+  id: id || newId(),
+  name,
+  config,
+  fingerprint,
+});
+
+const initialState = () => ({
+  activeId: DEFAULT_PROFILE_ID,
+  profiles: [
+    {
+      id: DEFAULT_PROFILE_ID,
+      name: "Default",
+      config: defaultConfig,
+      fingerprint: null,
+    },
+  ],
+});
+
+export const loadProfiles = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored && Array.isArray(stored.profiles) && stored.profiles.length) {
+      return stored;
+    }
+  } catch (e) {
+    console.error("Ignoring unreadable config profiles:", e);
+  }
+  return initialState();
+};
+
+export const saveProfiles = (state) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+};
+
+// FNV-1a, plenty for telling schemas apart
+const hash = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+};
+
+// Identifies a schema by the names and DDL of its tables, views and indexes
+export const schemaFingerprint = async () => {
+  const { rows } = await query(
+    `SELECT type, name, sql FROM sqlite_master
+     WHERE name NOT LIKE 'sqlite_%' ORDER BY type, name`,
+    { label: "Reading schema", rowMode: "array" },
+  );
+  return hash(
+    rows
+      .map((row) =>
+        row
+          .map((v) =>
+            String(v ?? "")
+              .replace(/\s+/g, " ")
+              .trim(),
+          )
+          .join("|"),
+      )
+      .join("\n"),
+  );
+};
+
+// The id goes along, so links to the profile keep working for whoever
+// imports it
+export const exportProfile = (profile) => {
+  const { id, name, config, fingerprint } = profile;
+  const blob = new Blob(
+    [
+      JSON.stringify(
+        { version: PROFILE_FILE_VERSION, id, name, fingerprint, config },
+        null,
+        2,
+      ),
+    ],
+    { type: "application/json" },
+  );
+  downloadBlob(blob, toFileName(name, "json"));
+};
+
+// Reads profiles from an exported file. Accepts a single exported profile,
+// an array of them, or a bare config (named after the file). Throws if the
+// file isn't JSON, comes from a newer version or holds an invalid config.
+// Profiles keep their exported id unless it is one of `takenIds`.
+export const parseProfileFile = (text, fileName, takenIds = []) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${fileName} is not valid JSON: ${error.message}`);
+  }
+  const entries = Array.isArray(parsed) ? parsed : [parsed];
+  const taken = new Set(takenIds);
+
+  return entries.map((entry, i) => {
+    const isBareConfig = entry && typeof entry.mainQuery === "string";
+    const config = isBareConfig ? entry : entry && entry.config;
+    const name = isBareConfig
+      ? fileName.replace(/\.json$/i, "")
+      : (entry && entry.name) || `Imported ${i + 1}`;
+
+    const version = isBareConfig ? undefined : entry && entry.version;
+    if (version !== undefined && version !== PROFILE_FILE_VERSION) {
+      throw new Error(
+        `"${name}": profile file version ${version} is not supported (expected ${PROFILE_FILE_VERSION}).`,
+      );
+    }
+
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+      const { path, message } = errors[0];
+      throw new Error(`"${name}": ${path} ${message}`);
+    }
+    const id =
+      !isBareConfig && typeof entry.id === "string" && !taken.has(entry.id)
+        ? entry.id
+        : null;
+    const profile = createProfile(
+      name,
+      config,
+      isBareConfig ? null : entry.fingerprint || null,
+      id,
+    );
+    taken.add(profile.id);
+    return profile;
+  });
+};
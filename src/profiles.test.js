@@ -0,0 +1,96 @@
+/**
+ * @jest-environment node
+ */
+import defaultConfig from "./defaultConfig";
+import { openMockDatabase } from "./database";
+import {
+  PROFILE_FILE_VERSION,
+  parseProfileFile,
+  schemaFingerprint,
+} from "./profiles";
+
+// query() from the worker, answered by an in-memory database
+jest.mock("./database");
+
+const withSchema = async (schema) => {
+  const db = await openMockDatabase(schema);
+  const fingerprint = await schemaFingerprint();
+  db.close();
+  return fingerprint;
+};
+
+const exported = (fields) =>
+  JSON.stringify({
+    version: PROFILE_FILE_VERSION,
+    id: "pbooks",
+    name: "Books",
+    fingerprint: "abc",
+    config: defaultConfig,
+    ...fields,
+  });
+
+test("reads exported profiles and keeps their ids", () => {
+  const [profile] = parseProfileFile(exported(), "books.json");
+  expect(profile).toEqual({
+    id: "pbooks",
+    name: "Books",
+    fingerprint: "abc",
+    config: defaultConfig,
+  });
+});
+
+test("gives imported profiles new ids when theirs are taken", () => {
+  const text = JSON.stringify([JSON.parse(exported()), JSON.parse(exported())]);
+  const [first, second] = parseProfileFile(text, "books.json");
+  expect(first.id).toBe("pbooks");
+  expect(second.id).not.toBe("pbooks");
+
+  const [renamed] = parseProfileFile(exported(), "books.json", ["pbooks"]);
+  expect(renamed.id).not.toBe("pbooks");
+});
+
+test("names a bare config after its file", () => {
+  const [profile] = parseProfileFile(
+    JSON.stringify(defaultConfig),
+    "Reading list.json",
+  );
+  expect(profile.name).toBe("Reading list");
+  expect(profile.config).toEqual(defaultConfig);
+  expect(profile.fingerprint).toBeNull();
+});
+
+test("rejects files that can't be imported", () => {
+  expect(() => parseProfileFile("{ name: ", "broken.json")).toThrow(
+    /^broken\.json is not valid JSON/,
+  );
+  expect(() =>
+    parseProfileFile(exported({ version: 2 }), "books.json"),
+  ).toThrow('"Books": profile file version 2 is not supported');
+  expect(() =>
+    parseProfileFile(
+      exported({ config: { ...defaultConfig, mainQuery: 42 } }),
+      "books.json",
+    ),
+  ).toThrow('"Books": $.mainQuery must be string');
+});
+
+test("fingerprints the schema, ignoring whitespace", async () => {
+  const books = await withSchema(
+    "CREATE TABLE books (id INTEGER PRIMARY KEY, title TEXT)",
+  );
+  expect(
+    await withSchema(`CREATE TABLE books (id INTEGER PRIMARY KEY,
+      title   TEXT)`),
+  ).toBe(books);
+  expect(
+    await withSchema(
+      "CREATE TABLE books (id INTEGER PRIMARY KEY, title TEXT, year INTEGER)",
+    ),
+  ).not.toBe(books);
+  expect(
+    await withSchema(`
+      CREATE TABLE books (id INTEGER PRIMARY KEY, title TEXT);
+      CREATE INDEX books_title ON books (title);
+    `),
+  ).not.toBe(books);
+});
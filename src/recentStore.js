@@ -0,0 +1,162 @@
+// Recently opened databases, kept in IndexedDB so they can be reopened with
+// one click after a reload. Where the File System Access API is available we
+// store the file handle (tiny, re-read on open); otherwise the file contents
+// themselves, within a user-configurable size budget that evicts the least
+// recently opened files first.
+//
+// Metadata and contents live in separate stores so listing stays cheap.
+
+const DB_NAME = "database-reader";
+const META_STORE = "recentDatabases";
+const DATA_STORE = "recentDatabaseData";
+const LIMIT_KEY = "recentDatabasesLimitMb";
+const DEFAULT_LIMIT_MB = 500;
+const MAX_ENTRIES = 10;
+
+export const isRecentSupported = typeof indexedDB !== "undefined";
+
+export const canUseFileHandles =
+  typeof window !== "undefined" && "showOpenFilePicker" in window;
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+let dbPromise = null;
+const openStore = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(META_STORE, { keyPath: "id" });
+      request.result.createObjectStore(DATA_STORE);
+    };
+    dbPromise = promisify(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Runs `work` against both stores in one transaction. If `work` fails, the
+// transaction is rolled back and the error from `work` is the one thrown.
+const transaction = async (mode, work) => {
+  const db = await openStore();
+  const tx = db.transaction([META_STORE, DATA_STORE], mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  try {
+    const result = await work(
+      tx.objectStore(META_STORE),
+      tx.objectStore(DATA_STORE),
+    );
+    await done;
+    return result;
+  } catch (error) {
+    done.catch(() => {});
+    try {
+      tx.abort();
+    } catch {
+      // Already committed or aborted
+    }
+    throw error;
+  }
+};
+
+export const getStorageLimitMb = () =>
+  Number(localStorage.getItem(LIMIT_KEY)) || DEFAULT_LIMIT_MB;
+
+export const setStorageLimitMb = async (limitMb) => {
+  localStorage.setItem(LIMIT_KEY, String(limitMb));
+  await evict();
+};
+
+// Newest first
+export const listRecent = async () => {
+  if (!isRecentSupported) return [];
+  const entries = await transaction("readonly", (meta) =>
+    promisify(meta.getAll()),
+  );
+  return entries.sort((a, b) => b.lastOpened - a.lastOpened);
+};
+
+// Drops stored contents beyond the size budget and entries beyond the count
+// limit, least recently opened first
+const evict = async () => {
+  const limit = getStorageLimitMb() * 1024 * 1024;
+  const entries = await listRecent();
+  let used = 0;
+
+  await transaction("readwrite", (meta, data) => {
+    entries.forEach((entry, i) => {
+      const keep =
+        i < MAX_ENTRIES &&
+        (entry.kind === "handle" || used + entry.size <= limit);
+      if (entry.kind === "buffer" && keep) used += entry.size;
+      if (!keep) {
+        meta.delete(entry.id);
+        data.delete(entry.id);
+      }
+    });
+  });
+};
+
+// Remembers an opened file. Pass a FileSystemFileHandle when there is one,
+// otherwise the contents are stored if they fit the budget. Resolves with
+// false when the file could not be remembered.
+export const rememberDatabase = async ({ name, size, buffer, handle }) => {
+  if (!isRecentSupported) return false;
+  const kind = handle ? "handle" : "buffer";
+  if (kind === "buffer" && size > getStorageLimitMb() * 1024 * 1024) {
+    return false;
+  }
+
+  const id = `${name}:${size}`;
+  await transaction("readwrite", (meta, data) => {
+    meta.put({ id, name, size, kind, lastOpened: Date.now() });
+    data.put(handle || buffer, id);
+  });
+  await evict();
+  return true;
+};
+
+// Resolves with the file's contents, asking for read permission again if the
+// browser requires it for a stored handle
+export const loadRecent = async (id) => {
+  const [entry, stored] = await transaction("readonly", (meta, data) =>
+    Promise.all([promisify(meta.get(id)), promisify(data.get(id))]),
+  );
+  if (!entry || !stored) throw new Error("This database is no longer stored.");
+
+  let buffer = stored;
+  if (entry.kind === "handle") {
+    if ((await stored.queryPermission({ mode: "read" })) !== "granted") {
+      if ((await stored.requestPermission({ mode: "read" })) !== "granted") {
+        throw new Error(`Permission to read "${entry.name}" was denied.`);
+      }
+    }
+    buffer = await (await stored.getFile()).arrayBuffer();
+  }
+
+  await transaction("readwrite", (meta) =>
+    meta.put({ ...entry, lastOpened: Date.now() }),
+  );
+  return { name: entry.name, buffer };
+};
+
+export const forgetRecent = (id) =>
+  transaction("readwrite", (meta, data) => {
+    meta.delete(id);
+    data.delete(id);
+  });
+
+export const clearRecent = () =>
+  transaction("readwrite", (meta, data) => {
+    meta.clear();
+    data.clear();
+  });
@@ -0,0 +1,70 @@
+import "fake-indexeddb/auto";
+import v8 from "v8";
+import {
+  clearRecent,
+  forgetRecent,
+  listRecent,
+  loadRecent,
+  rememberDatabase,
+  setStorageLimitMb,
+} from "./recentStore";
+
+const MB = 1024 * 1024;
+
+// fake-indexeddb copies values with structuredClone, which jsdom lacks
+global.structuredClone = (value) => v8.deserialize(v8.serialize(value));
+
+const remember = (name, size = 10) =>
+  rememberDatabase({ name, size, buffer: new Uint8Array(size).fill(7) });
+
+let now = 0;
+beforeEach(async () => {
+  jest.spyOn(Date, "now").mockImplementation(() => ++now);
+  localStorage.clear();
+  await clearRecent();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+test("lists remembered databases, newest first", async () => {
+  expect(await listRecent()).toEqual([]);
+  expect(await remember("a.db")).toBe(true);
+  expect(await remember("b.db")).toBe(true);
+  expect((await listRecent()).map((e) => e.name)).toEqual(["b.db", "a.db"]);
+});
+
+test("reopening returns the stored contents and moves it to the top", async () => {
+  await remember("a.db", 3);
+  await remember("b.db");
+  const { name, buffer } = await loadRecent("a.db:3");
+  expect(name).toBe("a.db");
+  expect(Array.from(buffer)).toEqual([7, 7, 7]);
+  expect((await listRecent()).map((e) => e.name)).toEqual(["a.db", "b.db"]);
+});
+
+test("forgets one database or all of them", async () => {
+  await remember("a.db");
+  await remember("b.db");
+  await forgetRecent("a.db:10");
+  expect((await listRecent()).map((e) => e.name)).toEqual(["b.db"]);
+  await expect(loadRecent("a.db:10")).rejects.toThrow("no longer stored");
+
+  await clearRecent();
+  expect(await listRecent()).toEqual([]);
+});
+
+test("keeps stored contents within the size limit", async () => {
+  await setStorageLimitMb(2);
+  expect(await remember("big.db", 3 * MB)).toBe(false);
+  await remember("a.db", MB);
+  await remember("b.db", MB);
+  await remember("c.db", MB);
+  expect((await listRecent()).map((e) => e.name)).toEqual(["c.db", "b.db"]);
+});
+
+test("a failed write leaves nothing behind", async () => {
+  await expect(
+    rememberDatabase({ name: "a.db", size: 10, buffer: () => {} }),
+  ).rejects.toThrow();
+  expect(await listRecent()).toEqual([]);
+});
@@ -0,0 +1,84 @@
+import { query } from "./database";
+
+export const quoteIdentifier = (name) =>
+  `"${String(name).replace(/"/g, '""')}"`;
+
+// Lowercases the way SQLite's LOWER() does, which folds ASCII letters only,
+// so the in-memory filters match the same rows as their SQL versions
+export const sqlLower = (text) =>
+  text.replace(/[A-Z]+/g, (letters) => letters.toLowerCase());
+
+// Wraps a statement so it can be filtered, sorted or limited from outside
+export const asSubquery = (sql) =>
+  `SELECT * FROM (\n${sql.trim().replace(/;\s*$/, "")}\n)`;
+
+const pragma = async (name, target) => {
+  const { rows } = await query(`PRAGMA ${name}(${quoteIdentifier(target)})`, {
+    label: "Reading schema",
+  });
+  return rows;
+};
+
+// Whether the database has all of these tables or views
+export const hasTables = async (names) => {
+  const { rows } = await query(
+    `SELECT COUNT(DISTINCT LOWER(name)) AS n FROM sqlite_master
+     WHERE type IN ('table', 'view')
+       AND LOWER(name) IN (SELECT LOWER(value) FROM json_each(?))`,
+    { params: [JSON.stringify(names)], label: "Reading schema" },
+  );
+  return rows[0].n === new Set(names.map((name) => name.toLowerCase())).size;
+};
+
+// COUNT(*) reads the whole table, which on a remote database means
+// downloading it
+export const countRows = async (table) => {
+  const { rows } = await query(
+    `SELECT COUNT(*) AS n FROM ${quoteIdentifier(table)}`,
+    { label: `Counting ${table}` },
+  );
+  return rows[0].n;
+};
+
+// Describes every user table and view: columns, indexes, foreign keys and,
+// for tables, the row count. Without `rowCounts` that is left null.
+export const loadSchema = async ({ rowCounts = true } = {}) => {
+  const { rows: objects } = await query(
+    `SELECT name, type, sql FROM sqlite_master
+     WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%'
+     ORDER BY type, name`,
+    { label: "Reading schema" },
+  );
+
+  const schema = [];
+  for (const { name, type, sql } of objects) {
+    const columns = (await pragma("table_info", name)).map((c) => ({
+      name: c.name,
+      type: c.type,
+      notNull: Boolean(c.notnull),
+      defaultValue: c.dflt_value,
+      primaryKey: c.pk > 0,
+    }));
+
+    const indexes = [];
+    for (const index of await pragma("index_list", name)) {
+      indexes.push({
+        name: index.name,
+        unique: Boolean(index.unique),
+        columns: (await pragma("index_info", index.name)).map((c) => c.name),
+      });
+    }
+
+    const foreignKeys = (await pragma("foreign_key_list", name)).map((fk) => ({
+      from: fk.from,
+      table: fk.table,
+      to: fk.to,
+    }));
+
+    const rowCount =
+      type === "table" && rowCounts ? await countRows(name) : null;
+
+    schema.push({ name, type, sql, columns, indexes, foreignKeys, rowCount });
+  }
+  return schema;
+};
@@ -0,0 +1,31 @@
+/**
+ * @jest-environment node
+ */
+import { countRows, loadSchema } from "./schema";
+import { openMockDatabase } from "./database";
+
+// query() from the worker, answered by an in-memory database
+jest.mock("./database");
+
+beforeAll(async () => {
+  await openMockDatabase(`
+    CREATE TABLE files (id INTEGER PRIMARY KEY, title TEXT);
+    CREATE VIEW titles AS SELECT title FROM files;
+    INSERT INTO files VALUES (1, 'Dune'), (2, 'Emma');
+  `);
+});
+
+test("counts the rows of tables", async () => {
+  const schema = await loadSchema();
+  expect(schema.map(({ name, rowCount }) => [name, rowCount])).toEqual([
+    ["files", 2],
+    ["titles", null],
+  ]);
+});
+
+test("leaves the counts to countRows when asked to", async () => {
+  const [files] = await loadSchema({ rowCounts: false });
+  expect(files.rowCount).toBeNull();
+  expect(files.columns.map((c) => c.name)).toEqual(["id", "title"]);
+  expect(await countRows("files")).toBe(2);
+});
@@ -0,0 +1,213 @@
+/* eslint-disable no-restricted-globals */
+import initSqlJs from "sql.js";
+import { openHttpFile } from "./httpFile";
+
+// Runs sql.js off the main thread. Requests arrive as { id, type, payload }.
+// Long queries stream { id, batch } messages before the final { id, result }
+// (or { id, error }) reply, so the page never steps a statement itself.
+
+const BATCH_SIZE = 1000;
+
+let sqlPromise = null;
+let db = null;
+// Set for databases read over HTTP, whose file can't be written
+let readOnly = false;
+
+const loadSql = (wasmUrl) => {
+  if (!sqlPromise) {
+    sqlPromise = initSqlJs({ locateFile: () => wasmUrl });
+  }
+  return sqlPromise;
+};
+
+// Backs SQLite's `X REGEXP Y` operator, which has no built-in implementation
+const regexCache = new Map();
+const regexp = (pattern, value) => {
+  if (value === null || value === undefined) return 0;
+  if (!regexCache.has(pattern)) regexCache.set(pattern, new RegExp(pattern));
+  return regexCache.get(pattern).test(String(value)) ? 1 : 0;
+};
+
+// Functions the app's queries rely on. export() closes and reopens the
+// database, dropping them, so they are registered again after it.
+const addFunctions = (database) => {
+  database.create_function("regexp", regexp);
+};
+
+const closeDb = () => {
+  if (db) {
+    db.close();
+    db = null;
+  }
+};
+
+const requireDb = () => {
+  if (!db) throw new Error("No database is open.");
+  return db;
+};
+
+// A statement can turn query_only off, so it is turned back on before each
+// one runs on a read-only database, and the next write fails
+const guardWrites = () => {
+  if (readOnly) requireDb().exec("PRAGMA query_only = ON");
+};
+
+// Changes whenever rows or the schema change
+const changeCount = () =>
+  requireDb().exec(
+    "SELECT total_changes() || ':' || schema_version FROM pragma_schema_version",
+  )[0].values[0][0];
+
+// Runs every statement in `sql` and keeps the last one that produced a
+// result set, so `UPDATE ...; SELECT ...` shows the SELECT output. `changed`
+// tells whether the script wrote anything, also on the error of a later
+// statement, and then `ran` holds the statements that ran before it.
+const runStatements = (sql) => {
+  const before = changeCount();
+  const ran = [];
+  let result = null;
+  let modified = 0;
+  try {
+    guardWrites();
+    for (const stmt of db.iterateStatements(sql)) {
+      const columns = stmt.getColumnNames();
+      const rows = [];
+      try {
+        while (stmt.step()) {
+          rows.push(stmt.get());
+        }
+        ran.push(stmt.getSQL());
+      } finally {
+        stmt.free();
+        guardWrites();
+      }
+      if (columns.length > 0) {
+        result = { columns, rows };
+      } else {
+        modified += db.getRowsModified();
+      }
+    }
+  } catch (error) {
+    throw Object.assign(error, {
+      changed: changeCount() !== before,
+      ran: ran.join("\n"),
+    });
+  }
+  return {
+    ...(result || { columns: [], rows: [], modified }),
+    changed: changeCount() !== before,
+  };
+};
+
+const handlers = {
+  async open({ buffer, wasmUrl }) {
+    const SQL = await loadSql(wasmUrl);
+    closeDb();
+    db = new SQL.Database(new Uint8Array(buffer));
+    readOnly = false;
+    addFunctions(db);
+  },
+
+  // Opens a database on a web server read-only, fetching the pages queries
+  // need as they run
+  async openUrl({ url, wasmUrl }) {
+    const SQL = await loadSql(wasmUrl);
+    const file = openHttpFile(url);
+    closeDb();
+    db = new SQL.Database(file.bytes);
+    readOnly = true;
+    guardWrites();
+    addFunctions(db);
+  },
+
+  close() {
+    closeDb();
+  },
+
+  query({ sql, params, rowMode }, id) {
+    guardWrites();
+    const stmt = requireDb().prepare(sql);
+    try {
+      if (params) stmt.bind(params);
+      let batch = [];
+      while (stmt.step()) {
+        batch.push(rowMode === "array" ? stmt.get() : stmt.getAsObject());
+        if (batch.length === BATCH_SIZE) {
+          self.postMessage({ id, batch });
+          batch = [];
+        }
+      }
+      if (batch.length > 0) self.postMessage({ id, batch });
+      return { columns: stmt.getColumnNames() };
+    } finally {
+      stmt.free();
+    }
+  },
+
+  // Parameterized writes, all or nothing
+  write({ statements }) {
+    const database = requireDb();
+    if (readOnly) throw new Error("This database is read-only.");
+    database.exec("BEGIN");
+    try {
+      for (const { sql, params } of statements) {
+        database.run(sql, params);
+      }
+      database.exec("COMMIT");
+    } catch (error) {
+      database.exec("ROLLBACK");
+      throw error;
+    }
+  },
+
+  exec({ sql }) {
+    return runStatements(sql);
+  },
+
+  export() {
+    const bytes = requireDb().export();
+    addFunctions(db);
+    return bytes;
+  },
+
+  // Writes rows into a brand-new single-table database and returns its file
+  async build({ wasmUrl, table, columns, rows }) {
+    const SQL = await loadSql(wasmUrl);
+    const out = new SQL.Database();
+    try {
+      const quote = (name) => `"${String(name).replace(/"/g, '""')}"`;
+      out.exec(
+        `CREATE TABLE ${quote(table)} (${columns
+          .map(({ name, type }) => `${quote(name)} ${type}`)
+          .join(", ")})`,
+      );
+      out.exec("BEGIN");
+      const stmt = out.prepare(
+        `INSERT INTO ${quote(table)} VALUES (${columns.map(() => "?").join(", ")})`,
+      );
+      try {
+        for (const row of rows) stmt.run(row);
+      } finally {
+        stmt.free();
+      }
+      out.exec("COMMIT");
+      return out.export();
+    } finally {
+      out.close();
+    }
+  },
+};
+
+self.onmessage = async ({ data: { id, type, payload } }) => {
+  try {
+    const result = await handlers[type](payload || {}, id);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({
+      id,
+      error: error.message || String(error),
+      changed: Boolean(error.changed),
+      ran: error.ran,
+    });
+  }
+};
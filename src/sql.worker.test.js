@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+import path from "path";
+import { openHttpFile } from "./httpFile";
+
+// A "remote" database is read from the bytes a test hands over
+jest.mock("./httpFile", () => ({ openHttpFile: jest.fn() }));
+
+// The worker's side of the messages, driven directly
+const replies = [];
+global.self = { postMessage: (message) => replies.push(message) };
+require("./sql.worker");
+
+const wasmUrl = path.join(
+  __dirname,
+  "..",
+  "node_modules",
+  "sql.js",
+  "dist",
+  "sql-wasm.wasm",
+);
+
+let nextId = 1;
+const send = async (type, payload) => {
+  const id = nextId++;
+  await global.self.onmessage({ data: { id, type, payload } });
+  const reply = replies.filter((message) => message.id === id);
+  const last = reply[reply.length - 1];
+  if (last.error) throw new Error(last.error);
+  return {
+    result: last.result,
+    rows: reply.flatMap((message) => message.batch || []),
+  };
+};
+
+let file = null;
+
+beforeAll(async () => {
+  const initSqlJs = require("sql.js");
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.exec(`CREATE TABLE notes (name TEXT);
+    INSERT INTO notes VALUES ('Dune'), ('Emma'), ('dracula');`);
+  file = db.export();
+  await send("open", { buffer: file.buffer, wasmUrl });
+  db.close();
+});
+
+const regexMatches = async () =>
+  (
+    await send("query", {
+      sql: "SELECT name FROM notes WHERE name REGEXP ? ORDER BY name",
+      params: ["^D"],
+      rowMode: "array",
+    })
+  ).rows.flat();
+
+test("REGEXP still works after exporting the database", async () => {
+  expect(await regexMatches()).toEqual(["Dune"]);
+  const { result } = await send("export");
+  expect(result).toBeInstanceOf(Uint8Array);
+  expect(await regexMatches()).toEqual(["Dune"]);
+});
+
+describe("a database opened from a URL", () => {
+  beforeEach(async () => {
+    openHttpFile.mockReturnValue({ bytes: file.slice() });
+    await send("openUrl", { url: "https://example.com/notes.db", wasmUrl });
+  });
+
+  afterAll(async () => {
+    await send("open", { buffer: file.slice().buffer, wasmUrl });
+  });
+
+  const names = async () =>
+    (
+      await send("query", { sql: "SELECT name FROM notes", rowMode: "array" })
+    ).rows.flat();
+
+  test("refuses parameterized writes", async () => {
+    await expect(
+      send("write", {
+        statements: [{ sql: "DELETE FROM notes", params: [] }],
+      }),
+    ).rejects.toThrow("read-only");
+    expect(await names()).toHaveLength(3);
+  });
+
+  test("refuses writes after the console turns query_only off", async () => {
+    await expect(
+      send("exec", { sql: "PRAGMA query_only = OFF; DELETE FROM notes;" }),
+    ).rejects.toThrow();
+    await send("exec", { sql: "PRAGMA query_only = OFF;" });
+    await expect(send("exec", { sql: "DELETE FROM notes;" })).rejects.toThrow();
+    expect(await names()).toHaveLength(3);
+  });
+});
@@ -0,0 +1,102 @@
+import { asSubquery, quoteIdentifier as q } from "./schema";
+import { filterSql } from "./columnFilters";
+import { hasTagSql } from "./taggable";
+import { expressionSql } from "./filterExpression";
+import { bindParameters } from "./parameters";
+
+// Compiles the text search and tag filters into a parameterized WHERE clause
+// around `mainQuery`, so SQLite does the filtering, sorting and paging and
+// only the requested page is copied into JS. Matches the in-memory filters:
+// substring search ignoring the case of ASCII letters and whole-tag
+// matching. The values of mainQuery's own parameters come first in the
+// params.
+
+export const buildFilterClause = (
+  config,
+  { search, taggableFilters, columnFilter, expression },
+) => {
+  const conditions = [];
+  const params = [];
+
+  if (search && config.textSearchColumn) {
+    conditions.push(
+      `instr(LOWER(COALESCE(${q(config.textSearchColumn)}, '')), LOWER(?)) > 0`,
+    );
+    params.push(search);
+  }
+
+  for (const [field, { include, exclude }] of Object.entries(
+    taggableFilters || {},
+  )) {
+    const column = config.columns.find((c) => c.field === field);
+    for (const value of include) {
+      const test = hasTagSql(field, value, column);
+      conditions.push(test.sql);
+      params.push(...test.params);
+    }
+    for (const value of exclude) {
+      const test = hasTagSql(field, value, column);
+      conditions.push(`NOT ${test.sql}`);
+      params.push(...test.params);
+    }
+  }
+
+  const typed = columnFilter && filterSql(config.columns, columnFilter);
+  if (typed) {
+    conditions.push(typed.sql);
+    params.push(...typed.params);
+  }
+
+  if (expression) {
+    const compiled = expressionSql(config.columns, expression);
+    conditions.push(compiled.sql);
+    params.push(...compiled.params);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join("\n  AND ")}` : "",
+    params,
+  };
+};
+
+// Tabulator sorters ([{ field, dir }]) as an ORDER BY. Empty dates sort last
+// either way, as they do in the grid.
+const orderBy = (config, sort = []) => {
+  const terms = sort.flatMap(({ field, dir }) => {
+    const column = config.columns.find((c) => c.field === field);
+    const direction = dir === "desc" ? "DESC" : "ASC";
+    return column && column.type === "date"
+      ? [
+          `(${q(field)} IS NULL OR ${q(field)} = '')`,
+          `${q(field)} ${direction}`,
+        ]
+      : [`${q(field)} ${direction}`];
+  });
+  return terms.length > 0 ? `ORDER BY ${terms.join(", ")}` : "";
+};
+
+// mainQuery with its parameters bound to the filters' `parameters` values
+const source = (config, filters) => {
+  const main = bindParameters(config.mainQuery, filters.parameters);
+  const { where, params } = buildFilterClause(config, filters);
+  return {
+    sql: [asSubquery(main.sql), where].filter(Boolean).join("\n"),
+    params: [...main.params, ...params],
+  };
+};
+
+// Every matching row, or one page of them when `size` is given
+export const buildViewQuery = (config, filters, { sort, page, size } = {}) => {
+  const { sql, params } = source(config, filters);
+  const parts = [sql, orderBy(config, sort)];
+  if (size) {
+    parts.push("LIMIT ? OFFSET ?");
+    params.push(size, (Math.max(page || 1, 1) - 1) * size);
+  }
+  return { sql: parts.filter(Boolean).join("\n"), params };
+};
+
+export const buildCountQuery = (config, filters) => {
+  const { sql, params } = source(config, filters);
+  return { sql: `SELECT COUNT(*) FROM (\n${sql}\n)`, params };
+};
@@ -0,0 +1,86 @@
+/**
+ * @jest-environment node
+ */
+import initSqlJs from "sql.js";
+import { buildViewQuery, buildCountQuery } from "./sqlFilters";
+
+jest.mock("./database", () => ({}));
+
+const config = {
+  mainQuery: `SELECT name, tags, date FROM notes;`,
+  textSearchColumn: "name",
+  columns: [
+    { field: "name", header: "Name", type: "text" },
+    { field: "tags", header: "Tags", type: "taggable" },
+    { field: "date", header: "Date", type: "date" },
+  ],
+};
+
+let db;
+beforeAll(async () => {
+  const SQL = await initSqlJs();
+  db = new SQL.Database();
+  db.run(`CREATE TABLE notes (name TEXT, tags TEXT, date TEXT);
+    INSERT INTO notes VALUES
+      ('Alpha', 'book,Fiction', '2024-01-02'),
+      ('beta', 'book, fiction-short', ''),
+      ('Gamma', NULL, '2023-05-06'),
+      ('alphabet', 'poem', '2025-03-04');`);
+});
+
+const names = ({ sql, params }) =>
+  db.exec(sql, params)[0]?.values.map((row) => row[0]) || [];
+
+test("search is a case-insensitive substring match", () => {
+  const filters = { search: "ALPHA", taggableFilters: {} };
+  expect(names(buildViewQuery(config, filters))).toEqual(["Alpha", "alphabet"]);
+  expect(
+    db.exec(buildCountQuery(config, filters).sql, ["ALPHA"])[0].values,
+  ).toEqual([[2]]);
+});
+
+test("tag filters match whole tags only", () => {
+  const include = {
+    search: "",
+    taggableFilters: { tags: { include: ["fiction"], exclude: [] } },
+  };
+  expect(names(buildViewQuery(config, include))).toEqual(["Alpha"]);
+
+  const exclude = {
+    search: "",
+    taggableFilters: { tags: { include: ["book"], exclude: ["Fiction"] } },
+  };
+  expect(names(buildViewQuery(config, exclude))).toEqual(["beta"]);
+});
+
+test("pages are sorted with empty dates last", () => {
+  const filters = { search: "", taggableFilters: {} };
+  const sort = [{ field: "date", dir: "desc" }];
+  expect(names(buildViewQuery(config, filters, { sort }))).toEqual([
+    "alphabet",
+    "Alpha",
+    "Gamma",
+    "beta",
+  ]);
+  expect(
+    names(buildViewQuery(config, filters, { sort, page: 2, size: 2 })),
+  ).toEqual(["Gamma", "beta"]);
+});
+
+test("mainQuery parameters are bound before the filter parameters", () => {
+  const withParameter = {
+    ...config,
+    mainQuery: `SELECT name, tags, date FROM notes WHERE date >= :since`,
+  };
+  const filters = {
+    search: "a",
+    taggableFilters: {},
+    parameters: { since: "2024-01-01" },
+  };
+  expect(names(buildViewQuery(withParameter, filters))).toEqual([
+    "Alpha",
+    "alphabet",
+  ]);
+  const count = buildCountQuery(withParameter, filters);
+  expect(db.exec(count.sql, count.params)[0].values).toEqual([[2]]);
+});
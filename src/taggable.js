@@ -0,0 +1,185 @@
+import { asSubquery, quoteIdentifier as q, sqlLower } from "./schema";
+import { query } from "./database";
+
+// Taggable columns hold lists of tags. How a column's value encodes them is
+// set on the column:
+//   encoding: "delimited" (default)  GROUP_CONCAT-style text split on
+//                                    `delimiter` (default ",")
+//             "json"                 a JSON array such as
+//                                    json_extract(metadata, '$.tags')
+//             "query"                rows of `tagQuery`, which returns `key`
+//                                    and `tag` columns; `key` is matched
+//                                    against the row's `keyField`
+//   hierarchy: a separator such as "/", so that filtering by "books" also
+//              matches "books/fantasy"
+// Query-encoded tags are attached to loaded rows as arrays by attachTags().
+//
+// Tags are compared the same way in JS and SQL: trimmed of spaces, tabs and
+// line breaks, and ignoring the case of ASCII letters only, as SQLite's
+// LOWER() does.
+
+const encodingOf = (column) => column.encoding || "delimited";
+
+const delimiterOf = (column) => column.delimiter || ",";
+
+const trimTag = (tag) => tag.replace(/^[ \t\n\r]+|[ \t\n\r]+$/g, "");
+
+const trimSql = (expr) => `TRIM(${expr}, ' ' || char(9, 10, 13))`;
+
+export const splitTaggable = (value, column = {}) => {
+  if (value === null || value === undefined) return [];
+  let items;
+  if (Array.isArray(value)) {
+    items = value;
+  } else if (encodingOf(column) === "json") {
+    try {
+      const parsed = JSON.parse(value);
+      items = Array.isArray(parsed) ? parsed : [parsed];
+    } catch {
+      items = [value];
+    }
+  } else {
+    items = String(value).split(delimiterOf(column));
+  }
+  return items
+    .filter((tag) => tag !== null && tag !== undefined)
+    .map((tag) => trimTag(String(tag)))
+    .filter((tag) => tag);
+};
+
+export const joinTaggable = (tags, column = {}) =>
+  encodingOf(column) === "json"
+    ? JSON.stringify(tags)
+    : tags.join(delimiterOf(column));
+
+// Whole-tag membership, ignoring the case of ASCII letters; with a
+// hierarchy, a parent tag also matches its descendants
+export const tagMatches = (tag, wanted, column = {}) => {
+  const have = sqlLower(tag);
+  const want = sqlLower(trimTag(wanted));
+  return (
+    have === want ||
+    Boolean(column.hierarchy && have.startsWith(want + column.hierarchy))
+  );
+};
+
+export const hasTag = (value, tag, column = {}) =>
+  splitTaggable(value, column).some((t) => tagMatches(t, tag, column));
+
+const literal = (text) => `'${text.replace(/'/g, "''")}'`;
+
+// A tag test on a single SQL expression, `expr`, holding one tag
+const tagSql = (expr, tag, column) => {
+  const have = `LOWER(${trimSql(expr)})`;
+  const want = trimTag(tag);
+  return column.hierarchy
+    ? {
+        sql: `(${have} = LOWER(?) OR substr(${have}, 1, length(?)) = LOWER(?))`,
+        params: [want, ...Array(2).fill(want + column.hierarchy)],
+      }
+    : { sql: `${have} = LOWER(?)`, params: [want] };
+};
+
+// The same test in SQL. Delimited lists are split into rows by a recursive
+// query; JSON arrays are expanded with json_each; query tags become a
+// `keyField IN (...)` lookup.
+export const hasTagSql = (field, tag, column = {}) => {
+  switch (encodingOf(column)) {
+    case "json": {
+      const test = tagSql("value", tag, column);
+      return {
+        sql: `EXISTS (SELECT 1 FROM json_each(CASE WHEN json_valid(${q(field)}) THEN ${q(field)} ELSE '[]' END) WHERE ${test.sql})`,
+        params: test.params,
+      };
+    }
+    case "query": {
+      const test = tagSql(q("tag"), tag, column);
+      return {
+        sql: `${q(column.keyField)} IN (SELECT ${q("key")} FROM (${asSubquery(column.tagQuery)}) WHERE ${test.sql})`,
+        params: test.params,
+      };
+    }
+    default: {
+      const d = literal(delimiterOf(column));
+      const test = tagSql(q("tag"), tag, column);
+      return {
+        sql: `EXISTS (WITH RECURSIVE split(tag, rest) AS (SELECT NULL, COALESCE(${q(field)}, '') || ${d} UNION ALL SELECT substr(rest, 1, instr(rest, ${d}) - 1), substr(rest, instr(rest, ${d}) + length(${d})) FROM split WHERE rest <> '') SELECT 1 FROM split WHERE ${test.sql})`,
+        params: test.params,
+      };
+    }
+  }
+};
+
+// Tags listed in the filter bar: a column's `queries` entry, or for query
+// encoded columns without one, the distinct tags of its tagQuery
+export const tagOptionQueries = (config) => {
+  const queries = { ...(config.queries || {}) };
+  for (const column of config.columns) {
+    if (
+      column.type === "taggable" &&
+      encodingOf(column) === "query" &&
+      column.tagQuery &&
+      !queries[column.field]
+    ) {
+      queries[column.field] =
+        `SELECT DISTINCT ${q("tag")} FROM (${asSubquery(column.tagQuery)})`;
+    }
+  }
+  return queries;
+};
+
+// The options for a hierarchical column as a tree: every tag and its
+// ancestors, each parent followed by its children, with their depth
+export const tagTree = (tags, separator) => {
+  const paths = new Set();
+  for (const tag of tags) {
+    const parts = String(tag).split(separator);
+    for (let i = 1; i <= parts.length; i++) {
+      paths.add(parts.slice(0, i).join(separator));
+    }
+  }
+  return [...paths]
+    .sort((a, b) => {
+      const left = a.split(separator);
+      const right = b.split(separator);
+      for (let i = 0; i < Math.min(left.length, right.length); i++) {
+        if (left[i] !== right[i]) return left[i] < right[i] ? -1 : 1;
+      }
+      return left.length - right.length;
+    })
+    .map((path) => {
+      const parts = path.split(separator);
+      return {
+        value: path,
+        label: parts[parts.length - 1],
+        depth: parts.length - 1,
+      };
+    });
+};
+
+// Replaces each query-encoded column of the rows with its array of tags,
+// looked up for just these rows' keys
+export const attachTags = async (config, rows) => {
+  const columns = config.columns.filter(
+    (c) => c.type === "taggable" && encodingOf(c) === "query" && c.tagQuery,
+  );
+  if (columns.length === 0 || rows.length === 0) return rows;
+  const result = rows.map((row) => ({ ...row }));
+  for (const column of columns) {
+    const keys = [...new Set(rows.map((row) => row[column.keyField]))];
+    const { rows: pairs } = await query(
+      `SELECT ${q("key")}, ${q("tag")} FROM (${asSubquery(column.tagQuery)})
+WHERE ${q("key")} IN (SELECT value FROM json_each(?))`,
+      { params: [JSON.stringify(keys)], label: `Loading ${column.header}` },
+    );
+    const byKey = new Map();
+    for (const { key, tag } of pairs) {
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(tag);
+    }
+    for (const row of result) {
+      row[column.field] = byKey.get(row[column.keyField]) || [];
+    }
+  }
+  return result;
+};
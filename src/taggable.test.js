@@ -0,0 +1,116 @@
+/**
+ * @jest-environment node
+ */
+import initSqlJs from "sql.js";
+import { splitTaggable, hasTag, hasTagSql, tagTree } from "./taggable";
+
+jest.mock("./database", () => ({}));
+
+const pipes = { field: "tags", delimiter: "|" };
+const json = { field: "tags", encoding: "json" };
+const nested = { field: "tags", hierarchy: "/" };
+const byQuery = {
+  field: "tags",
+  encoding: "query",
+  keyField: "name",
+  tagQuery: "SELECT note AS key, tag FROM note_tags",
+};
+
+test("splits each encoding", () => {
+  expect(splitTaggable("a, b,,c")).toEqual(["a", "b", "c"]);
+  expect(splitTaggable("Smith, J.|Doe, A.", pipes)).toEqual([
+    "Smith, J.",
+    "Doe, A.",
+  ]);
+  expect(splitTaggable('["x, y", "z", null]', json)).toEqual(["x, y", "z"]);
+  expect(splitTaggable("not json", json)).toEqual(["not json"]);
+  expect(splitTaggable(["p", "q"], byQuery)).toEqual(["p", "q"]);
+  expect(splitTaggable(null)).toEqual([]);
+});
+
+test("parent tags match their descendants only with a hierarchy", () => {
+  expect(hasTag("books/fantasy,poems", "Books", nested)).toBe(true);
+  expect(hasTag("books/fantasy", "books")).toBe(false);
+  expect(hasTag("bookshelf", "books", nested)).toBe(false);
+  expect(hasTag("books/fantasy", "books/fantasy/epic", nested)).toBe(false);
+});
+
+test("lists a hierarchy as a tree with implied parents", () => {
+  expect(tagTree(["books/scifi", "books/fantasy/epic", "art"], "/")).toEqual([
+    { value: "art", label: "art", depth: 0 },
+    { value: "books", label: "books", depth: 0 },
+    { value: "books/fantasy", label: "fantasy", depth: 1 },
+    { value: "books/fantasy/epic", label: "epic", depth: 2 },
+    { value: "books/scifi", label: "scifi", depth: 1 },
+  ]);
+});
+
+describe("in SQL", () => {
+  let db;
+  beforeAll(async () => {
+    const SQL = await initSqlJs();
+    db = new SQL.Database();
+    db.run(`CREATE TABLE notes (name TEXT, tags TEXT);
+      INSERT INTO notes VALUES
+        ('a', 'Smith, J.|Doe, A.'),
+        ('b', '["books/fantasy", "it''s"]'),
+        ('c', 'books/scifi, poems'),
+        ('d', NULL);
+      CREATE TABLE note_tags (note TEXT, tag TEXT);
+      INSERT INTO note_tags VALUES ('a', 'x'), ('b', 'y'), ('b', 'x');`);
+  });
+
+  const matching = (tag, column) => {
+    const test = hasTagSql("tags", tag, column);
+    const result = db.exec(
+      `SELECT name FROM notes WHERE ${test.sql} ORDER BY name`,
+      test.params,
+    );
+    return result[0]?.values.map((row) => row[0]) || [];
+  };
+
+  test("matches the same tags as in JS", () => {
+    expect(matching("smith, j.", pipes)).toEqual(["a"]);
+    expect(matching("Smith", pipes)).toEqual([]);
+    expect(matching("it's", json)).toEqual(["b"]);
+    expect(matching("books", { ...json, hierarchy: "/" })).toEqual(["b"]);
+    expect(matching("books", nested)).toEqual(["c"]);
+    expect(matching("poems", nested)).toEqual(["c"]);
+    expect(matching("x", byQuery)).toEqual(["a", "b"]);
+  });
+
+  test("trims and folds case like JS, ASCII letters only", () => {
+    const rows = [
+      ["e", "Zoë,  Émile  ,\tBooks/Été"],
+      ["f", '["  Émile", "zoë "]'],
+    ];
+    const insert = db.prepare("INSERT INTO notes VALUES (?, ?)");
+    rows.forEach((row) => insert.run(row));
+    insert.free();
+    const inJs = (tag, column) =>
+      rows
+        .filter(([, tags]) => hasTag(tags, tag, column))
+        .map(([name]) => name);
+
+    for (const column of [{}, json, nested]) {
+      for (const tag of [
+        "Émile",
+        "émile",
+        "ZOË",
+        "zoë ",
+        "books",
+        "BOOKS/Été",
+      ]) {
+        const inSql = matching(tag, column).filter((name) =>
+          rows.some(([n]) => n === name),
+        );
+        expect([tag, inSql]).toEqual([tag, inJs(tag, column)]);
+      }
+    }
+    expect(inJs("Émile", {})).toEqual(["e"]);
+    expect(inJs("émile", {})).toEqual([]);
+    expect(inJs("ZOË", {})).toEqual([]);
+    expect(inJs("BOOKS/Été", nested)).toEqual(["e"]);
+    expect(inJs("zoë ", json)).toEqual(["f"]);
+  });
+});
@@ -0,0 +1,142 @@
+import { checkCondition } from "./columnFilters";
+
+// The view as URL query parameters, so it survives a reload, can be shared
+// and steps through browser history:
+//
+//   ?profile=p1k2x3ab&view=Novels&q=dune&include.tags=sf&exclude.tags=dnf
+//    &expr=<expression>&filter=<JSON>&sort=Date:desc&cols=file,tags,Date
+//    &p.minDate=2024-01-01
+//
+// Missing parameters mean "default": no filter, the config's default sort and
+// all columns visible. `profile` is the profile's id, as names needn't be
+// unique. A missing profile keeps the current one, and a missing view means
+// the config's first view.
+
+const stripIds = (group) => ({
+  combinator: group.combinator,
+  items: group.items.map(({ id, ...item }) =>
+    Array.isArray(item.items) ? stripIds(item) : item,
+  ),
+});
+
+// Links can be hand-edited or outdated, so with `columns` conditions that
+// can't be applied to them, such as an invalid regex, are dropped
+const isApplicable = (item, columns) => {
+  if (!columns) return true;
+  const column = columns.find((c) => c.field === item.field);
+  return Boolean(column) && !checkCondition(column, item);
+};
+
+let nextId = 0;
+const addIds = (group, columns) => ({
+  combinator: group.combinator === "or" ? "or" : "and",
+  items: (Array.isArray(group.items) ? group.items : []).flatMap((item) => {
+    if (!item || typeof item !== "object") return [];
+    if (Array.isArray(item.items)) {
+      return [{ ...addIds(item, columns), id: `u${nextId++}` }];
+    }
+    return isApplicable(item, columns) ? [{ ...item, id: `u${nextId++}` }] : [];
+  }),
+});
+
+const isDefaultSort = (sort, defaultSort) =>
+  sort.length === defaultSort.length &&
+  sort.every(
+    (s, i) => s.field === defaultSort[i].field && s.dir === defaultSort[i].dir,
+  );
+
+export const encodeViewState = (
+  {
+    profile,
+    view,
+    search,
+    taggableFilters,
+    columnFilter,
+    expression,
+    sort,
+    columns,
+    parameters,
+  },
+  defaultSort = [],
+) => {
+  const params = new URLSearchParams();
+  if (profile) params.set("profile", profile);
+  if (view) params.set("view", view);
+  if (search) params.set("q", search);
+  for (const [field, { include, exclude }] of Object.entries(
+    taggableFilters || {},
+  )) {
+    include.forEach((value) => params.append(`include.${field}`, value));
+    exclude.forEach((value) => params.append(`exclude.${field}`, value));
+  }
+  if (expression) params.set("expr", expression);
+  if (columnFilter && columnFilter.items.length > 0) {
+    params.set("filter", JSON.stringify(stripIds(columnFilter)));
+  }
+  if (sort && !isDefaultSort(sort, defaultSort)) {
+    params.set(
+      "sort",
+      sort.map(({ field, dir }) => `${field}:${dir}`).join(","),
+    );
+  }
+  if (columns) params.set("cols", columns.join(","));
+  for (const [name, value] of Object.entries(parameters || {})) {
+    params.set(`p.${name}`, value === null ? "" : String(value));
+  }
+  return params;
+};
+
+// Malformed values fall back to their defaults instead of throwing. Pass the
+// view's `columns` to check the filter's conditions against them.
+export const decodeViewState = (params, columns = null) => {
+  const taggableFilters = {};
+  const parameters = {};
+  for (const [key, value] of params) {
+    if (key.startsWith("p.")) parameters[key.slice(2)] = value;
+    const match = /^(include|exclude)\.(.+)$/.exec(key);
+    if (!match) continue;
+    const [, kind, field] = match;
+    taggableFilters[field] = taggableFilters[field] || {
+      include: [],
+      exclude: [],
+    };
+    taggableFilters[field][kind].push(value);
+  }
+
+  let columnFilter = null;
+  if (params.has("filter")) {
+    try {
+      columnFilter = addIds(JSON.parse(params.get("filter")), columns);
+    } catch (error) {
+      console.error("Ignoring malformed filter in URL:", error);
+    }
+  }
+
+  const sort = params.has("sort")
+    ? params
+        .get("sort")
+        .split(",")
+        .map((part) => {
+          const i = part.lastIndexOf(":");
+          const dir = part.slice(i + 1);
+          return i > 0 && (dir === "asc" || dir === "desc")
+            ? { field: part.slice(0, i), dir }
+            : null;
+        })
+        .filter(Boolean)
+    : null;
+
+  return {
+    profile: params.get("profile"),
+    view: params.get("view"),
+    search: params.get("q") || "",
+    taggableFilters,
+    columnFilter,
+    expression: params.get("expr") || "",
+    sort,
+    columns: params.has("cols")
+      ? params.get("cols").split(",").filter(Boolean)
+      : null,
+    parameters,
+  };
+};
@@ -0,0 +1,113 @@
+import { encodeViewState, decodeViewState } from "./urlState";
+
+jest.mock("./database", () => ({}));
+
+const defaultSort = [{ field: "Date", dir: "desc" }];
+
+test("a view survives a round trip through the URL", () => {
+  const view = {
+    profile: "p1k2x3ab",
+    view: "Novels",
+    search: "dune & co",
+    taggableFilters: {
+      tags: { include: ["sf", "a,b"], exclude: ["dnf"] },
+      backlinks: { include: [], exclude: [] },
+    },
+    columnFilter: {
+      combinator: "or",
+      items: [
+        { id: "x", field: "chapters", op: "gt", value: "20" },
+        {
+          id: "y",
+          combinator: "and",
+          items: [{ id: "z", field: "Done", op: "isFalse" }],
+        },
+      ],
+    },
+    sort: [{ field: "file", dir: "asc" }],
+    columns: ["file", "tags"],
+    parameters: { minDate: "2024-01-01", status: null },
+  };
+
+  const params = new URLSearchParams(
+    encodeViewState(view, defaultSort).toString(),
+  );
+  const decoded = decodeViewState(params);
+
+  expect(decoded.profile).toBe("p1k2x3ab");
+  expect(decoded.view).toBe("Novels");
+  expect(decoded.search).toBe("dune & co");
+  expect(decoded.taggableFilters).toEqual({
+    tags: { include: ["sf", "a,b"], exclude: ["dnf"] },
+  });
+  expect(decoded.columnFilter.items[1].items[0]).toMatchObject({
+    field: "Done",
+    op: "isFalse",
+  });
+  expect(decoded.sort).toEqual(view.sort);
+  expect(decoded.columns).toEqual(["file", "tags"]);
+  // Values come back as text; the parameter's type converts them
+  expect(decoded.parameters).toEqual({ minDate: "2024-01-01", status: "" });
+  expect(encodeViewState(decoded, defaultSort).toString()).toBe(
+    params.toString(),
+  );
+});
+
+test("defaults stay out of the URL and bad values are ignored", () => {
+  expect(
+    encodeViewState(
+      { taggableFilters: {}, sort: defaultSort, columns: null },
+      defaultSort,
+    ).toString(),
+  ).toBe("");
+
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  const decoded = decodeViewState(
+    new URLSearchParams("filter=%7Bbroken&sort=Date:sideways,file:asc"),
+  );
+  expect(decoded.columnFilter).toBeNull();
+  expect(decoded.sort).toEqual([{ field: "file", dir: "asc" }]);
+  console.error.mockRestore();
+});
+
+test("filter conditions that can't be applied are dropped", () => {
+  const columns = [
+    { field: "file", header: "File", type: "text" },
+    { field: "chapters", header: "Chapters", type: "number" },
+  ];
+  const filter = {
+    combinator: "and",
+    items: [
+      { field: "file", op: "regex", value: "(" },
+      { field: "file", op: "regex", value: "^D" },
+      { field: "chapters", op: "gt", value: "many" },
+      { field: "gone", op: "empty" },
+      null,
+      {
+        combinator: "or",
+        items: [
+          { field: "chapters", op: "explode" },
+          { field: "chapters", op: "lt", value: "20" },
+        ],
+      },
+    ],
+  };
+  const params = new URLSearchParams({ filter: JSON.stringify(filter) });
+
+  const { columnFilter } = decodeViewState(params, columns);
+  expect(columnFilter.items).toHaveLength(2);
+  expect(columnFilter.items[0]).toMatchObject({ op: "regex", value: "^D" });
+  expect(columnFilter.items[1].items).toEqual([
+    expect.objectContaining({ op: "lt", value: "20" }),
+  ]);
+
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  for (const bad of ["null", "[1", '"text"']) {
+    const decoded = decodeViewState(
+      new URLSearchParams({ filter: bad }),
+      columns,
+    );
+    expect(decoded.columnFilter?.items ?? []).toEqual([]);
+  }
+  console.error.mockRestore();
+});
@@ -0,0 +1,689 @@
+import { query, isCancelled } from "./database";
+import { asSubquery } from "./schema";
+import { hasViews } from "./views";
+import { PARAMETER_TYPES, parameterNames } from "./parameters";
+
+// Checks a parsed viewer config and returns a list of { path, message }
+// errors, where path is a JSON path such as `$.columns[2].type` or
+// `$.views[1].columns[2].type`. An empty list means the config is usable.
+
+export const COLUMN_TYPES = [
+  "text",
+  "date",
+  "number",
+  "boolean",
+  "taggable",
+  "link",
+  "url",
+  "markdown",
+  "image",
+  "json",
+  "progress",
+  "enum",
+];
+
+export const CHART_TYPES = ["bar", "line", "pie", "histogram"];
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+};
+
+const GRAPH_FIELDS = {
+  edgeQuery: { type: "string" },
+  nodeField: { type: "string" },
+  colorBy: { type: "string" },
+  depth: { type: "number" },
+  maxNodes: { type: "number" },
+};
+
+const RELATED_FIELDS = {
+  title: { type: "string", required: true },
+  sql: { type: "string", required: true },
+  linkField: { type: "string" },
+};
+
+const PARAMETER_FIELDS = {
+  name: { type: "string", required: true },
+  label: { type: "string" },
+  type: { type: "string", required: true, oneOf: PARAMETER_TYPES },
+  default: { type: ["string", "number", "boolean", "null"] },
+  optionsQuery: { type: "string" },
+};
+
+// The JSON type a parameter's default must have
+const DEFAULT_TYPES = {
+  text: "string",
+  date: "string",
+  number: "number",
+  boolean: "boolean",
+};
+
+const DETAIL_FIELDS = {
+  keyField: { type: "string" },
+  query: { type: "string" },
+  related: { type: "array" },
+};
+
+// Settings a view can set for itself or share at the top level
+const SETTINGS_FIELDS = {
+  mainQuery: { type: "string" },
+  queries: { type: "object", values: "string" },
+  textSearchColumn: { type: ["string", "null"] },
+  taggableColumns: { type: "array", items: "string" },
+  columns: { type: "array" },
+  defaultSortField: { type: "string" },
+  defaultSortDir: { type: "string", oneOf: ["asc", "desc"] },
+  sqlFiltering: { type: "boolean" },
+  pageSize: { type: "number" },
+  charts: { type: "array" },
+  graph: { type: "object", fields: GRAPH_FIELDS },
+  detail: { type: "object", fields: DETAIL_FIELDS },
+  parameters: { type: "array" },
+  groupBy: { type: "string" },
+};
+
+const ROOT_FIELDS = { ...SETTINGS_FIELDS, views: { type: "array" } };
+
+const VIEW_FIELDS = {
+  name: { type: "string", required: true },
+  ...SETTINGS_FIELDS,
+};
+
+const CHART_FIELDS = {
+  title: { type: "string", required: true },
+  type: { type: "string", required: true, oneOf: CHART_TYPES },
+  groupBy: { type: "string" },
+  aggregate: { type: "string", oneOf: ["count", "sum", "avg"] },
+  valueField: { type: "string" },
+  dateBucket: { type: "string", oneOf: ["day", "month", "year"] },
+  bins: { type: "number" },
+  limit: { type: "number" },
+  sql: { type: "string" },
+};
+
+const EDIT_FIELDS = {
+  keyField: { type: "string", required: true },
+  table: { type: "string" },
+  key: { type: "string" },
+  column: { type: "string" },
+  jsonPath: { type: "string" },
+  joinTable: { type: "string" },
+  joinKey: { type: "string" },
+  joinValue: { type: "string" },
+  valueTable: { type: "string" },
+  valueKey: { type: "string" },
+  valueColumn: { type: "string" },
+};
+
+// Which edit keys each kind of column needs
+const EDIT_REQUIRED = {
+  taggable: ["joinTable", "joinKey", "joinValue"],
+  scalar: ["table", "key", "column"],
+};
+
+const COLUMN_FIELDS = {
+  field: { type: "string", required: true },
+  header: { type: "string", required: true },
+  type: { type: "string", required: true, oneOf: COLUMN_TYPES },
+  trueRender: { type: "string", columnTypes: ["boolean"] },
+  falseRender: { type: "string", columnTypes: ["boolean"] },
+  linkTemplate: { type: "string", columnTypes: ["link", "url"] },
+  linkText: { type: "string", columnTypes: ["link", "url"] },
+  imageTemplate: { type: "string", columnTypes: ["image"] },
+  imageHeight: { type: "number", columnTypes: ["image"] },
+  max: { type: "number", columnTypes: ["progress"] },
+  maxField: { type: "string", columnTypes: ["progress"] },
+  enumColors: { type: "object", values: "string", columnTypes: ["enum"] },
+  dateFormat: { type: "string", columnTypes: ["date"] },
+  relative: { type: "boolean", columnTypes: ["date"] },
+  encoding: {
+    type: "string",
+    oneOf: ["delimited", "json", "query"],
+    columnTypes: ["taggable"],
+  },
+  delimiter: { type: "string", columnTypes: ["taggable"] },
+  tagQuery: { type: "string", columnTypes: ["taggable"] },
+  keyField: { type: "string", columnTypes: ["taggable"] },
+  hierarchy: { type: "string", columnTypes: ["taggable"] },
+  hidden: { type: "boolean" },
+  width: { type: "number" },
+  frozen: { type: "boolean" },
+  edit: { type: "object", fields: EDIT_FIELDS },
+};
+
+const describe = (types) => [].concat(types).join(" or ");
+
+// Checks `value` against a table of field specs, reporting unknown keys,
+// missing required keys, wrong types and values outside `oneOf`.
+const checkFields = (value, fields, path, errors) => {
+  if (typeOf(value) !== "object") {
+    errors.push({ path, message: `must be an object, got ${typeOf(value)}` });
+    return false;
+  }
+
+  for (const key of Object.keys(value)) {
+    if (!fields[key]) {
+      errors.push({ path: `${path}.${key}`, message: "unknown key" });
+    }
+  }
+
+  for (const [key, spec] of Object.entries(fields)) {
+    const fieldPath = `${path}.${key}`;
+    if (!(key in value) || value[key] === undefined) {
+      if (spec.required) {
+        errors.push({ path: fieldPath, message: "is required" });
+      }
+      continue;
+    }
+
+    const actual = typeOf(value[key]);
+    if (![].concat(spec.type).includes(actual)) {
+      errors.push({
+        path: fieldPath,
+        message: `must be ${describe(spec.type)}, got ${actual}`,
+      });
+      continue;
+    }
+
+    if (spec.oneOf && !spec.oneOf.includes(value[key])) {
+      errors.push({
+        path: fieldPath,
+        message: `must be one of ${spec.oneOf.map((v) => `"${v}"`).join(", ")}`,
+      });
+    }
+
+    if (spec.items) {
+      value[key].forEach((item, i) => {
+        if (typeOf(item) !== spec.items) {
+          errors.push({
+            path: `${fieldPath}[${i}]`,
+            message: `must be ${spec.items}, got ${typeOf(item)}`,
+          });
+        }
+      });
+    }
+
+    if (spec.fields) {
+      checkFields(value[key], spec.fields, fieldPath, errors);
+    }
+
+    if (spec.values) {
+      for (const [name, item] of Object.entries(value[key])) {
+        if (typeOf(item) !== spec.values) {
+          errors.push({
+            path: `${fieldPath}.${name}`,
+            message: `must be ${spec.values}, got ${typeOf(item)}`,
+          });
+        }
+      }
+    }
+  }
+  return true;
+};
+
+// Checks one view, or a config without views. `at(key)` is the path of a
+// top-level key, which a view may inherit from the shared settings.
+const checkView = (config, at, errors) => {
+  const columns = Array.isArray(config.columns) ? config.columns : [];
+  if (Array.isArray(config.columns) && columns.length === 0) {
+    errors.push({
+      path: at("columns"),
+      message: "must list at least one column",
+    });
+  }
+
+  const byField = new Map();
+  columns.forEach((column, i) => {
+    const path = `${at("columns")}[${i}]`;
+    if (!checkFields(column, COLUMN_FIELDS, path, errors)) return;
+
+    for (const [key, spec] of Object.entries(COLUMN_FIELDS)) {
+      if (
+        spec.columnTypes &&
+        key in column &&
+        !spec.columnTypes.includes(column.type)
+      ) {
+        errors.push({
+          path: `${path}.${key}`,
+          message: `only applies to ${describe(spec.columnTypes)} columns`,
+        });
+      }
+    }
+
+    if (column.encoding === "query") {
+      for (const key of ["tagQuery", "keyField"]) {
+        if (!(key in column)) {
+          errors.push({
+            path: `${path}.${key}`,
+            message: 'is required with encoding "query"',
+          });
+        }
+      }
+    }
+    if (column.delimiter === "") {
+      errors.push({ path: `${path}.delimiter`, message: "must not be empty" });
+    }
+
+    if (typeOf(column.edit) === "object") {
+      const edit = column.edit;
+      const kind = column.type === "taggable" ? "taggable" : "scalar";
+      for (const key of EDIT_REQUIRED[kind]) {
+        if (!(key in edit)) {
+          errors.push({
+            path: `${path}.edit.${key}`,
+            message: `is required to edit ${kind === "taggable" ? "taggable" : "non-taggable"} columns`,
+          });
+        }
+      }
+      if (edit.valueTable && !(edit.valueKey && edit.valueColumn)) {
+        errors.push({
+          path: `${path}.edit.valueTable`,
+          message: "needs valueKey and valueColumn as well",
+        });
+      }
+    }
+
+    if (typeof column.field === "string") {
+      if (byField.has(column.field)) {
+        errors.push({
+          path: `${path}.field`,
+          message: `duplicates ${at("columns")}[${byField.get(column.field).index}].field "${column.field}"`,
+        });
+      } else {
+        byField.set(column.field, { column, index: i });
+      }
+    }
+  });
+
+  // Cross references into `columns`
+  const checkReference = (path, field, expectedType) => {
+    const entry = byField.get(field);
+    if (!entry) {
+      errors.push({ path, message: `no column with field "${field}"` });
+    } else if (expectedType && entry.column.type !== expectedType) {
+      errors.push({
+        path,
+        message: `column "${field}" must have type "${expectedType}", got "${entry.column.type}"`,
+      });
+    }
+  };
+
+  columns.forEach((column, i) => {
+    if (typeOf(column) === "object" && typeof column.maxField === "string") {
+      checkReference(`${at("columns")}[${i}].maxField`, column.maxField);
+    }
+  });
+  if (typeof config.textSearchColumn === "string") {
+    checkReference(at("textSearchColumn"), config.textSearchColumn);
+  }
+  if (typeof config.defaultSortField === "string") {
+    checkReference(at("defaultSortField"), config.defaultSortField);
+  }
+  if (typeof config.groupBy === "string") {
+    checkReference(at("groupBy"), config.groupBy);
+  }
+  (Array.isArray(config.taggableColumns) ? config.taggableColumns : []).forEach(
+    (field, i) => {
+      if (typeof field === "string") {
+        checkReference(`${at("taggableColumns")}[${i}]`, field, "taggable");
+      }
+    },
+  );
+  (Array.isArray(config.charts) ? config.charts : []).forEach((chart, i) => {
+    const path = `${at("charts")}[${i}]`;
+    if (!checkFields(chart, CHART_FIELDS, path, errors)) return;
+    if (chart.type === "histogram") {
+      if (!chart.valueField) {
+        errors.push({
+          path: `${path}.valueField`,
+          message: "is required for histograms",
+        });
+      }
+    } else if (!chart.groupBy) {
+      errors.push({
+        path: `${path}.groupBy`,
+        message: `is required for ${chart.type} charts`,
+      });
+    }
+    if (["sum", "avg"].includes(chart.aggregate) && !chart.valueField) {
+      errors.push({
+        path: `${path}.valueField`,
+        message: `is required to ${chart.aggregate} values`,
+      });
+    }
+    // Charts with their own SQL may group by anything it returns
+    if (!chart.sql) {
+      for (const key of ["groupBy", "valueField"]) {
+        if (typeof chart[key] === "string") {
+          checkReference(`${path}.${key}`, chart[key]);
+        }
+      }
+    }
+  });
+
+  if (typeOf(config.graph) === "object") {
+    if (typeof config.graph.nodeField === "string") {
+      checkReference(`${at("graph")}.nodeField`, config.graph.nodeField);
+    }
+    if (typeof config.graph.colorBy === "string") {
+      checkReference(
+        `${at("graph")}.colorBy`,
+        config.graph.colorBy,
+        "taggable",
+      );
+    }
+  }
+
+  if (typeOf(config.detail) === "object") {
+    if (typeof config.detail.keyField === "string") {
+      checkReference(`${at("detail")}.keyField`, config.detail.keyField);
+    }
+    (Array.isArray(config.detail.related) ? config.detail.related : []).forEach(
+      (related, i) =>
+        checkFields(
+          related,
+          RELATED_FIELDS,
+          `${at("detail")}.related[${i}]`,
+          errors,
+        ),
+    );
+  }
+
+  const declared = new Map();
+  (Array.isArray(config.parameters) ? config.parameters : []).forEach(
+    (parameter, i) => {
+      const path = `${at("parameters")}[${i}]`;
+      if (!checkFields(parameter, PARAMETER_FIELDS, path, errors)) return;
+      const { name, type } = parameter;
+      if (typeof name !== "string") return;
+      if (!/^[A-Za-z_]\w*$/.test(name)) {
+        errors.push({
+          path: `${path}.name`,
+          message: "must be letters, digits and underscores",
+        });
+      } else if (declared.has(name)) {
+        errors.push({
+          path: `${path}.name`,
+          message: `duplicates ${at("parameters")}[${declared.get(name)}].name "${name}"`,
+        });
+      } else {
+        declared.set(name, i);
+      }
+      if (
+        parameter.default !== undefined &&
+        parameter.default !== null &&
+        DEFAULT_TYPES[type] &&
+        typeOf(parameter.default) !== DEFAULT_TYPES[type]
+      ) {
+        errors.push({
+          path: `${path}.default`,
+          message: `must be ${DEFAULT_TYPES[type]} for a ${type} parameter`,
+        });
+      }
+    },
+  );
+  if (typeof config.mainQuery === "string") {
+    const used = parameterNames(config.mainQuery);
+    for (const [name, i] of declared) {
+      if (!used.includes(name)) {
+        errors.push({
+          path: `${at("parameters")}[${i}].name`,
+          message: `mainQuery doesn't use :${name}`,
+        });
+      }
+    }
+    for (const name of used) {
+      if (!declared.has(name)) {
+        errors.push({
+          path: at("mainQuery"),
+          message: `uses :${name}, which is not declared in parameters`,
+        });
+      }
+    }
+  }
+
+  // A mistyped taggableColumns is already reported above
+  if (
+    typeOf(config.queries) === "object" &&
+    ["array", "undefined"].includes(typeOf(config.taggableColumns))
+  ) {
+    const taggable = config.taggableColumns || [];
+    for (const name of Object.keys(config.queries)) {
+      if (!taggable.includes(name)) {
+        errors.push({
+          path: `${at("queries")}.${name}`,
+          message: `"${name}" is not listed in taggableColumns`,
+        });
+      }
+    }
+  }
+};
+
+const REQUIRED = ["mainQuery", "columns"];
+
+const rootPaths = (key) => `$.${key}`;
+
+// Keys a view sets itself live under the view, the rest at the top level
+const viewPaths = (view, i) => (key) =>
+  key in view ? `$.views[${i}].${key}` : `$.${key}`;
+
+// Shared settings are checked once per view; report each problem once
+const unique = (errors) =>
+  errors.filter(
+    (e, i) =>
+      errors.findIndex((o) => o.path === e.path && o.message === e.message) ===
+      i,
+  );
+
+export const validateConfig = (config) => {
+  const errors = [];
+  if (!checkFields(config, ROOT_FIELDS, "$", errors)) return errors;
+
+  if (!Array.isArray(config.views)) {
+    for (const key of REQUIRED) {
+      if (!(key in config)) {
+        errors.push({ path: `$.${key}`, message: "is required" });
+      }
+    }
+    checkView(config, rootPaths, errors);
+    return errors;
+  }
+
+  if (config.views.length === 0) {
+    errors.push({ path: "$.views", message: "must list at least one view" });
+  }
+  const { views, ...shared } = config;
+  const names = new Map();
+  views.forEach((view, i) => {
+    const path = `$.views[${i}]`;
+    if (!checkFields(view, VIEW_FIELDS, path, errors)) return;
+    if (typeof view.name === "string") {
+      if (names.has(view.name)) {
+        errors.push({
+          path: `${path}.name`,
+          message: `duplicates $.views[${names.get(view.name)}].name "${view.name}"`,
+        });
+      } else {
+        names.set(view.name, i);
+      }
+    }
+    const resolved = { ...shared, ...view };
+    for (const key of REQUIRED) {
+      if (!(key in resolved)) {
+        errors.push({
+          path: `${path}.${key}`,
+          message: "is required here or at the top level",
+        });
+      }
+    }
+    checkView(resolved, viewPaths(view, i), errors);
+  });
+  return unique(errors);
+};
+
+const checkViewQueries = async (config, at) => {
+  const errors = [];
+
+  try {
+    const { columns } = await query(`${asSubquery(config.mainQuery)} LIMIT 0`, {
+      label: "Checking mainQuery",
+    });
+    config.columns.forEach((column, i) => {
+      if (column.encoding === "query") {
+        // Its tags come from tagQuery, by the row's keyField
+        if (column.keyField && !columns.includes(column.keyField)) {
+          errors.push({
+            path: `${at("columns")}[${i}].keyField`,
+            message: `mainQuery has no column "${column.keyField}" to look tags up by`,
+          });
+        }
+      } else if (!columns.includes(column.field)) {
+        errors.push({
+          path: `${at("columns")}[${i}].field`,
+          message: `mainQuery has no column "${column.field}" (it returns ${columns.join(", ")})`,
+        });
+      }
+      if (column.edit && !columns.includes(column.edit.keyField)) {
+        errors.push({
+          path: `${at("columns")}[${i}].edit.keyField`,
+          message: `mainQuery has no column "${column.edit.keyField}" to identify rows by`,
+        });
+      }
+    });
+  } catch (error) {
+    if (isCancelled(error)) throw error;
+    errors.push({ path: at("mainQuery"), message: error.message });
+  }
+
+  for (const [i, column] of config.columns.entries()) {
+    if (column.encoding !== "query" || !column.tagQuery) continue;
+    try {
+      const { columns } = await query(
+        `${asSubquery(column.tagQuery)} LIMIT 0`,
+        { label: `Checking ${column.field} tagQuery` },
+      );
+      const missing = ["key", "tag"].filter((c) => !columns.includes(c));
+      if (missing.length > 0) {
+        errors.push({
+          path: `${at("columns")}[${i}].tagQuery`,
+          message: `must return ${missing.map((c) => `"${c}"`).join(" and ")}`,
+        });
+      }
+    } catch (error) {
+      if (isCancelled(error)) throw error;
+      errors.push({
+        path: `${at("columns")}[${i}].tagQuery`,
+        message: error.message,
+      });
+    }
+  }
+
+  for (const [i, chart] of (config.charts || []).entries()) {
+    if (!chart.sql) continue;
+    try {
+      const { columns } = await query(`${asSubquery(chart.sql)} LIMIT 0`, {
+        label: `Checking chart "${chart.title}"`,
+      });
+      for (const key of ["groupBy", "valueField"]) {
+        if (chart[key] && !columns.includes(chart[key])) {
+          errors.push({
+            path: `${at("charts")}[${i}].${key}`,
+            message: `the chart's SQL has no column "${chart[key]}"`,
+          });
+        }
+      }
+    } catch (error) {
+      if (isCancelled(error)) throw error;
+      errors.push({
+        path: `${at("charts")}[${i}].sql`,
+        message: error.message,
+      });
+    }
+  }
+
+  if (config.graph && config.graph.edgeQuery) {
+    try {
+      const { columns } = await query(
+        `${asSubquery(config.graph.edgeQuery)} LIMIT 0`,
+        { label: "Checking graph edgeQuery" },
+      );
+      const missing = ["source", "target"].filter((c) => !columns.includes(c));
+      if (missing.length > 0) {
+        errors.push({
+          path: `${at("graph")}.edgeQuery`,
+          message: `must return ${missing.map((c) => `"${c}"`).join(" and ")}`,
+        });
+      }
+    } catch (error) {
+      if (isCancelled(error)) throw error;
+      errors.push({ path: `${at("graph")}.edgeQuery`, message: error.message });
+    }
+  }
+
+  for (const [i, parameter] of (config.parameters || []).entries()) {
+    if (!parameter.optionsQuery) continue;
+    try {
+      await query(`${asSubquery(parameter.optionsQuery)} LIMIT 0`, {
+        label: `Checking options of ${parameter.name}`,
+      });
+    } catch (error) {
+      if (isCancelled(error)) throw error;
+      errors.push({
+        path: `${at("parameters")}[${i}].optionsQuery`,
+        message: error.message,
+      });
+    }
+  }
+
+  if (config.detail) {
+    const detailQueries = [
+      [`${at("detail")}.query`, config.detail.query],
+      ...(config.detail.related || []).map((related, i) => [
+        `${at("detail")}.related[${i}].sql`,
+        related.sql,
+      ]),
+    ];
+    for (const [path, sql] of detailQueries) {
+      if (!sql) continue;
+      try {
+        await query(`${asSubquery(sql)} LIMIT 0`, {
+          params: { ":key": null },
+          label: "Checking detail queries",
+        });
+      } catch (error) {
+        if (isCancelled(error)) throw error;
+        errors.push({ path, message: error.message });
+      }
+    }
+  }
+
+  for (const [name, sql] of Object.entries(config.queries || {})) {
+    try {
+      await query(`${asSubquery(sql)} LIMIT 0`, {
+        label: `Checking ${name} query`,
+      });
+    } catch (error) {
+      if (isCancelled(error)) throw error;
+      errors.push({ path: `${at("queries")}.${name}`, message: error.message });
+    }
+  }
+
+  return errors;
+};
+
+// Dry-runs the config's SQL against the open database with `LIMIT 0` and
+// checks every configured column is produced by mainQuery, for every view.
+// Only meaningful once validateConfig() has passed.
+export const validateConfigQueries = async (config) => {
+  if (!hasViews(config)) return checkViewQueries(config, rootPaths);
+  const { views, ...shared } = config;
+  const errors = [];
+  for (const [i, view] of views.entries()) {
+    errors.push(
+      ...(await checkViewQueries({ ...shared, ...view }, viewPaths(view, i))),
+    );
+  }
+  return unique(errors);
+};
@@ -0,0 +1,203 @@
+import { validateConfig } from "./validateConfig";
+import defaultConfig from "./defaultConfig";
+
+const withChanges = (changes) => ({
+  ...JSON.parse(JSON.stringify(defaultConfig)),
+  ...changes,
+});
+
+const paths = (config) => validateConfig(config).map((e) => e.path);
+
+test("accepts the default config", () => {
+  expect(validateConfig(defaultConfig)).toEqual([]);
+});
+
+test("rejects a config that is not an object", () => {
+  expect(paths([])).toEqual(["$"]);
+});
+
+test("reports missing required fields", () => {
+  const config = withChanges({});
+  delete config.mainQuery;
+  delete config.columns;
+  expect(paths(config)).toEqual(
+    expect.arrayContaining(["$.mainQuery", "$.columns"]),
+  );
+});
+
+test("reports unknown keys at the root and in columns", () => {
+  const config = withChanges({ mainQuerry: "SELECT 1" });
+  config.columns[0].colour = "red";
+  expect(paths(config)).toEqual(["$.mainQuerry", "$.columns[0].colour"]);
+});
+
+test("reports wrong types and unknown column types", () => {
+  const config = withChanges({ taggableColumns: "tags" });
+  config.columns[3].type = "datetime";
+  config.columns[4].header = 4;
+  expect(paths(config)).toEqual([
+    "$.taggableColumns",
+    "$.columns[3].type",
+    "$.columns[4].header",
+  ]);
+});
+
+test("checks references into columns", () => {
+  const config = withChanges({
+    textSearchColumn: "name",
+    taggableColumns: ["tags", "Date"],
+    defaultSortField: "missing",
+  });
+  expect(validateConfig(config)).toEqual([
+    { path: "$.textSearchColumn", message: 'no column with field "name"' },
+    { path: "$.defaultSortField", message: 'no column with field "missing"' },
+    {
+      path: "$.taggableColumns[1]",
+      message: 'column "Date" must have type "taggable", got "date"',
+    },
+    {
+      path: "$.queries.backlinks",
+      message: '"backlinks" is not listed in taggableColumns',
+    },
+  ]);
+});
+
+test("reports duplicate fields and options on the wrong column type", () => {
+  const config = withChanges({});
+  config.columns[1].field = "file";
+  config.columns[0].trueRender = "yes";
+  expect(paths(config)).toEqual(
+    expect.arrayContaining(["$.columns[0].trueRender", "$.columns[1].field"]),
+  );
+});
+
+test("checks display type options", () => {
+  const config = withChanges({});
+  config.columns[0].type = "link";
+  config.columns[0].linkTemplate = "obsidian://open?file={file}";
+  config.columns[3].dateFormat = "DD MMM YYYY";
+  config.columns[4].type = "progress";
+  config.columns[4].maxField = "pages";
+  config.columns[5].enumColors = { done: 1 };
+  expect(paths(config)).toEqual([
+    "$.columns[5].enumColors.done",
+    "$.columns[5].enumColors",
+    "$.columns[4].maxField",
+  ]);
+});
+
+test("checks column layout options and groupBy", () => {
+  const config = withChanges({ groupBy: "Status" });
+  config.columns[0].frozen = true;
+  config.columns[1].width = "wide";
+  config.columns[2].hidden = true;
+  expect(paths(config)).toEqual(["$.columns[1].width", "$.groupBy"]);
+});
+
+test("checks tag encodings", () => {
+  const config = withChanges({});
+  config.columns[1].encoding = "query";
+  config.columns[2].encoding = "json";
+  config.columns[2].hierarchy = "/";
+  config.columns[0].delimiter = ";";
+  expect(paths(config)).toEqual([
+    "$.columns[0].delimiter",
+    "$.columns[1].tagQuery",
+    "$.columns[1].keyField",
+  ]);
+});
+
+test("checks edit mappings by column type", () => {
+  const config = withChanges({});
+  config.columns[0].edit = { keyField: "id", table: "files", key: "id" };
+  config.columns[1].edit = {
+    keyField: "id",
+    joinTable: "file_tags",
+    joinKey: "file_id",
+    joinValue: "tag_id",
+    valueTable: "tags",
+  };
+  config.columns[5].edit = { table: "files" };
+  expect(paths(config)).toEqual([
+    "$.columns[0].edit.column",
+    "$.columns[1].edit.valueTable",
+    "$.columns[5].edit.keyField",
+    "$.columns[5].edit.key",
+    "$.columns[5].edit.column",
+  ]);
+});
+
+test("checks charts", () => {
+  const config = withChanges({
+    charts: [
+      { title: "Tags", type: "bar", groupBy: "tags" },
+      { title: "Chapters", type: "histogram" },
+      { title: "Average", type: "pie", groupBy: "Date", aggregate: "avg" },
+      { title: "Scatter", type: "scatter", groupBy: "pages" },
+      { title: "Custom", type: "bar", groupBy: "anything", sql: "SELECT 1" },
+    ],
+  });
+  expect(paths(config)).toEqual([
+    "$.charts[1].valueField",
+    "$.charts[2].valueField",
+    "$.charts[3].type",
+    "$.charts[3].groupBy",
+  ]);
+});
+
+test("checks the graph settings", () => {
+  const config = withChanges({
+    graph: { nodeField: "name", colorBy: "Date", depth: "2" },
+  });
+  expect(paths(config)).toEqual([
+    "$.graph.depth",
+    "$.graph.nodeField",
+    "$.graph.colorBy",
+  ]);
+});
+
+test("checks each view against the shared settings", () => {
+  const { mainQuery, columns, parameters, ...shared } = withChanges({});
+  const config = {
+    ...shared,
+    views: [
+      { name: "Books", mainQuery, columns, parameters },
+      { name: "Articles", mainQuery: "SELECT 1", columns: [columns[0]] },
+      { name: "Books", columns },
+    ],
+  };
+  expect(paths(config)).toEqual([
+    // Shared settings naming columns the second view doesn't have
+    "$.defaultSortField",
+    "$.taggableColumns[0]",
+    "$.taggableColumns[1]",
+    "$.views[2].name",
+    "$.views[2].mainQuery",
+  ]);
+});
+
+test("checks parameters against mainQuery", () => {
+  const config = withChanges({
+    mainQuery: "SELECT * FROM files WHERE date >= :since AND kind = :kind",
+    parameters: [
+      { name: "since", type: "date", default: 2024 },
+      { name: "unused", type: "text" },
+      { name: "since", type: "number" },
+    ],
+  });
+  expect(validateConfig(config)).toEqual([
+    {
+      path: "$.parameters[0].default",
+      message: "must be string for a date parameter",
+    },
+    {
+      path: "$.parameters[2].name",
+      message: 'duplicates $.parameters[0].name "since"',
+    },
+    { path: "$.parameters[1].name", message: "mainQuery doesn't use :unused" },
+    {
+      path: "$.mainQuery",
+      message: "uses :kind, which is not declared in parameters",
+    },
+  ]);
+});
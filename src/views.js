@@ -0,0 +1,39 @@
+// A config may declare several named views, shown as tabs above the table:
+//
+//   { "sqlFiltering": true,
+//     "views": [{ "name": "Books", "mainQuery": "...", "columns": [...] },
+//               { "name": "Articles", "mainQuery": "...", "columns": [...] }] }
+//
+// Each view's settings override the shared ones at the top level, so the
+// rest of the viewer only ever sees one resolved config.
+
+export const hasViews = (config) =>
+  Array.isArray(config.views) && config.views.length > 0;
+
+export const viewNames = (config) =>
+  hasViews(config) ? config.views.map((view) => view.name) : [];
+
+// The given view if the config has it, else its first view (or null)
+export const pickView = (config, name) => {
+  const names = viewNames(config);
+  return names.includes(name) ? name : names[0] || null;
+};
+
+export const resolveView = (config, name) => {
+  if (!hasViews(config)) return config;
+  const { views, ...shared } = config;
+  const { name: viewName, ...view } =
+    views.find((v) => v.name === name) || views[0];
+  return { ...shared, ...view };
+};
+
+// Settings changed from the UI (such as saved charts) go into the view
+export const updateView = (config, name, changes) =>
+  hasViews(config)
+    ? {
+        ...config,
+        views: config.views.map((view) =>
+          view.name === pickView(config, name) ? { ...view, ...changes } : view,
+        ),
+      }
+    : { ...config, ...changes };
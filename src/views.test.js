@@ -0,0 +1,39 @@
+import { pickView, resolveView, updateView, viewNames } from "./views";
+
+const config = {
+  pageSize: 50,
+  defaultSortField: "Date",
+  views: [
+    { name: "Books", mainQuery: "SELECT 1", columns: [] },
+    { name: "Articles", mainQuery: "SELECT 2", columns: [], pageSize: 10 },
+  ],
+};
+
+test("a view overrides the shared settings", () => {
+  expect(viewNames(config)).toEqual(["Books", "Articles"]);
+  expect(resolveView(config, "Articles")).toEqual({
+    pageSize: 10,
+    defaultSortField: "Date",
+    mainQuery: "SELECT 2",
+    columns: [],
+  });
+  expect(resolveView(config, "Missing").mainQuery).toBe("SELECT 1");
+  expect(pickView(config, "Missing")).toBe("Books");
+});
+
+test("configs without views resolve to themselves", () => {
+  const single = { mainQuery: "SELECT 1", columns: [] };
+  expect(resolveView(single, null)).toBe(single);
+  expect(pickView(single, "Books")).toBeNull();
+  expect(updateView(single, null, { charts: [] })).toEqual({
+    ...single,
+    charts: [],
+  });
+});
+
+test("UI changes are saved into the active view", () => {
+  const updated = updateView(config, "Articles", { charts: [] });
+  expect(updated.views[1].charts).toEqual([]);
+  expect(updated.views[0].charts).toBeUndefined();
+  expect(updated.charts).toBeUndefined();
+});